@@ -0,0 +1,243 @@
+// src/auth/keyStore.js
+//
+// Multi-tenant API keys (PROXY_KEYS_FILE, JSON or YAML). Only SHA-256 hashes are stored:
+//
+// {
+//   "keys": [
+//     { "name": "platform-team", "tenant": "platform", "sha256": "<hex of sha256(key)>",
+//       "models": ["auto-hybrid", "local-fast", "cloud-deep"], "cloud": true, "vision": true },
+//     { "name": "interns", "sha256": "...", "models": ["local-fast"], "cloud": false },
+//     { "name": "ci-bot", "sha256": "...", "scopes": ["models"], "expires": "2027-01-01T00:00:00Z" },
+//     { "name": "data-team", "sha256": "...", "cloud": true,
+//       "quota": { "dailyRequests": 200, "dailyBudget": 5 }, "userQuota": { "dailyRequests": 40 } },
+//     { "name": "ops-admin", "sha256": "...", "scopes": ["models", "admin"] }
+//   ]
+// }
+//
+// Defaults per key: tenant = name, models = all, cloud = false, vision = false,
+// scopes = ["chat", "models", "explain"] ("admin" only when listed), no expiry.
+// quota / userQuota override the KEY_* / USER_* cloud quota defaults of the cost guard
+// (src/cost/costGuard.js) for the key and for each of its users; 0 = no limit.
+// Presented keys are hashed and compared against every entry in constant time.
+// The file is re-read when its mtime changes (no restart); a broken edit keeps the previous keys.
+// The legacy single PROXY_API_KEY still works as the "default" key with every permission.
+
+const crypto = require("crypto");
+const fs = require("fs");
+
+const { loadConfigFile } = require("../config/loadConfigFile");
+
+const SCOPES = Object.freeze(["chat", "models", "explain", "admin"]);
+const DEFAULT_SCOPES = Object.freeze(["chat", "models", "explain"]);
+const QUOTA_FIELDS = ["dailyRequests", "monthlyRequests", "dailyBudget", "monthlyBudget"];
+const HASH_RE = /^[0-9a-f]{64}$/;
+
+// mtime is checked at most this often (ms)
+const RELOAD_CHECK_INTERVAL_MS = 1000;
+
+function sha256Hex(value) {
+  return crypto.createHash("sha256").update(String(value), "utf8").digest("hex");
+}
+
+function keyError(source, message) {
+  const error = new Error(`Key store ${source}: ${message}`);
+  error.details = { source };
+  return error;
+}
+
+function stringList(source, label, value) {
+  if (!Array.isArray(value) || value.some((v) => typeof v !== "string" || !v)) {
+    throw keyError(source, `${label} must be a list of strings`);
+  }
+  return value;
+}
+
+function compileQuota(source, label, value) {
+  if (value === undefined) return null;
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw keyError(source, `${label} must be an object`);
+  }
+  for (const [field, limit] of Object.entries(value)) {
+    if (!QUOTA_FIELDS.includes(field)) {
+      throw keyError(source, `${label} has unknown field "${field}" (expected: ${QUOTA_FIELDS.join(", ")})`);
+    }
+    if (typeof limit !== "number" || !(limit >= 0)) {
+      throw keyError(source, `${label} "${field}" must be a number >= 0`);
+    }
+  }
+  return Object.freeze({ ...value });
+}
+
+function compileKey(source, entry, i) {
+  if (!entry || typeof entry !== "object") throw keyError(source, `key #${i + 1} must be an object`);
+  if (typeof entry.name !== "string" || !entry.name) throw keyError(source, `key #${i + 1} needs a "name"`);
+
+  const label = `key "${entry.name}"`;
+  const hash = String(entry.sha256 || "").toLowerCase();
+  if (!HASH_RE.test(hash)) throw keyError(source, `${label} needs "sha256" (64 hex chars)`);
+
+  for (const flag of ["cloud", "vision"]) {
+    if (entry[flag] !== undefined && typeof entry[flag] !== "boolean") {
+      throw keyError(source, `${label} "${flag}" must be true or false`);
+    }
+  }
+
+  const scopes = entry.scopes === undefined ? DEFAULT_SCOPES : stringList(source, `${label} scopes`, entry.scopes);
+  for (const scope of scopes) {
+    if (!SCOPES.includes(scope)) {
+      throw keyError(source, `${label} has unknown scope "${scope}" (expected: ${SCOPES.join(", ")})`);
+    }
+  }
+
+  let expiresAt = null;
+  if (entry.expires !== undefined) {
+    expiresAt = Date.parse(entry.expires);
+    if (Number.isNaN(expiresAt)) throw keyError(source, `${label} has an invalid "expires" date`);
+  }
+
+  return {
+    hash: Buffer.from(hash, "hex"),
+    expiresAt,
+    identity: Object.freeze({
+      keyId: entry.name,
+      tenant: entry.tenant || entry.name,
+      models: entry.models === undefined ? null : stringList(source, `${label} models`, entry.models),
+      cloud: entry.cloud === true,
+      vision: entry.vision === true,
+      scopes,
+      quota: compileQuota(source, `${label} quota`, entry.quota),
+      userQuota: compileQuota(source, `${label} userQuota`, entry.userQuota),
+    }),
+  };
+}
+
+function compileKeys(doc, { source = "<inline>" } = {}) {
+  if (!doc || !Array.isArray(doc.keys)) throw keyError(source, 'must be an object with a "keys" list');
+
+  const names = new Set();
+  return doc.keys.map((entry, i) => {
+    const key = compileKey(source, entry, i);
+    if (names.has(key.identity.keyId)) throw keyError(source, `duplicate key name "${key.identity.keyId}"`);
+    names.add(key.identity.keyId);
+    return key;
+  });
+}
+
+function legacyKey(secret) {
+  return {
+    hash: Buffer.from(sha256Hex(secret), "hex"),
+    expiresAt: null,
+    identity: Object.freeze({
+      keyId: "default",
+      tenant: "default",
+      models: null,
+      cloud: true,
+      vision: true,
+      scopes: SCOPES,
+      quota: null,
+      userQuota: null,
+    }),
+  };
+}
+
+// Used when no key is configured at all (auth disabled).
+const ANONYMOUS_IDENTITY = Object.freeze({
+  keyId: "anonymous",
+  tenant: "default",
+  models: null,
+  cloud: true,
+  vision: true,
+  scopes: SCOPES,
+  quota: null,
+  userQuota: null,
+});
+
+/**
+ * createKeyStore({ filePath, legacyKey }) -> {
+ *   enabled, authenticate(presented) -> { ok, identity?, reason? }, identities(), reload(), size
+ * }
+ * Loads the file immediately, so a broken key file fails at startup.
+ */
+function createKeyStore({
+  filePath = process.env.PROXY_KEYS_FILE || "",
+  legacyKey: legacySecret = process.env.PROXY_API_KEY || "",
+  now = Date.now,
+} = {}) {
+  let fileKeys = [];
+  let mtimeMs = null;
+  let lastCheck = 0;
+
+  const fixedKeys = legacySecret ? [legacyKey(legacySecret)] : [];
+  const enabled = Boolean(filePath || legacySecret);
+
+  function load() {
+    const stat = fs.statSync(filePath);
+    fileKeys = compileKeys(loadConfigFile(filePath), { source: filePath });
+    mtimeMs = stat.mtimeMs;
+  }
+
+  function reloadIfChanged() {
+    if (!filePath || now() - lastCheck < RELOAD_CHECK_INTERVAL_MS) return;
+    lastCheck = now();
+
+    try {
+      if (fs.statSync(filePath).mtimeMs === mtimeMs) return;
+      load();
+      console.log(`[auth] reloaded ${fileKeys.length} key(s) from ${filePath}`);
+    } catch (e) {
+      console.error(`[auth] keeping previous keys: ${e.message}`);
+    }
+  }
+
+  if (filePath) load();
+
+  return {
+    enabled,
+    get size() {
+      return fileKeys.length + fixedKeys.length;
+    },
+    reload() {
+      if (filePath) load();
+    },
+    // Every configured identity (e.g. for the usage admin view)
+    identities() {
+      reloadIfChanged();
+      return [...fileKeys, ...fixedKeys].map((key) => key.identity);
+    },
+    authenticate(presented) {
+      if (!enabled) return { ok: true, identity: ANONYMOUS_IDENTITY };
+      if (!presented) return { ok: false, reason: "Unauthorized" };
+
+      reloadIfChanged();
+
+      // Compare against every key (no early exit) so timing does not reveal which entry matched.
+      const hash = Buffer.from(sha256Hex(presented), "hex");
+      let match = null;
+      for (const key of [...fileKeys, ...fixedKeys]) {
+        if (crypto.timingSafeEqual(hash, key.hash) && !match) match = key;
+      }
+
+      if (!match) return { ok: false, reason: "Unauthorized" };
+      if (match.expiresAt !== null && now() >= match.expiresAt) {
+        return { ok: false, reason: `API key "${match.identity.keyId}" has expired` };
+      }
+      return { ok: true, identity: match.identity };
+    },
+  };
+}
+
+/**
+ * Whether an identity may use a proxy model id (null models = all models).
+ */
+function modelAllowed(identity, model) {
+  return !identity.models || identity.models.includes(model);
+}
+
+module.exports = {
+  SCOPES,
+  ANONYMOUS_IDENTITY,
+  sha256Hex,
+  compileKeys,
+  createKeyStore,
+  modelAllowed,
+};
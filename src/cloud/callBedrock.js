@@ -4,6 +4,14 @@
 // Provides:
 // - callBedrock({ modelId, prompt }) -> full text
 // - streamBedrockText({ modelId, prompt, onTextDelta }) -> streams text deltas
+// Both take optional:
+// - maxTokens and params (extra Anthropic body fields: temperature, top_p, stop_sequences;
+//   see src/cloud/openaiParams.js)
+// - onUsage({ inputTokens, outputTokens }) (cost accounting), called once when the token counts are known
+// - onStop(stopReason): Anthropic stop_reason ("end_turn", "max_tokens", "stop_sequence", "tool_use", ...)
+// - toolMessages: Anthropic messages sent after the prompt (the tool exchange, with the tool
+//   definitions in params; see src/cloud/openaiTools.js)
+// - onToolUse({ id, name, input }): called for each complete tool_use block of the answer
 //
 // Requires: @aws-sdk/client-bedrock-runtime
 
@@ -19,23 +27,33 @@ function createBedrockClient() {
   });
 }
 
-function buildAnthropicBody({ prompt, maxTokens }) {
+function buildAnthropicBody({ prompt, maxTokens, params = {}, toolMessages = [] }) {
   return {
     anthropic_version: "bedrock-2023-05-31",
     max_tokens: maxTokens ?? 4096,
+    ...params,
     messages: [
       {
         role: "user",
         content: [{ type: "text", text: prompt }],
       },
+      ...toolMessages,
     ],
   };
 }
 
-async function callBedrock({ modelId, prompt, maxTokens }) {
+// Anthropic usage block ({ input_tokens, output_tokens }) -> { inputTokens, outputTokens }
+function usageFromAnthropic(usage) {
+  return {
+    inputTokens: Number(usage?.input_tokens) || 0,
+    outputTokens: Number(usage?.output_tokens) || 0,
+  };
+}
+
+async function callBedrock({ modelId, prompt, maxTokens, params, toolMessages, onUsage, onStop, onToolUse }) {
   const client = createBedrockClient();
 
-  const body = buildAnthropicBody({ prompt, maxTokens });
+  const body = buildAnthropicBody({ prompt, maxTokens, params, toolMessages });
 
   const command = new InvokeModelCommand({
     modelId,
@@ -46,10 +64,18 @@ async function callBedrock({ modelId, prompt, maxTokens }) {
 
   const response = await client.send(command);
   const decoded = JSON.parse(Buffer.from(response.body).toString("utf8"));
+  if (onUsage) onUsage(usageFromAnthropic(decoded?.usage));
+  if (onStop) onStop(decoded?.stop_reason ?? null);
 
-  // Anthropic messages API returns {content:[{type:"text", text:"..."}], ...}
-  const out = decoded?.content?.[0]?.text;
-  return typeof out === "string" ? out : JSON.stringify(decoded);
+  // Anthropic messages API returns {content:[{type:"text", text:"..."}, {type:"tool_use", ...}], ...}
+  if (!Array.isArray(decoded?.content)) return JSON.stringify(decoded);
+  for (const block of decoded.content) {
+    if (block && block.type === "tool_use" && onToolUse) onToolUse({ id: block.id, name: block.name, input: block.input });
+  }
+  return decoded.content
+    .filter((block) => block && typeof block.text === "string")
+    .map((block) => block.text)
+    .join("");
 }
 
 /**
@@ -61,10 +87,20 @@ async function callBedrock({ modelId, prompt, maxTokens }) {
  *   representing message/content deltas.
  * - This implementation is defensive and ignores unknown event shapes.
  */
-async function streamBedrockText({ modelId, prompt, maxTokens, onTextDelta }) {
+async function streamBedrockText({
+  modelId,
+  prompt,
+  maxTokens,
+  params,
+  toolMessages,
+  onTextDelta,
+  onUsage,
+  onStop,
+  onToolUse,
+}) {
   const client = createBedrockClient();
 
-  const body = buildAnthropicBody({ prompt, maxTokens });
+  const body = buildAnthropicBody({ prompt, maxTokens, params, toolMessages });
 
   const command = new InvokeModelWithResponseStreamCommand({
     modelId,
@@ -79,6 +115,14 @@ async function streamBedrockText({ modelId, prompt, maxTokens, onTextDelta }) {
     throw new Error("Bedrock response stream not available");
   }
 
+  // Input tokens arrive with message_start, the running output count with message_delta;
+  // Bedrock's invocation metrics on the last event carry both.
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  // stop_reason arrives with message_delta
+  let stopReason = null;
+  // tool_use blocks by content block index: the input JSON arrives in pieces (input_json_delta)
+  const toolBlocks = new Map();
+
   for await (const event of response.body) {
     // Different SDK versions can shape events differently.
     // The canonical shape uses event.chunk.bytes (Uint8Array).
@@ -112,6 +156,20 @@ async function streamBedrockText({ modelId, prompt, maxTokens, onTextDelta }) {
       if (deltaType === "text_delta" && typeof delta?.text === "string") {
         onTextDelta(delta.text);
       }
+      if (deltaType === "input_json_delta" && toolBlocks.has(obj.index)) {
+        toolBlocks.get(obj.index).json += delta.partial_json || "";
+      }
+      continue;
+    }
+
+    if (type === "content_block_start" && obj?.content_block?.type === "tool_use") {
+      toolBlocks.set(obj.index, { id: obj.content_block.id, name: obj.content_block.name, json: "" });
+      continue;
+    }
+    if (type === "content_block_stop" && toolBlocks.has(obj.index)) {
+      const { id, name, json } = toolBlocks.get(obj.index);
+      toolBlocks.delete(obj.index);
+      if (onToolUse) onToolUse({ id, name, input: json ? JSON.parse(json) : {} });
       continue;
     }
 
@@ -121,12 +179,31 @@ async function streamBedrockText({ modelId, prompt, maxTokens, onTextDelta }) {
       continue;
     }
 
+    if (type === "message_start" && obj?.message?.usage) {
+      usage.inputTokens = usageFromAnthropic(obj.message.usage).inputTokens;
+    }
+    if (type === "message_delta" && obj?.usage) {
+      usage.outputTokens = usageFromAnthropic(obj.usage).outputTokens || usage.outputTokens;
+    }
+    if (type === "message_delta" && obj?.delta?.stop_reason) {
+      stopReason = obj.delta.stop_reason;
+    }
+    const metrics = obj?.["amazon-bedrock-invocationMetrics"];
+    if (metrics) {
+      usage.inputTokens = Number(metrics.inputTokenCount) || usage.inputTokens;
+      usage.outputTokens = Number(metrics.outputTokenCount) || usage.outputTokens;
+    }
+
     // Some variants may include: {type:"message", content:[...]} but that's usually non-stream.
     // Ignore other event types.
   }
+
+  if (onUsage) onUsage(usage);
+  if (onStop) onStop(stopReason);
 }
 
 module.exports = {
+  usageFromAnthropic,
   callBedrock,
   streamBedrockText,
 };
@@ -0,0 +1,147 @@
+// src/cloud/openaiParams.js
+//
+// OpenAI <-> Anthropic (Bedrock) mapping for the cloud path.
+//
+// Request (checkOpenAIParams validates types for every route, checkCloudParams refuses what cloud
+// cannot answer, anthropicParams maps and clamps per model):
+// - max_tokens / max_completion_tokens -> max_tokens, at most the model's output limit (catalog
+//   capability maxOutputTokens, else OUTPUT_LIMITS below); unset = CLOUD_DEFAULT_MAX_TOKENS within it
+// - temperature: OpenAI allows 0..2, Anthropic 0..1 -> values above 1 are clamped to 1
+// - top_p -> top_p
+// - stop (string or list) -> stop_sequences; whitespace-only entries are dropped (Anthropic rejects them)
+// - n: Anthropic returns a single completion, so n > 1 is refused on cloud instead of silently
+//   answered once (local requests pass it on to Ollama)
+//
+// Response: Anthropic stop_reason -> OpenAI finish_reason, usage -> { prompt_tokens, completion_tokens,
+// total_tokens }.
+
+const { baseModelId } = require("../cost/pricing");
+
+const CLOUD_DEFAULT_MAX_TOKENS = Number(process.env.CLOUD_DEFAULT_MAX_TOKENS || 4096);
+
+// Output token limits of the Claude models on Bedrock, matched by prefix like the price table
+const OUTPUT_LIMITS = Object.freeze({
+  "anthropic.claude-3-haiku": 4096,
+  "anthropic.claude-3-sonnet": 4096,
+  "anthropic.claude-3-opus": 4096,
+  "anthropic.claude-3-5-haiku": 8192,
+  "anthropic.claude-3-5-sonnet": 8192,
+  "anthropic.claude-3-7-sonnet": 64000,
+  "anthropic.claude-sonnet-4": 64000,
+  "anthropic.claude-opus-4": 32000,
+});
+const DEFAULT_OUTPUT_LIMIT = 4096;
+
+const ANTHROPIC_MAX_TEMPERATURE = 1;
+
+const FINISH_REASONS = Object.freeze({
+  end_turn: "stop",
+  stop_sequence: "stop",
+  max_tokens: "length",
+  tool_use: "tool_calls",
+  refusal: "content_filter",
+});
+
+function isNumberIn(value, min, max) {
+  return typeof value === "number" && value >= min && value <= max;
+}
+
+/**
+ * Validate the OpenAI sampling parameters of a chat body (any route).
+ * Returns null or { message, param } for a 400 response.
+ */
+function checkOpenAIParams(body) {
+  for (const param of ["max_tokens", "max_completion_tokens"]) {
+    const value = body[param];
+    if (value !== undefined && value !== null && !(Number.isInteger(value) && value > 0)) {
+      return { message: `${param} must be a positive integer`, param };
+    }
+  }
+  if (body.temperature !== undefined && body.temperature !== null && !isNumberIn(body.temperature, 0, 2)) {
+    return { message: "temperature must be a number between 0 and 2", param: "temperature" };
+  }
+  if (body.top_p !== undefined && body.top_p !== null && !isNumberIn(body.top_p, 0, 1)) {
+    return { message: "top_p must be a number between 0 and 1", param: "top_p" };
+  }
+  const { stop } = body;
+  if (stop !== undefined && stop !== null && typeof stop !== "string") {
+    if (!Array.isArray(stop) || stop.some((s) => typeof s !== "string")) {
+      return { message: "stop must be a string or a list of strings", param: "stop" };
+    }
+  }
+  if (body.n !== undefined && body.n !== null && !(Number.isInteger(body.n) && body.n > 0)) {
+    return { message: "n must be a positive integer", param: "n" };
+  }
+  return null;
+}
+
+/**
+ * Parameters a (validated) chat body may not use on the cloud path.
+ * Returns null or { message, param } for a 400 response.
+ */
+function checkCloudParams(body) {
+  if (body.n > 1) return { message: "n > 1 is not supported on cloud: Bedrock returns a single choice", param: "n" };
+  return null;
+}
+
+/**
+ * Output token limit of a Bedrock model: maxOutputTokens (catalog) if set, else the built-in table.
+ */
+function outputLimitFor(modelId, maxOutputTokens = null) {
+  if (maxOutputTokens) return maxOutputTokens;
+  const id = baseModelId(modelId);
+  const prefix = Object.keys(OUTPUT_LIMITS)
+    .filter((p) => id.startsWith(p))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? OUTPUT_LIMITS[prefix] : DEFAULT_OUTPUT_LIMIT;
+}
+
+/**
+ * Anthropic request fields for a (validated) OpenAI chat body on a cloud model.
+ * commandMaxTokens ("/maxtokens") takes precedence over the body's max_tokens fields.
+ * Returns { maxTokens, params: { temperature?, top_p?, stop_sequences? }, clamped: [{ param, requested, used }] }.
+ */
+function anthropicParams(body, { modelId, maxOutputTokens = null, commandMaxTokens = null } = {}) {
+  const limit = outputLimitFor(modelId, maxOutputTokens);
+  const clamped = [];
+  const params = {};
+
+  const requested = commandMaxTokens || body.max_completion_tokens || body.max_tokens || null;
+  const maxTokens = Math.min(requested ?? CLOUD_DEFAULT_MAX_TOKENS, limit);
+  if (requested !== null && requested > limit) {
+    clamped.push({ param: "max_tokens", requested, used: limit });
+  }
+
+  if (typeof body.temperature === "number") {
+    params.temperature = Math.min(body.temperature, ANTHROPIC_MAX_TEMPERATURE);
+    if (params.temperature !== body.temperature) {
+      clamped.push({ param: "temperature", requested: body.temperature, used: params.temperature });
+    }
+  }
+  if (typeof body.top_p === "number") params.top_p = body.top_p;
+
+  const stops = (typeof body.stop === "string" ? [body.stop] : body.stop || []).filter((s) => s.trim());
+  if (stops.length) params.stop_sequences = stops;
+
+  return { maxTokens, params, clamped };
+}
+
+// Anthropic stop_reason -> OpenAI finish_reason ("stop" when unknown or missing)
+function finishReasonFromAnthropic(stopReason) {
+  return FINISH_REASONS[stopReason] || "stop";
+}
+
+// { inputTokens, outputTokens } -> OpenAI usage block
+function openaiUsage({ inputTokens = 0, outputTokens = 0 }) {
+  return { prompt_tokens: inputTokens, completion_tokens: outputTokens, total_tokens: inputTokens + outputTokens };
+}
+
+module.exports = {
+  OUTPUT_LIMITS,
+  checkOpenAIParams,
+  checkCloudParams,
+  outputLimitFor,
+  anthropicParams,
+  finishReasonFromAnthropic,
+  openaiUsage,
+};
@@ -0,0 +1,299 @@
+// src/cloud/openaiTools.js
+//
+// OpenAI tool calling <-> Anthropic tool use (Bedrock) for the cloud path.
+//
+// Request (checkOpenAITools validates, anthropicToolRequest maps):
+// - tools [{ type: "function", function: { name, description, parameters } }]
+//   -> tools [{ name, description, input_schema }]
+// - tool_choice: "auto" -> auto, "required" -> any, "none" -> none,
+//   { type: "function", function: { name } } -> { type: "tool", name };
+//   parallel_tool_calls: false -> disable_parallel_tool_use
+// - the tool exchange after the latest user message (assistant tool_calls, role "tool" results)
+//   -> assistant tool_use blocks and user tool_result blocks after the prompt. Without tool
+//   definitions Anthropic refuses those blocks, so the exchange is sent as text instead.
+// Names, descriptions, schema descriptions and titles, call arguments and results all go through
+// the caller's sanitize function (the request's vault). Other schema strings (types, patterns, enum
+// values, formats) are sent as they are, so the schema keeps its meaning. A name the sanitizer would change is sent as an alias
+// (tool_1, ...) and mapped back in the answer; the aliases stay in proxy memory.
+//
+// Response: tool_use blocks -> tool_calls [{ id, type: "function", function: { name, arguments } }].
+// Tool exchanges before the latest user message reach cloud as history text (toolTurnText).
+
+const TOOL_NAME_RE = /^[a-zA-Z0-9_-]{1,64}$/;
+const TOOL_CHOICES = Object.freeze({ auto: "auto", required: "any", none: "none" });
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function contentText(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content.map((p) => (typeof p === "string" ? p : p && typeof p.text === "string" ? p.text : "")).join("");
+}
+
+function parseArguments(args) {
+  if (args === undefined || args === null || args === "") return {};
+  try {
+    return JSON.parse(args);
+  } catch {
+    return undefined;
+  }
+}
+
+// Apply fn to every string in a JSON value; object keys are kept as they are
+function mapStrings(value, fn) {
+  if (typeof value === "string") return fn(value);
+  if (Array.isArray(value)) return value.map((v) => mapStrings(v, fn));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mapStrings(v, fn)]));
+  }
+  return value;
+}
+
+// Apply fn to the "description" and "title" strings of a JSON schema, at any depth
+function mapSchemaText(schema, fn) {
+  if (Array.isArray(schema)) return schema.map((v) => mapSchemaText(v, fn));
+  if (!isPlainObject(schema)) return schema;
+  return Object.fromEntries(
+    Object.entries(schema).map(([k, v]) => [
+      k,
+      (k === "description" || k === "title") && typeof v === "string" ? fn(v) : mapSchemaText(v, fn),
+    ])
+  );
+}
+
+/**
+ * Whether a chat body uses tool calling: tool definitions, or tool calls / results in the messages.
+ */
+function usesTools(body) {
+  if (Array.isArray(body.tools) && body.tools.length) return true;
+  return (body.messages || []).some(
+    (m) => m && (m.role === "tool" || (Array.isArray(m.tool_calls) && m.tool_calls.length))
+  );
+}
+
+function checkToolDefinitions(tools) {
+  if (!Array.isArray(tools)) return { error: { message: "tools must be a list", param: "tools" } };
+  const names = new Set();
+  for (const [i, tool] of tools.entries()) {
+    const param = `tools[${i}]`;
+    const fn = tool && tool.function;
+    if (!tool || tool.type !== "function" || !isPlainObject(fn)) {
+      return { error: { message: `${param} must be { "type": "function", "function": { "name", ... } }`, param } };
+    }
+    if (typeof fn.name !== "string" || !TOOL_NAME_RE.test(fn.name)) {
+      return { error: { message: `${param}.function.name must be 1-64 letters, digits, "_" or "-"`, param } };
+    }
+    if (names.has(fn.name)) return { error: { message: `Duplicate tool name "${fn.name}"`, param } };
+    if (fn.description !== undefined && typeof fn.description !== "string") {
+      return { error: { message: `${param}.function.description must be a string`, param } };
+    }
+    if (fn.parameters !== undefined && !isPlainObject(fn.parameters)) {
+      return { error: { message: `${param}.function.parameters must be a JSON schema object`, param } };
+    }
+    names.add(fn.name);
+  }
+  return { names };
+}
+
+function checkToolChoice(choice, names) {
+  if (typeof choice === "string") {
+    if (!(choice in TOOL_CHOICES)) return `tool_choice must be one of: ${Object.keys(TOOL_CHOICES).join(", ")}`;
+    if (choice === "required" && !names.size) return 'tool_choice "required" needs tools';
+    return null;
+  }
+  if (!isPlainObject(choice) || choice.type !== "function" || typeof choice.function?.name !== "string") {
+    return 'tool_choice must be a string or { "type": "function", "function": { "name" } }';
+  }
+  if (!names.has(choice.function.name)) return `tool_choice names an unknown tool "${choice.function.name}"`;
+  return null;
+}
+
+// Tool calls need an id, a name and JSON object arguments; a tool result answers an earlier call
+function checkToolMessages(messages) {
+  const callIds = new Set();
+  for (const [i, m] of (messages || []).entries()) {
+    if (!m) continue;
+    if (m.tool_calls !== undefined && m.tool_calls !== null) {
+      const param = `messages[${i}].tool_calls`;
+      if (m.role !== "assistant" || !Array.isArray(m.tool_calls)) {
+        return { message: `${param} must be a list on an assistant message`, param };
+      }
+      for (const call of m.tool_calls) {
+        if (!call || typeof call.id !== "string" || !call.id || typeof call.function?.name !== "string") {
+          return { message: `${param} entries need an id and a function name`, param };
+        }
+        if (!isPlainObject(parseArguments(call.function.arguments))) {
+          return { message: `${param} arguments of "${call.function.name}" must be a JSON object`, param };
+        }
+        callIds.add(call.id);
+      }
+    }
+    if (m.role === "tool" && !callIds.has(m.tool_call_id)) {
+      const param = `messages[${i}].tool_call_id`;
+      return { message: `${param} must answer a tool call of an earlier assistant message`, param };
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate the tool calling fields of a chat body (tools, tool_choice, parallel_tool_calls,
+ * tool calls and results in the messages). Returns null or { message, param } for a 400 response.
+ */
+function checkOpenAITools(body) {
+  let names = new Set();
+  if (body.tools !== undefined && body.tools !== null) {
+    const checked = checkToolDefinitions(body.tools);
+    if (checked.error) return checked.error;
+    names = checked.names;
+  }
+  if (body.tool_choice !== undefined && body.tool_choice !== null) {
+    const message = checkToolChoice(body.tool_choice, names);
+    if (message) return { message, param: "tool_choice" };
+  }
+  if (
+    body.parallel_tool_calls !== undefined &&
+    body.parallel_tool_calls !== null &&
+    typeof body.parallel_tool_calls !== "boolean"
+  ) {
+    return { message: "parallel_tool_calls must be true or false", param: "parallel_tool_calls" };
+  }
+  return checkToolMessages(body.messages);
+}
+
+// "auto" | "required" | "none" | "function" (a named tool), for the route trace
+function toolChoiceName(choice) {
+  if (choice === undefined || choice === null) return "auto";
+  return typeof choice === "string" ? choice : "function";
+}
+
+/**
+ * Text of a tool turn: an assistant message with tool calls, or a "tool" result message.
+ */
+function toolTurnText(m) {
+  if (m.role === "tool") return `[tool result ${m.tool_call_id}] ${contentText(m.content)}`;
+  const calls = (m.tool_calls || []).map(
+    (c) => `[tool call ${c.id}: ${c.function.name}(${c.function.arguments || "{}"})]`
+  );
+  return [contentText(m.content), ...calls].filter(Boolean).join("\n");
+}
+
+/**
+ * Raw text of everything tool-related that would reach cloud (definitions and exchange), for the
+ * sensitivity check of the policy gate.
+ */
+function toolRequestText({ tools = [], exchange = [] }) {
+  return [
+    ...tools.map(({ function: fn }) => [fn.name, fn.description || "", JSON.stringify(fn.parameters || {})].join("\n")),
+    ...exchange.map(toolTurnText),
+  ].join("\n\n");
+}
+
+function anthropicToolChoice(choice, parallelToolCalls, nameFor) {
+  let out = null;
+  if (typeof choice === "string") out = { type: TOOL_CHOICES[choice] };
+  else if (choice) out = { type: "tool", name: nameFor(choice.function.name) };
+
+  if (parallelToolCalls === false && !(out && out.type === "none")) {
+    out = { ...(out || { type: "auto" }), disable_parallel_tool_use: true };
+  }
+  return out;
+}
+
+/**
+ * Anthropic tool fields and follow-up messages for a validated tool request.
+ * request: { tools, toolChoice, parallelToolCalls, exchange } (exchange: the OpenAI messages after
+ * the latest user message); sanitize(text) -> sanitized text.
+ * Returns { params: { tools?, tool_choice? }, messages: [{ role, content: [blocks] }],
+ *           aliases: Map(sent name -> original name) }.
+ */
+function anthropicToolRequest({ tools = [], toolChoice = null, parallelToolCalls = null, exchange = [] }, sanitize) {
+  const originals = new Set(tools.map((t) => t.function.name));
+  const sentNames = new Map();
+  const aliases = new Map();
+  let aliasCount = 0;
+
+  const nameFor = (name) => {
+    if (!sentNames.has(name)) {
+      let sent = name;
+      if (sanitize(name) !== name || !TOOL_NAME_RE.test(name)) {
+        do sent = `tool_${++aliasCount}`;
+        while (originals.has(sent));
+        aliases.set(sent, name);
+      }
+      sentNames.set(name, sent);
+    }
+    return sentNames.get(name);
+  };
+
+  const definitions = tools.map(({ function: fn }) => ({
+    name: nameFor(fn.name),
+    ...(fn.description ? { description: sanitize(fn.description) } : {}),
+    input_schema: mapSchemaText(fn.parameters || { type: "object", properties: {} }, sanitize),
+  }));
+  const native = definitions.length > 0;
+
+  // Consecutive turns of one role become one Anthropic message (several tool results, for example)
+  const messages = [];
+  const push = (role, blocks) => {
+    if (!blocks.length) return;
+    const last = messages[messages.length - 1];
+    if (last && last.role === role) last.content.push(...blocks);
+    else messages.push({ role, content: blocks });
+  };
+
+  for (const m of exchange) {
+    if (!native) {
+      push(m.role === "tool" ? "user" : "assistant", [{ type: "text", text: sanitize(toolTurnText(m)) }]);
+    } else if (m.role === "tool") {
+      push("user", [{ type: "tool_result", tool_use_id: m.tool_call_id, content: sanitize(contentText(m.content)) }]);
+    } else if (m.role === "assistant") {
+      const text = sanitize(contentText(m.content));
+      push("assistant", [
+        ...(text.trim() ? [{ type: "text", text }] : []),
+        ...(m.tool_calls || []).map((c) => ({
+          type: "tool_use",
+          id: c.id,
+          name: nameFor(c.function.name),
+          input: mapStrings(parseArguments(c.function.arguments), sanitize),
+        })),
+      ]);
+    }
+  }
+
+  const choice = native ? anthropicToolChoice(toolChoice, parallelToolCalls, nameFor) : null;
+  return {
+    params: native ? { tools: definitions, ...(choice ? { tool_choice: choice } : {}) } : {},
+    messages,
+    aliases,
+  };
+}
+
+/**
+ * OpenAI tool call for an Anthropic tool_use block ({ id, name, input }).
+ * aliases: from anthropicToolRequest; restoreArguments(input) -> input for the client
+ * (egress DLP and re-hydration happen in the proxy).
+ */
+function openaiToolCall({ id, name, input }, { aliases = new Map(), restoreArguments = (v) => v } = {}) {
+  return {
+    id,
+    type: "function",
+    function: {
+      name: aliases.get(name) || name,
+      arguments: JSON.stringify(restoreArguments(input ?? {})),
+    },
+  };
+}
+
+module.exports = {
+  mapStrings,
+  usesTools,
+  checkOpenAITools,
+  toolChoiceName,
+  toolTurnText,
+  toolRequestText,
+  anthropicToolRequest,
+  openaiToolCall,
+};
@@ -0,0 +1,27 @@
+// src/config/loadConfigFile.js
+//
+// Reads a JSON or YAML (.yaml / .yml) config file (rule packs, policies, catalogs).
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("yaml");
+
+function loadConfigFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf8");
+  } catch (e) {
+    throw new Error(`Cannot read config file ${filePath}: ${e.message}`);
+  }
+
+  const ext = path.extname(filePath).toLowerCase();
+  const parse = ext === ".yaml" || ext === ".yml" ? yaml.parse : JSON.parse;
+
+  try {
+    return parse(text);
+  } catch (e) {
+    throw new Error(`Invalid config file ${filePath}: ${e.message}`);
+  }
+}
+
+module.exports = { loadConfigFile };
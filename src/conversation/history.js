@@ -0,0 +1,68 @@
+// src/conversation/history.js
+//
+// Earlier turns of a chat for the cloud path (the last user message is the question itself).
+// - trimHistory: keeps the newest turns within CLOUD_HISTORY_MAX_TURNS / CLOUD_HISTORY_MAX_CHARS
+//   (the character budget includes the question); system turns are always kept and not counted
+// - sanitizeHistory: every turn is sanitized on its own with the request's vault, so a value gets
+//   the same placeholder in every turn ([EMAIL_1] stays [EMAIL_1])
+//
+// The sanitized turns go into the envelope as conversation_sanitized: [{ role, content }].
+
+const { sanitizeTextWithReport } = require("../sanitizer/sanitizeText");
+
+const CLOUD_HISTORY_MAX_TURNS = Number(process.env.CLOUD_HISTORY_MAX_TURNS ?? 20);
+const CLOUD_HISTORY_MAX_CHARS = Number(process.env.CLOUD_HISTORY_MAX_CHARS ?? 24000);
+
+const TURN_ROLES = ["system", "user", "assistant"];
+
+/**
+ * turns: [{ role, text }] oldest first. reservedChars: the question's length.
+ * Returns { turns, dropped } (turns in their original order).
+ */
+function trimHistory(
+  turns,
+  { maxTurns = CLOUD_HISTORY_MAX_TURNS, maxChars = CLOUD_HISTORY_MAX_CHARS, reservedChars = 0 } = {}
+) {
+  const pinned = turns.filter((t) => t.role === "system");
+  let budget = maxChars - reservedChars - pinned.reduce((n, t) => n + t.text.length, 0);
+
+  // Newest first until the turn or character budget runs out; older turns are dropped
+  const kept = new Set(pinned);
+  const others = turns.filter((t) => t.role !== "system");
+  let count = 0;
+  for (let i = others.length - 1; i >= 0; i--) {
+    if (count >= maxTurns || others[i].text.length > budget) break;
+    budget -= others[i].text.length;
+    kept.add(others[i]);
+    count += 1;
+  }
+
+  return {
+    turns: turns.filter((t) => kept.has(t)),
+    dropped: others.length - count,
+  };
+}
+
+/**
+ * Sanitize each turn with the shared vault. Returns { turns: [{ role, content }], report }
+ * where report is { total, counts } over all turns (no values, no offsets).
+ */
+function sanitizeHistory(turns, { vault, removedValues } = {}) {
+  const counts = {};
+  let total = 0;
+
+  const sanitized = turns.map(({ role, text }) => {
+    const { text: content, report } = sanitizeTextWithReport(text, { vault, removedValues });
+    total += report.total;
+    for (const [category, n] of Object.entries(report.counts)) counts[category] = (counts[category] || 0) + n;
+    return { role, content };
+  });
+
+  return { turns: sanitized, report: { total, counts } };
+}
+
+module.exports = {
+  TURN_ROLES,
+  trimHistory,
+  sanitizeHistory,
+};
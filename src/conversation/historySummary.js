@@ -0,0 +1,167 @@
+// src/conversation/historySummary.js
+//
+// Local summary of the earlier conversation for envelope.context_summary_sanitized.
+// The local model turns the history into a few bullet points; each bullet is then graded by the
+// policy detectors (bullets above SENSITIVITY_CLOUD_MAX_LEVEL are dropped) and sanitized with the
+// request's vault before it may leave the machine.
+//
+// Summaries are cached per conversation (proxy memory only, like the pseudonym vault). The cache
+// holds the raw bullets, so every request masks them with its own vault. When a conversation
+// grows, only the new turns are folded into the cached bullets.
+//
+// HISTORY_SUMMARY ("true" default), HISTORY_SUMMARY_MIN_TURNS (4), HISTORY_SUMMARY_MAX_BULLETS (5),
+// HISTORY_SUMMARY_CACHE_SIZE (conversations kept, 200).
+
+const crypto = require("crypto");
+const { sanitizeTextWithReport } = require("../sanitizer/sanitizeText");
+const { scoreSensitivity, cloudAllowedForLevel } = require("../policy/sensitivity");
+const { ollamaCompleteText } = require("../local/ollamaClient");
+
+const HISTORY_SUMMARY = (process.env.HISTORY_SUMMARY || "true") === "true";
+const HISTORY_SUMMARY_MIN_TURNS = Number(process.env.HISTORY_SUMMARY_MIN_TURNS || 4);
+const HISTORY_SUMMARY_MAX_BULLETS = Number(process.env.HISTORY_SUMMARY_MAX_BULLETS || 5);
+const HISTORY_SUMMARY_CACHE_SIZE = Number(process.env.HISTORY_SUMMARY_CACHE_SIZE || 200);
+
+const SUMMARY_SYSTEM_PROMPT = [
+  "You summarize a conversation between a user and an assistant for another assistant that continues it.",
+  `Reply with at most ${HISTORY_SUMMARY_MAX_BULLETS} short bullet points, one per line, each starting with "- ".`,
+  "Keep the topic, decisions made, constraints and open questions.",
+  "Never copy logs, configuration, source code, credentials or personal data; describe them generically.",
+  "Output only the bullet points.",
+].join("\n");
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value, "utf8").digest("hex");
+}
+
+/**
+ * Stable id for a conversation: the caller plus its first non-system turn
+ * (the history prefix does not change while the chat goes on).
+ */
+function conversationKey(identity, turns) {
+  const first = turns.find((t) => t.role !== "system");
+  if (!first) return null;
+  return sha256([identity.tenant, identity.keyId, first.text].join("\0")).slice(0, 16);
+}
+
+function digestTurns(turns) {
+  return sha256(JSON.stringify(turns.map((t) => [t.role, t.text])));
+}
+
+function formatTurns(turns) {
+  return turns.map((t) => `${t.role}: ${t.text}`).join("\n\n");
+}
+
+const BULLET_RE = /^\s*(?:[-*•]|\d+[.)])\s+/;
+
+// Bullet lines of the reply (a preamble such as "Summary:" is skipped); plain lines if there are none
+function parseBullets(reply, max = HISTORY_SUMMARY_MAX_BULLETS) {
+  const lines = String(reply || "").split("\n").filter((l) => l.trim());
+  const marked = lines.filter((l) => BULLET_RE.test(l));
+  return (marked.length ? marked : lines)
+    .map((l) => l.replace(BULLET_RE, "").trim())
+    .filter(Boolean)
+    .slice(0, max);
+}
+
+/**
+ * createHistorySummarizer({ model, complete, cacheSize }) -> { summarize(key, turns, options), clear(), size }
+ * complete is injectable for tests (defaults to the local Ollama model).
+ */
+function createHistorySummarizer({
+  model,
+  complete = ollamaCompleteText,
+  cacheSize = HISTORY_SUMMARY_CACHE_SIZE,
+  maxBullets = HISTORY_SUMMARY_MAX_BULLETS,
+} = {}) {
+  // key -> { turns, digest, bullets } (Map order = least recently used first)
+  const cache = new Map();
+
+  function remember(key, entry) {
+    cache.delete(key);
+    cache.set(key, entry);
+    while (cache.size > cacheSize) cache.delete(cache.keys().next().value);
+  }
+
+  /**
+   * Raw bullets for the turns: { bullets, source } where source is "cache", "model",
+   * "incremental" or "skipped" (dry run without a cached summary).
+   * options: { noCache (recompute, /no-cache), dryRun (never calls the model) }
+   */
+  async function summarize(key, turns, { noCache = false, dryRun = false } = {}) {
+    const cached = key && !noCache ? cache.get(key) : null;
+    const prefixMatches =
+      cached && turns.length >= cached.turns && digestTurns(turns.slice(0, cached.turns)) === cached.digest;
+
+    if (prefixMatches && cached.turns === turns.length) {
+      remember(key, cached);
+      return { bullets: cached.bullets, source: "cache" };
+    }
+    if (dryRun) return { bullets: [], source: "skipped" };
+
+    const prompt = prefixMatches
+      ? `Summary so far:\n${cached.bullets.map((b) => `- ${b}`).join("\n")}\n\n` +
+        `New turns:\n${formatTurns(turns.slice(cached.turns))}`
+      : formatTurns(turns);
+    const bullets = parseBullets(await complete({ model, system: SUMMARY_SYSTEM_PROMPT, prompt }), maxBullets);
+
+    if (key) remember(key, { turns: turns.length, digest: digestTurns(turns), bullets });
+    return { bullets, source: prefixMatches ? "incremental" : "model" };
+  }
+
+  return {
+    summarize,
+    clear: () => cache.clear(),
+    get size() {
+      return cache.size;
+    },
+  };
+}
+
+/**
+ * Policy check and sanitization of raw bullets for the envelope.
+ * Returns { bullets, dropped, report: { total, counts } }.
+ */
+function sanitizeSummaryBullets(bullets, { vault, removedValues, cloudMaxLevel } = {}) {
+  const counts = {};
+  let total = 0;
+  let dropped = 0;
+  const out = [];
+
+  for (const bullet of bullets) {
+    if (!cloudAllowedForLevel(scoreSensitivity(bullet).level, cloudMaxLevel)) {
+      dropped += 1;
+      continue;
+    }
+    const { text, report } = sanitizeTextWithReport(bullet, { vault, removedValues });
+    total += report.total;
+    for (const [category, n] of Object.entries(report.counts)) counts[category] = (counts[category] || 0) + n;
+    out.push(text);
+  }
+
+  return { bullets: out, dropped, report: { total, counts } };
+}
+
+// The default instance (proxy); tests can swap it with setHistorySummarizer.
+let activeSummarizer = null;
+
+function getHistorySummarizer(options) {
+  if (!activeSummarizer) activeSummarizer = createHistorySummarizer(options);
+  return activeSummarizer;
+}
+
+function setHistorySummarizer(summarizer) {
+  activeSummarizer = summarizer;
+}
+
+module.exports = {
+  HISTORY_SUMMARY,
+  HISTORY_SUMMARY_MIN_TURNS,
+  SUMMARY_SYSTEM_PROMPT,
+  conversationKey,
+  parseBullets,
+  createHistorySummarizer,
+  sanitizeSummaryBullets,
+  getHistorySummarizer,
+  setHistorySummarizer,
+};
@@ -1,54 +1,450 @@
-const fs = require("fs");
-const path = require("path");
+// src/cost/costGuard.js
+//
+// Cloud cost guard. Two dimensions, both per day and per month:
+// - requests: CLOUD_DAILY_LIMIT / CLOUD_MONTHLY_LIMIT
+// - spend: CLOUD_DAILY_BUDGET / CLOUD_MONTHLY_BUDGET in COST_CURRENCY (unset = no spend limit),
+//   from the input/output tokens Bedrock reports and the price table (src/cost/pricing.js)
+//
+// Every cloud call goes through reserve -> commit | refund (state in the cost store, src/cost/costStore.js):
+// - reserveCloudCost(identity, { estimate }): pre-flight check; counts the request and holds the
+//   estimated cost (estimateCloudCost) so parallel calls cannot overrun a budget together
+// - commitCloudCost(reservation, usage): books the actual tokens and spend
+// - refundCloudCost(reservation): the call failed before Bedrock billed anything; request and hold are returned
+//
+// Per-key and per-user quotas sit on top of the global limits, in the same two dimensions:
+// - defaults: KEY_DAILY_LIMIT / KEY_MONTHLY_LIMIT / KEY_DAILY_BUDGET / KEY_MONTHLY_BUDGET and the
+//   USER_* equivalents (0 / unset = no limit)
+// - a key file entry overrides them with "quota" and "userQuota" (src/auth/keyStore.js)
+// - "user" is the OpenAI request field (Open WebUI sends its user id); users are counted per key
+//
+// Old day/month entries are pruned on every write (COST_KEEP_DAYS, COST_KEEP_MONTHS), and holds of
+// calls that never settled (crashed process) expire after COST_RESERVATION_TTL_MS.
 
-const STATE_FILE =
-  process.env.COST_STATE_FILE || "/tmp/hybrid_proxy_cost.json";
+const crypto = require("crypto");
+const { costOf, getPricing } = require("./pricing");
+const { getCostStore } = require("./costStore");
 
 const DAILY_LIMIT = Number(process.env.CLOUD_DAILY_LIMIT || 50);
 const MONTHLY_LIMIT = Number(process.env.CLOUD_MONTHLY_LIMIT || 1000);
 
-function loadState() {
-  try {
-    return JSON.parse(fs.readFileSync(STATE_FILE, "utf8"));
-  } catch {
-    return { day: {}, month: {} };
+// Spend budgets in COST_CURRENCY (0 / unset = no spend limit)
+const DAILY_BUDGET = Number(process.env.CLOUD_DAILY_BUDGET || 0);
+const MONTHLY_BUDGET = Number(process.env.CLOUD_MONTHLY_BUDGET || 0);
+
+// Per-key / per-user defaults (0 / unset = no limit)
+const KEY_QUOTA = quotaFromEnv("KEY");
+const USER_QUOTA = quotaFromEnv("USER");
+
+// Output tokens assumed by the pre-flight estimate when the request sets no max_tokens
+const COST_ESTIMATE_OUTPUT_TOKENS = Number(process.env.COST_ESTIMATE_OUTPUT_TOKENS || 1024);
+// Rough input tokens per attached image (Claude: about width * height / 750)
+const IMAGE_TOKENS = 1600;
+
+const COST_KEEP_DAYS = Number(process.env.COST_KEEP_DAYS || 35);
+const COST_KEEP_MONTHS = Number(process.env.COST_KEEP_MONTHS || 13);
+const COST_RESERVATION_TTL_MS = Number(process.env.COST_RESERVATION_TTL_MS || 10 * 60 * 1000);
+
+function quotaFromEnv(prefix) {
+  return {
+    dailyRequests: Number(process.env[`${prefix}_DAILY_LIMIT`] || 0),
+    monthlyRequests: Number(process.env[`${prefix}_MONTHLY_LIMIT`] || 0),
+    dailyBudget: Number(process.env[`${prefix}_DAILY_BUDGET`] || 0),
+    monthlyBudget: Number(process.env[`${prefix}_MONTHLY_BUDGET`] || 0),
+  };
+}
+
+function todayKey(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+function monthKey(now = new Date()) {
+  return now.toISOString().slice(0, 7);
+}
+
+function roundMoney(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+/**
+ * Pre-flight estimate for one cloud call: { inputTokens, outputTokens, cost }.
+ * Input is estimated from the prompt (about 4 characters per token) plus images;
+ * output is maxTokens, or COST_ESTIMATE_OUTPUT_TOKENS when the request sets none.
+ */
+function estimateCloudCost({ modelId, prompt = "", maxTokens, images = 0 }) {
+  const inputTokens = Math.ceil(String(prompt).length / 4) + images * IMAGE_TOKENS;
+  const outputTokens = maxTokens || COST_ESTIMATE_OUTPUT_TOKENS;
+  return { inputTokens, outputTokens, cost: roundMoney(costOf({ modelId, inputTokens, outputTokens })) };
+}
+
+// -------------------- State helpers --------------------
+
+function spentIn(bucket, period, key) {
+  return (bucket.spend && bucket.spend[period] && bucket.spend[period][key]) || 0;
+}
+
+// Spend held by calls in flight for the day / month; match narrows it to a key ({ keyId }) or user
+function heldIn(state, period, key, match = {}) {
+  return Object.values(state.reservations || {})
+    .filter((r) => r[period] === key && Object.entries(match).every(([field, value]) => r[field] === value))
+    .reduce((n, r) => n + r.cost, 0);
+}
+
+function keyBucket(state, keyId) {
+  state.keys = state.keys || {};
+  return (state.keys[keyId] = state.keys[keyId] || { day: {}, month: {} });
+}
+
+// Users are counted inside their key's bucket
+function userBucket(state, keyId, user) {
+  const key = keyBucket(state, keyId);
+  key.users = key.users || {};
+  return (key.users[user] = key.users[user] || { day: {}, month: {} });
+}
+
+// Read-only lookup: an empty bucket for a key or user without usage yet
+function findBucket(state, keyId, user = null) {
+  const key = state.keys && state.keys[keyId];
+  const bucket = user ? key && key.users && key.users[user] : key;
+  return bucket || { day: {}, month: {} };
+}
+
+// Global bucket plus the key and user buckets a reservation is attributed to
+function reservationBuckets(state, { keyId, user }) {
+  if (!keyId) return [state];
+  return [state, keyBucket(state, keyId), ...(user ? [userBucket(state, keyId, user)] : [])];
+}
+
+// Adds to the request counters of a bucket (n = 1 on reserve, -1 on refund)
+function countRequest(bucket, { day, month }, n) {
+  bucket.day[day] = Math.max(0, (bucket.day[day] || 0) + n);
+  bucket.month[month] = Math.max(0, (bucket.month[month] || 0) + n);
+}
+
+// Adds tokens and spend to a bucket ({ spend, tokens } per day and month)
+function addUsage(bucket, { day, month }, { inputTokens, outputTokens, cost }) {
+  bucket.spend = bucket.spend || { day: {}, month: {} };
+  bucket.tokens = bucket.tokens || { day: {}, month: {} };
+
+  for (const [period, key] of [["day", day], ["month", month]]) {
+    bucket.spend[period][key] = (bucket.spend[period][key] || 0) + cost;
+    const t = (bucket.tokens[period][key] = bucket.tokens[period][key] || { input: 0, output: 0 });
+    t.input += inputTokens;
+    t.output += outputTokens;
+  }
+}
+
+function pruneMap(map, cutoff) {
+  for (const key of Object.keys(map || {})) if (key < cutoff) delete map[key];
+}
+
+function pruneBucket(bucket, { dayCutoff, monthCutoff }) {
+  pruneMap(bucket.day, dayCutoff);
+  pruneMap(bucket.month, monthCutoff);
+  for (const sub of [bucket.spend, bucket.tokens]) {
+    if (!sub) continue;
+    pruneMap(sub.day, dayCutoff);
+    pruneMap(sub.month, monthCutoff);
+  }
+}
+
+/**
+ * Drop day entries older than COST_KEEP_DAYS, month entries older than COST_KEEP_MONTHS
+ * and holds older than COST_RESERVATION_TTL_MS (their request stays counted).
+ * Users left without any counted month are dropped.
+ */
+function pruneState(state, now = new Date()) {
+  const cutoffs = {
+    dayCutoff: todayKey(new Date(now.getTime() - COST_KEEP_DAYS * 86400000)),
+    monthCutoff: monthKey(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - COST_KEEP_MONTHS + 1, 1))),
+  };
+
+  pruneBucket(state, cutoffs);
+  for (const bucket of Object.values(state.keys || {})) {
+    pruneBucket(bucket, cutoffs);
+    for (const [user, userUsage] of Object.entries(bucket.users || {})) {
+      pruneBucket(userUsage, cutoffs);
+      if (Object.keys(userUsage.month).length === 0) delete bucket.users[user];
+    }
+  }
+
+  for (const [id, r] of Object.entries(state.reservations || {})) {
+    if (now.getTime() - r.at > COST_RESERVATION_TTL_MS) delete state.reservations[id];
+  }
+  return state;
+}
+
+// -------------------- Quotas --------------------
+
+const GLOBAL_QUOTA = Object.freeze({
+  dailyRequests: DAILY_LIMIT,
+  monthlyRequests: MONTHLY_LIMIT,
+  dailyBudget: DAILY_BUDGET > 0 ? DAILY_BUDGET : null,
+  monthlyBudget: MONTHLY_BUDGET > 0 ? MONTHLY_BUDGET : null,
+});
+
+// Key file override over the env default; 0 / unset = no limit (null)
+function mergeQuota(defaults, override) {
+  const quota = {};
+  for (const field of Object.keys(defaults)) {
+    const value = override && override[field] !== undefined ? override[field] : defaults[field];
+    quota[field] = value > 0 ? value : null;
+  }
+  return quota;
+}
+
+/**
+ * The quota scopes a call by identity counts against, global first:
+ * [{ scope, who, quota, bucket, match }] with scope "global", "key" (when the identity has a keyId)
+ * and "user" (when it also carries the request's user). create = true makes missing buckets.
+ */
+function quotaScopes(state, identity, { create = false } = {}) {
+  const keyId = identity && identity.keyId ? identity.keyId : null;
+  const user = keyId && identity.user ? identity.user : null;
+  const scopes = [{ scope: "global", who: "", quota: GLOBAL_QUOTA, bucket: state, match: {} }];
+
+  if (keyId) {
+    scopes.push({
+      scope: "key",
+      who: ` for API key "${keyId}"`,
+      quota: mergeQuota(KEY_QUOTA, identity.quota),
+      bucket: create ? keyBucket(state, keyId) : findBucket(state, keyId),
+      match: { keyId },
+    });
   }
+  if (user) {
+    scopes.push({
+      scope: "user",
+      who: ` for user "${user}"`,
+      quota: mergeQuota(USER_QUOTA, identity.userQuota),
+      bucket: create ? userBucket(state, keyId, user) : findBucket(state, keyId, user),
+      match: { keyId, user },
+    });
+  }
+  return scopes;
 }
 
-function saveState(state) {
-  fs.writeFileSync(STATE_FILE, JSON.stringify(state));
+const QUOTA_ERROR_CODE = "insufficient_quota";
+
+// Start of the next day / month (UTC), when a period's counters reset
+function periodResetsAt(period, key) {
+  const [year, month, day] = key.split("-").map(Number);
+  return new Date(period === "day" ? Date.UTC(year, month - 1, day + 1) : Date.UTC(year, month, 1)).toISOString();
 }
 
-function todayKey() {
-  return new Date().toISOString().slice(0, 10);
+// Cost guard refusals: HTTP 429, code "insufficient_quota", details { scope, period, resetsAt }
+function quotaError(message, { scope, period, key }) {
+  const error = new Error(message);
+  error.status = 429;
+  error.code = QUOTA_ERROR_CODE;
+  error.details = { scope, period, resetsAt: periodResetsAt(period, key) };
+  return error;
 }
 
-function monthKey() {
-  return new Date().toISOString().slice(0, 7);
+function isQuotaError(error) {
+  return Boolean(error) && error.code === QUOTA_ERROR_CODE;
 }
 
-function assertCostAllowed() {
-  const state = loadState();
+const PERIODS = [
+  { label: "Daily", period: "day", requests: "dailyRequests", budget: "dailyBudget" },
+  { label: "Monthly", period: "month", requests: "monthlyRequests", budget: "monthlyBudget" },
+];
 
-  const day = todayKey();
-  const month = monthKey();
+function checkScope(state, { scope, who, quota, bucket, match }, when, estimate) {
+  for (const { label, period, requests } of PERIODS) {
+    const limit = quota[requests];
+    if (limit !== null && (bucket[period][when[period]] || 0) >= limit) {
+      throw quotaError(`${label} cloud request limit exceeded${who}`, { scope, period, key: when[period] });
+    }
+  }
 
-  state.day[day] = state.day[day] || 0;
-  state.month[month] = state.month[month] || 0;
+  const { currency } = getPricing();
+  for (const { label, period, budget: field } of PERIODS) {
+    const budget = quota[field];
+    if (budget === null) continue;
 
-  if (state.day[day] >= DAILY_LIMIT) {
-    throw new Error("Daily cloud request limit exceeded");
+    const key = when[period];
+    const committed = spentIn(bucket, period, key) + heldIn(state, period, key, match);
+    if (committed >= budget) {
+      throw quotaError(`${label} cloud budget exceeded${who} (${roundMoney(committed)} of ${budget} ${currency})`, {
+        scope,
+        period,
+        key,
+      });
+    }
+    if (estimate && committed + estimate.cost > budget) {
+      throw quotaError(
+        `Estimated cloud cost (${estimate.cost} ${currency}) exceeds the remaining ${label.toLowerCase()} budget${who} ` +
+          `(${roundMoney(budget - committed)} ${currency})`,
+        { scope, period, key }
+      );
+    }
   }
+}
+
+// -------------------- Reserve / commit / refund --------------------
+
+/**
+ * Pre-flight check for one cloud call. Throws (status 429) if a request limit or spend budget is
+ * exhausted, or if the estimate would go over a remaining budget (spend of calls in flight included):
+ * the global limits first, then the quota of identity's key and of identity.user within that key.
+ * Returns the reservation to commit or refund: { id, keyId, user, day, month, cost }.
+ */
+async function reserveCloudCost(identity, { estimate = null } = {}, store = getCostStore()) {
+  const now = new Date();
+  const when = { day: todayKey(now), month: monthKey(now) };
+
+  return store.update((state) => {
+    pruneState(state, now);
+
+    for (const scope of quotaScopes(state, identity)) checkScope(state, scope, when, estimate);
+
+    const reservation = {
+      id: crypto.randomUUID(),
+      keyId: identity && identity.keyId ? identity.keyId : null,
+      user: identity && identity.keyId && identity.user ? identity.user : null,
+      ...when,
+      cost: estimate ? estimate.cost : 0,
+    };
+
+    for (const bucket of reservationBuckets(state, reservation)) countRequest(bucket, when, 1);
 
-  if (state.month[month] >= MONTHLY_LIMIT) {
-    throw new Error("Monthly cloud request limit exceeded");
+    state.reservations = state.reservations || {};
+    state.reservations[reservation.id] = { ...reservation, at: now.getTime() };
+    return reservation;
+  });
+}
+
+/**
+ * Book the actual usage of a reserved call (tokens as reported by Bedrock), on the day it was
+ * reserved. usage: { modelId, inputTokens, outputTokens }. Returns { inputTokens, outputTokens, cost }.
+ */
+async function commitCloudCost(reservation, { modelId, inputTokens = 0, outputTokens = 0 }, store = getCostStore()) {
+  const booked = { inputTokens, outputTokens, cost: costOf({ modelId, inputTokens, outputTokens }) };
+
+  await store.update((state) => {
+    pruneState(state);
+    if (state.reservations) delete state.reservations[reservation.id];
+    for (const bucket of reservationBuckets(state, reservation)) addUsage(bucket, reservation, booked);
+  });
+
+  return { ...booked, cost: roundMoney(booked.cost) };
+}
+
+/**
+ * Give back a reservation whose call never reached Bedrock (or failed without being billed).
+ */
+async function refundCloudCost(reservation, store = getCostStore()) {
+  await store.update((state) => {
+    pruneState(state);
+    if (!state.reservations || !state.reservations[reservation.id]) return; // already settled or expired
+    delete state.reservations[reservation.id];
+    for (const bucket of reservationBuckets(state, reservation)) countRequest(bucket, reservation, -1);
+  });
+}
+
+// -------------------- Status --------------------
+
+function periodStatus(bucket, period, key, { limit, budget, held }) {
+  const used = (bucket[period] && bucket[period][key]) || 0;
+  const spent = roundMoney(spentIn(bucket, period, key));
+  const tokens = (bucket.tokens && bucket.tokens[period] && bucket.tokens[period][key]) || { input: 0, output: 0 };
+  return {
+    used,
+    limit,
+    remaining: limit === null ? null : Math.max(0, limit - used),
+    spent,
+    budget,
+    budgetRemaining: budget === null ? null : roundMoney(Math.max(0, budget - spent - held)),
+    tokens,
+  };
+}
+
+// { daily, monthly } of one quota scope (limit / budget null = no limit in that scope)
+function scopeStatus(state, { quota, bucket, match }, when) {
+  const status = {};
+  for (const { period, requests, budget } of PERIODS) {
+    status[period === "day" ? "daily" : "monthly"] = periodStatus(bucket, period, when[period], {
+      limit: quota[requests],
+      budget: quota[budget],
+      held: heldIn(state, period, when[period], match),
+    });
   }
+  return status;
+}
+
+function currentPeriods() {
+  const now = new Date();
+  return { day: todayKey(now), month: monthKey(now) };
+}
+
+// Read-only view of the counters (never increments), e.g. for dry-run route explanations and
+// /v1/usage. With an identity, its key's usage and quota (and its user's, with identity.user)
+// are included under key / user.
+async function getCostStatus(identity, store = getCostStore()) {
+  const state = await store.read();
+  const when = currentPeriods();
+  const [global, key, user] = quotaScopes(state, identity);
 
-  state.day[day]++;
-  state.month[month]++;
+  return {
+    currency: getPricing().currency,
+    ...scopeStatus(state, global, when),
+    inFlight: Object.keys(state.reservations || {}).length,
+    ...(key ? { key: { keyId: identity.keyId, ...scopeStatus(state, key, when) } } : {}),
+    ...(user ? { user: { user: identity.user, ...scopeStatus(state, user, when) } } : {}),
+  };
+}
+
+/**
+ * Admin view: the global status plus every key (with its users) that has usage or is listed in
+ * identities (the configured keys, whose quotas apply). Keys and users are sorted by id.
+ */
+async function listUsage(identities = [], store = getCostStore()) {
+  const state = await store.read();
+  const when = currentPeriods();
+  const byId = new Map(identities.map((identity) => [identity.keyId, identity]));
+  const keyIds = [...new Set([...byId.keys(), ...Object.keys(state.keys || {})])].sort();
+
+  const keys = keyIds.map((keyId) => {
+    const identity = byId.get(keyId) || { keyId };
+    const users = Object.keys(findBucket(state, keyId).users || {})
+      .sort()
+      .map((user) => ({ user, ...scopeStatus(state, quotaScopes(state, { ...identity, user })[2], when) }));
+    return { keyId, ...scopeStatus(state, quotaScopes(state, identity)[1], when), users };
+  });
 
-  saveState(state);
+  return {
+    currency: getPricing().currency,
+    ...scopeStatus(state, quotaScopes(state, null)[0], when),
+    inFlight: Object.keys(state.reservations || {}).length,
+    keys,
+  };
 }
 
-module.exports = { assertCostAllowed };
+/**
+ * Share of the cloud quota still left (0..1): the smallest of the request and spend
+ * dimensions, daily and monthly, globally and for the caller's key and user when the status has them.
+ * 0 means no cloud call would pass the guard.
+ */
+function quotaRemainingShare(status) {
+  const shares = [];
+  for (const scope of [status, status.key, status.user]) {
+    if (!scope) continue;
+    for (const p of [scope.daily, scope.monthly]) {
+      if (p.limit !== null) shares.push(p.limit > 0 ? p.remaining / p.limit : 0);
+      if (p.budget) shares.push(p.budgetRemaining / p.budget);
+    }
+  }
+  return Math.min(...shares);
+}
 
+module.exports = {
+  estimateCloudCost,
+  reserveCloudCost,
+  commitCloudCost,
+  refundCloudCost,
+  pruneState,
+  getCostStatus,
+  listUsage,
+  quotaRemainingShare,
+  isQuotaError,
+};
@@ -0,0 +1,195 @@
+// src/cost/costStore.js
+//
+// Where the cost guard keeps its state document (request counters, spend, tokens, reservations).
+// Every backend offers the same interface:
+//
+//   read()       -> Promise<state>      snapshot, for status views
+//   update(fn)   -> Promise<fn result>  atomic read-modify-write; fn mutates the state it is given
+//   close()
+//
+// COST_STORE:
+// - "file" (default): JSON at COST_STATE_FILE. update() holds a lock file (created with O_EXCL) and
+//   writes a temp file that is renamed over the state, so readers never see a half-written file and
+//   parallel requests (or proxy processes) cannot lose increments.
+// - "sqlite": COST_SQLITE_FILE, the same document in one row, updated in IMMEDIATE transactions.
+//   Needs Node 22.5+ (node:sqlite) or the optional "better-sqlite3" package.
+
+const fs = require("fs");
+const crypto = require("crypto");
+
+const COST_STORE = (process.env.COST_STORE || "file").toLowerCase();
+const COST_STATE_FILE = process.env.COST_STATE_FILE || "/tmp/hybrid_proxy_cost.json";
+const COST_SQLITE_FILE = process.env.COST_SQLITE_FILE || "/tmp/hybrid_proxy_cost.sqlite";
+const COST_LOCK_TIMEOUT_MS = Number(process.env.COST_LOCK_TIMEOUT_MS || 5000);
+
+// A lock older than this belongs to a crashed process and is taken over
+const STALE_LOCK_MS = 30000;
+const LOCK_RETRY_MS = 10;
+
+const COST_STORES = ["file", "sqlite"];
+
+function emptyState() {
+  return { day: {}, month: {} };
+}
+
+function parseState(text) {
+  try {
+    const state = JSON.parse(text);
+    return state && typeof state === "object" ? state : emptyState();
+  } catch {
+    return emptyState();
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * JSON file backend. Reads need no lock: the file is only ever replaced by rename.
+ */
+function createFileCostStore({ file = COST_STATE_FILE, lockTimeoutMs = COST_LOCK_TIMEOUT_MS } = {}) {
+  const lockFile = `${file}.lock`;
+
+  async function acquire() {
+    const started = Date.now();
+    for (;;) {
+      try {
+        const fd = fs.openSync(lockFile, "wx");
+        fs.writeSync(fd, String(process.pid));
+        fs.closeSync(fd);
+        return;
+      } catch (e) {
+        if (e.code !== "EEXIST") throw e;
+      }
+
+      try {
+        if (Date.now() - fs.statSync(lockFile).mtimeMs > STALE_LOCK_MS) {
+          fs.rmSync(lockFile, { force: true });
+          continue;
+        }
+      } catch {
+        continue; // released in the meantime
+      }
+
+      if (Date.now() - started > lockTimeoutMs) {
+        throw new Error(`Cost state ${file} is locked (waited ${lockTimeoutMs} ms)`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  function readNow() {
+    try {
+      return parseState(fs.readFileSync(file, "utf8"));
+    } catch {
+      return emptyState();
+    }
+  }
+
+  async function update(fn) {
+    await acquire();
+    try {
+      const state = readNow();
+      const result = fn(state);
+      const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(state));
+      fs.renameSync(tmp, file);
+      return result;
+    } finally {
+      fs.rmSync(lockFile, { force: true });
+    }
+  }
+
+  return {
+    kind: "file",
+    read: async () => readNow(),
+    update,
+    close() {},
+  };
+}
+
+function openSqlite(file) {
+  try {
+    // Built in from Node 22.5
+    const { DatabaseSync } = require("node:sqlite");
+    return new DatabaseSync(file);
+  } catch {
+    // fall through to the optional package
+  }
+  try {
+    const Database = require("better-sqlite3");
+    return new Database(file);
+  } catch {
+    throw new Error(
+      'COST_STORE=sqlite requires Node 22.5+ (node:sqlite) or the "better-sqlite3" package (npm install better-sqlite3)'
+    );
+  }
+}
+
+/**
+ * Embedded SQLite backend. SQLite's own locking serializes writers across processes.
+ */
+function createSqliteCostStore({ file = COST_SQLITE_FILE, lockTimeoutMs = COST_LOCK_TIMEOUT_MS } = {}) {
+  const db = openSqlite(file);
+  db.exec(`PRAGMA journal_mode = WAL; PRAGMA busy_timeout = ${Math.max(0, Math.floor(lockTimeoutMs))};`);
+  db.exec("CREATE TABLE IF NOT EXISTS cost_state (id INTEGER PRIMARY KEY CHECK (id = 1), doc TEXT NOT NULL)");
+
+  const select = db.prepare("SELECT doc FROM cost_state WHERE id = 1");
+  const upsert = db.prepare(
+    "INSERT INTO cost_state (id, doc) VALUES (1, ?) ON CONFLICT (id) DO UPDATE SET doc = excluded.doc"
+  );
+
+  function readNow() {
+    const row = select.get();
+    return row ? parseState(row.doc) : emptyState();
+  }
+
+  async function update(fn) {
+    db.exec("BEGIN IMMEDIATE");
+    try {
+      const state = readNow();
+      const result = fn(state);
+      upsert.run(JSON.stringify(state));
+      db.exec("COMMIT");
+      return result;
+    } catch (e) {
+      db.exec("ROLLBACK");
+      throw e;
+    }
+  }
+
+  return {
+    kind: "sqlite",
+    read: async () => readNow(),
+    update,
+    close: () => db.close(),
+  };
+}
+
+function createCostStore(kind = COST_STORE, options = {}) {
+  if (kind === "file") return createFileCostStore(options);
+  if (kind === "sqlite") return createSqliteCostStore(options);
+  throw new Error(`COST_STORE must be one of: ${COST_STORES.join(", ")} (got "${kind}")`);
+}
+
+// The default instance; tests can swap it with setCostStore.
+let activeStore = null;
+
+function getCostStore() {
+  if (!activeStore) activeStore = createCostStore();
+  return activeStore;
+}
+
+function setCostStore(store) {
+  activeStore = store;
+}
+
+module.exports = {
+  COST_STORES,
+  createFileCostStore,
+  createSqliteCostStore,
+  createCostStore,
+  getCostStore,
+  setCostStore,
+};
@@ -0,0 +1,119 @@
+// src/cost/pricing.js
+//
+// Per-model prices for cloud cost accounting, in COST_CURRENCY per million tokens.
+// The built-in table covers the Claude models on Bedrock; CLOUD_PRICES_FILE (JSON or YAML)
+// adds or overrides entries:
+//
+// {
+//   "currency": "EUR",
+//   "models": { "anthropic.claude-3-5-sonnet": { "input": 2.8, "output": 14 } },
+//   "default": { "input": 15, "output": 75 }
+// }
+//
+// Model ids match by prefix, after an optional inference-profile region ("eu.", "us.", "apac."),
+// so "eu.anthropic.claude-3-5-sonnet-20240620-v1:0" finds "anthropic.claude-3-5-sonnet".
+// The longest matching prefix wins. Unknown models use "default" (the most expensive tier).
+
+const { loadConfigFile } = require("../config/loadConfigFile");
+
+const CLOUD_PRICES_FILE = process.env.CLOUD_PRICES_FILE || "";
+const COST_CURRENCY = process.env.COST_CURRENCY || "USD";
+
+const DEFAULT_PRICES = Object.freeze({
+  "anthropic.claude-3-haiku": { input: 0.25, output: 1.25 },
+  "anthropic.claude-3-5-haiku": { input: 0.8, output: 4 },
+  "anthropic.claude-3-sonnet": { input: 3, output: 15 },
+  "anthropic.claude-3-5-sonnet": { input: 3, output: 15 },
+  "anthropic.claude-3-7-sonnet": { input: 3, output: 15 },
+  "anthropic.claude-sonnet-4": { input: 3, output: 15 },
+  "anthropic.claude-3-opus": { input: 15, output: 75 },
+  "anthropic.claude-opus-4": { input: 15, output: 75 },
+});
+const DEFAULT_FALLBACK = Object.freeze({ input: 15, output: 75 });
+
+const REGION_PREFIX_RE = /^(?:[a-z]{2,4})\.(?=[a-z]+\.)/;
+
+let activePricing = null;
+
+function checkPrice(price, label) {
+  if (
+    !price ||
+    typeof price !== "object" ||
+    !(Number(price.input) >= 0) ||
+    !(Number(price.output) >= 0)
+  ) {
+    throw new Error(`Invalid price for ${label}: expected { "input": <number>, "output": <number> } per million tokens`);
+  }
+  return { input: Number(price.input), output: Number(price.output) };
+}
+
+/**
+ * Build a price table from a config document (see header). Returns
+ * { source, currency, models: [{ prefix, input, output }] (longest prefix first), fallback }.
+ */
+function compilePricing(doc = {}, { source = "<built-in>" } = {}) {
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    throw new Error(`Invalid price table ${source}: expected an object`);
+  }
+
+  const table = { ...DEFAULT_PRICES };
+  for (const [prefix, price] of Object.entries(doc.models || {})) {
+    table[prefix] = checkPrice(price, `"${prefix}" in ${source}`);
+  }
+
+  return {
+    source,
+    currency: typeof doc.currency === "string" && doc.currency ? doc.currency : COST_CURRENCY,
+    models: Object.entries(table)
+      .map(([prefix, price]) => ({ prefix, ...price }))
+      .sort((a, b) => b.prefix.length - a.prefix.length),
+    fallback: doc.default ? checkPrice(doc.default, `"default" in ${source}`) : DEFAULT_FALLBACK,
+  };
+}
+
+function loadPricing(filePath = CLOUD_PRICES_FILE) {
+  if (!filePath) return compilePricing({});
+  return compilePricing(loadConfigFile(filePath), { source: filePath });
+}
+
+function getPricing() {
+  if (!activePricing) activePricing = loadPricing();
+  return activePricing;
+}
+
+function setPricing(pricing) {
+  activePricing = pricing;
+}
+
+// "eu.anthropic.claude-3-5-sonnet-..." -> "anthropic.claude-3-5-sonnet-..."
+function baseModelId(modelId) {
+  return String(modelId || "").replace(REGION_PREFIX_RE, "");
+}
+
+/**
+ * Price of a Bedrock model id: { input, output, prefix } (prefix null = fallback).
+ */
+function priceForModel(modelId, pricing = getPricing()) {
+  const id = baseModelId(modelId);
+  const hit = pricing.models.find((m) => id.startsWith(m.prefix));
+  return hit ? { input: hit.input, output: hit.output, prefix: hit.prefix } : { ...pricing.fallback, prefix: null };
+}
+
+/**
+ * Cost of one call in the table's currency.
+ */
+function costOf({ modelId, inputTokens = 0, outputTokens = 0 }, pricing = getPricing()) {
+  const price = priceForModel(modelId, pricing);
+  return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  compilePricing,
+  loadPricing,
+  getPricing,
+  setPricing,
+  baseModelId,
+  priceForModel,
+  costOf,
+};
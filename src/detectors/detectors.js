@@ -0,0 +1,275 @@
+// src/detectors/detectors.js
+//
+// Single detector registry shared by the policy gate (policy.looksSensitive)
+// and the sanitizer (sanitizeText). Whatever the policy can detect, the
+// sanitizer redacts, because both run the same entries.
+//
+// Entry shape:
+// - id:        stable detector id
+// - category:  placeholder category ([SANITIZED:<category>] / [<category>_N])
+// - severity:  LOW | MEDIUM | HIGH | CRITICAL (see severity.js; drives the sensitivity level)
+// - regex:     detection regex (must be global)
+// - validate:  optional (match) => boolean (checksums, entropy) to cut false positives
+// - redact:    "match" replaces the whole match,
+//              "value" keeps the label and replaces only the (?<value>...) group
+// - replacement: optional fixed mask (rule packs); default [SANITIZED:<category>]
+//
+// Order matters: when matches overlap, the earlier detector wins.
+// Rule-pack detectors (SANITIZER_RULE_PACK, see rulePack.js) run after the built-ins.
+
+const {
+  luhnValid,
+  ibanValid,
+  ipv4Valid,
+  ipv6Valid,
+  highEntropySecret,
+} = require("./validators");
+const { loadRulePack } = require("./rulePack");
+
+// Suffixes treated as internal (non-public) domains. Extend with INTERNAL_DOMAINS=corp.example,acme.io
+const INTERNAL_DOMAIN_SUFFIXES = [
+  "internal",
+  "corp",
+  "local",
+  "lan",
+  "intranet",
+  "intra",
+  "private",
+  "home.arpa",
+  ...(process.env.INTERNAL_DOMAINS || "")
+    .split(",")
+    .map((d) => d.trim().replace(/^\./, "").toLowerCase())
+    .filter(Boolean),
+];
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const HOSTNAME_REGEX = new RegExp(
+  `\\b(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\\.)+(?:${INTERNAL_DOMAIN_SUFFIXES.map(escapeRegex).join("|")})\\b`,
+  "gi"
+);
+
+// Placeholders we emit ourselves must never be re-detected as a credential value.
+const NOT_A_PLACEHOLDER = String.raw`(?!\[(?:SANITIZED:|[A-Z][A-Z0-9_]*_\d+\]))`;
+
+const DETECTORS = Object.freeze([
+  {
+    id: "private_key",
+    category: "PRIVATE_KEY",
+    severity: "CRITICAL",
+    // Unterminated blocks are redacted up to the end of the text.
+    regex:
+      /-----BEGIN (?:RSA |EC |DSA |OPENSSH |ENCRYPTED )?PRIVATE KEY-----[\s\S]*?(?:-----END (?:RSA |EC |DSA |OPENSSH |ENCRYPTED )?PRIVATE KEY-----|$)/g,
+    redact: "match",
+  },
+  {
+    id: "ssh_public_key",
+    category: "SSH_KEY",
+    severity: "MEDIUM",
+    regex: /\b(?:ssh-(?:rsa|ed25519|dss)|ecdsa-sha2-nistp\d+)\s+AAAA[0-9A-Za-z+/]+=*(?:\s+[^\s@]+@[^\s]+)?/g,
+    redact: "match",
+  },
+  {
+    id: "jwt",
+    category: "JWT",
+    severity: "HIGH",
+    regex: /eyJ[A-Za-z0-9_-]+?\.[A-Za-z0-9_-]+?\.[A-Za-z0-9_-]+/g,
+    redact: "match",
+  },
+  {
+    id: "aws_access_key",
+    category: "KEY",
+    severity: "CRITICAL",
+    regex: /(?:AKIA|ASIA)[0-9A-Z]{16}/g,
+    redact: "match",
+  },
+  {
+    id: "github_token",
+    category: "TOKEN",
+    severity: "CRITICAL",
+    regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g,
+    redact: "match",
+  },
+  {
+    id: "slack_token",
+    category: "TOKEN",
+    severity: "CRITICAL",
+    regex: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g,
+    redact: "match",
+  },
+  {
+    id: "stripe_key",
+    category: "TOKEN",
+    severity: "CRITICAL",
+    regex: /\b(?:sk|rk|pk)_(?:live|test)_[A-Za-z0-9]{16,}\b/g,
+    redact: "match",
+  },
+  {
+    id: "credential_assignment",
+    category: "CREDENTIAL",
+    severity: "CRITICAL",
+    regex: new RegExp(
+      String.raw`\b(?:password|passwd|pwd|secret|token|api[_-]?key)[ \t]*[:=][ \t]*(?<value>"[^"\n]*"|'[^'\n]*'|${NOT_A_PLACEHOLDER}[^\s,;]+)`,
+      "gi"
+    ),
+    redact: "value",
+  },
+  {
+    id: "arn",
+    category: "ARN",
+    severity: "MEDIUM",
+    regex: /arn:aws[a-z-]*:[^\s]+/g,
+    redact: "match",
+  },
+  {
+    id: "email",
+    category: "EMAIL",
+    severity: "LOW",
+    regex: /[a-zA-Z0-9_.+-]+@[a-zA-Z0-9-]+\.[a-zA-Z0-9-.]+/g,
+    redact: "match",
+  },
+  {
+    id: "iban",
+    category: "IBAN",
+    severity: "HIGH",
+    regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+    validate: ibanValid,
+    redact: "match",
+  },
+  {
+    id: "credit_card",
+    category: "CREDIT_CARD",
+    severity: "HIGH",
+    regex: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: luhnValid,
+    redact: "match",
+  },
+  {
+    id: "aws_account_id",
+    category: "ACCOUNT_ID",
+    severity: "MEDIUM",
+    regex: /\b\d{12}\b/g,
+    redact: "match",
+  },
+  {
+    id: "ipv4",
+    category: "IP_ADDRESS",
+    severity: "LOW",
+    regex: /\b(?:\d{1,3}\.){3}\d{1,3}\b/g,
+    validate: ipv4Valid,
+    redact: "match",
+  },
+  {
+    id: "ipv6",
+    category: "IP_ADDRESS",
+    severity: "LOW",
+    regex: /(?<![0-9A-Za-z:.])(?:[0-9A-Fa-f]{0,4}:){2,7}[0-9A-Fa-f]{0,4}(?![0-9A-Za-z:])/g,
+    validate: ipv6Valid,
+    redact: "match",
+  },
+  {
+    id: "internal_hostname",
+    category: "HOSTNAME",
+    severity: "MEDIUM",
+    regex: HOSTNAME_REGEX,
+    redact: "match",
+  },
+  {
+    id: "high_entropy",
+    category: "SECRET",
+    severity: "HIGH",
+    regex: /(?<![A-Za-z0-9+/=_-])[A-Za-z0-9+/=_-]{32,}(?![A-Za-z0-9+/=_-])/g,
+    validate: (m) => highEntropySecret(m),
+    redact: "match",
+  },
+]);
+
+const BUILTIN_IDS = new Set(DETECTORS.map((d) => d.id));
+
+let activeRegistry = null;
+
+/**
+ * Built-in detectors plus the rule pack at rulePackPath (if any).
+ * Returns { detectors, allowlist }. Throws with a clear message on an invalid pack.
+ */
+function loadDetectorRegistry(rulePackPath = process.env.SANITIZER_RULE_PACK) {
+  if (!rulePackPath) return { detectors: DETECTORS, allowlist: [] };
+
+  const pack = loadRulePack(rulePackPath, { builtinIds: BUILTIN_IDS });
+  return {
+    detectors: [...DETECTORS.filter((d) => !pack.disabledBuiltins.has(d.id)), ...pack.detectors],
+    allowlist: pack.allowlist,
+  };
+}
+
+// Loaded once on first use; the proxy calls it at startup to fail fast.
+function getDetectorRegistry() {
+  if (!activeRegistry) activeRegistry = loadDetectorRegistry();
+  return activeRegistry;
+}
+
+function setDetectorRegistry(registry) {
+  activeRegistry = registry;
+}
+
+/**
+ * Find all detector matches in text.
+ * Returns non-overlapping spans sorted by position:
+ * [{ id, category, severity, start, end, value, replacement? }]  (start/end are offsets into text)
+ *
+ * Allowlisted values are never reported.
+ * `value` is the matched secret itself; callers must never log or forward it.
+ */
+function findMatches(text, { detectors, allowlist = [] } = getDetectorRegistry()) {
+  const s = String(text || "");
+  const spans = [];
+
+  const overlaps = (start, end) => spans.some((sp) => start < sp.end && end > sp.start);
+
+  for (const d of detectors) {
+    d.regex.lastIndex = 0;
+    for (const m of s.matchAll(d.regex)) {
+      if (!m[0]) continue;
+      if (d.validate && !d.validate(m[0])) continue;
+
+      let start = m.index;
+      let value = m[0];
+      if (d.redact === "value" && m.groups && m.groups.value) {
+        value = m.groups.value;
+        start = m.index + m[0].length - value.length;
+      }
+      const end = start + value.length;
+
+      if (overlaps(start, end)) continue;
+      if (allowlist.some((allowed) => allowed(value))) continue;
+
+      spans.push({
+        id: d.id,
+        category: d.category,
+        severity: d.severity,
+        start,
+        end,
+        value,
+        replacement: d.replacement,
+      });
+    }
+  }
+
+  return spans.sort((a, b) => a.start - b.start);
+}
+
+function hasMatch(text, registry = getDetectorRegistry()) {
+  return findMatches(text, registry).length > 0;
+}
+
+module.exports = {
+  DETECTORS,
+  INTERNAL_DOMAIN_SUFFIXES,
+  loadDetectorRegistry,
+  getDetectorRegistry,
+  setDetectorRegistry,
+  findMatches,
+  hasMatch,
+};
@@ -0,0 +1,151 @@
+// src/detectors/rulePack.js
+//
+// Company-specific sanitizer rules loaded from a JSON/YAML rule pack
+// (SANITIZER_RULE_PACK=/path/to/rules.json), so patterns can be added without forking the code.
+//
+// {
+//   "rules": [
+//     { "id": "customer-id", "category": "CUSTOMER_ID", "pattern": "CUST-\\d{6}", "flags": "i",
+//       "replacement": "[SANITIZED:CUSTOMER_ID]", "severity": "HIGH", "enabled": true },
+//     { "id": "high_entropy", "enabled": false }          // disables a built-in detector
+//   ],
+//   "allowlist": ["123456789012", { "pattern": "[^@\\s]+@example\\.com" }]
+// }
+//
+// "severity" (LOW..CRITICAL, default MEDIUM) feeds the sensitivity level (src/policy/sensitivity.js).
+// Packs are validated when loaded; any problem (bad regex, missing field) throws with the
+// file and rule id in the message so the proxy fails fast at startup.
+
+const { loadConfigFile } = require("../config/loadConfigFile");
+const { LEVELS, isLevel } = require("./severity");
+
+const CATEGORY_RE = /^[A-Z][A-Z0-9_]*$/;
+const FLAGS_RE = /^[imsuy]*$/;
+
+function packError(source, message) {
+  const error = new Error(`Rule pack ${source}: ${message}`);
+  error.details = { source };
+  return error;
+}
+
+function compileRegex(source, label, pattern, flags = "") {
+  if (typeof pattern !== "string" || !pattern) {
+    throw packError(source, `${label} needs a non-empty "pattern" string`);
+  }
+  if (typeof flags !== "string" || !FLAGS_RE.test(flags)) {
+    throw packError(source, `${label} has invalid flags "${flags}" (allowed: i, m, s, u, y)`);
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(pattern, `${flags}g`);
+  } catch (e) {
+    throw packError(source, `${label} has an invalid regex: ${e.message}`);
+  }
+
+  if (new RegExp(pattern, flags).test("")) {
+    throw packError(source, `${label} matches the empty string`);
+  }
+  return regex;
+}
+
+function compileRule(source, rule, index, builtinIds) {
+  if (!rule || typeof rule !== "object") {
+    throw packError(source, `rules[${index}] must be an object`);
+  }
+
+  const id = rule.id;
+  if (typeof id !== "string" || !id) {
+    throw packError(source, `rules[${index}] needs a non-empty "id"`);
+  }
+  const label = `rule "${id}"`;
+
+  if (rule.enabled !== undefined && typeof rule.enabled !== "boolean") {
+    throw packError(source, `${label} "enabled" must be true or false`);
+  }
+
+  // A rule named after a built-in detector may only switch it off.
+  if (builtinIds.has(id)) {
+    if (rule.enabled !== false || rule.pattern !== undefined) {
+      throw packError(source, `${label} shadows a built-in detector; only { "enabled": false } is allowed`);
+    }
+    return { disableBuiltin: id };
+  }
+
+  if (typeof rule.category !== "string" || !CATEGORY_RE.test(rule.category)) {
+    throw packError(source, `${label} needs an UPPER_SNAKE_CASE "category"`);
+  }
+  if (rule.replacement !== undefined && typeof rule.replacement !== "string") {
+    throw packError(source, `${label} "replacement" must be a string`);
+  }
+  if (rule.severity !== undefined && (!isLevel(rule.severity) || rule.severity === "NONE")) {
+    throw packError(source, `${label} has invalid severity "${rule.severity}" (expected one of: ${LEVELS.slice(1).join(", ")})`);
+  }
+
+  const regex = compileRegex(source, label, rule.pattern, rule.flags);
+  if (rule.enabled === false) return null;
+
+  return {
+    detector: {
+      id,
+      category: rule.category,
+      severity: rule.severity || "MEDIUM",
+      regex,
+      redact: "match",
+      ...(rule.replacement ? { replacement: rule.replacement } : {}),
+    },
+  };
+}
+
+function compileAllowlist(source, allowlist) {
+  if (allowlist === undefined) return [];
+  if (!Array.isArray(allowlist)) throw packError(source, `"allowlist" must be an array`);
+
+  return allowlist.map((entry, i) => {
+    if (typeof entry === "string" && entry) {
+      const value = entry.toLowerCase();
+      return (candidate) => candidate.toLowerCase() === value;
+    }
+    if (entry && typeof entry === "object") {
+      const regex = compileRegex(source, `allowlist[${i}]`, entry.pattern, entry.flags);
+      const full = new RegExp(`^(?:${regex.source})$`, regex.flags.replace("g", ""));
+      return (candidate) => full.test(candidate);
+    }
+    throw packError(source, `allowlist[${i}] must be a string or { "pattern": "..." }`);
+  });
+}
+
+/**
+ * Validate and compile a parsed rule pack.
+ * Returns { detectors, disabledBuiltins: Set<string>, allowlist: Array<(value) => boolean> }
+ */
+function compileRulePack(pack, { source = "<inline>", builtinIds = new Set() } = {}) {
+  if (!pack || typeof pack !== "object" || Array.isArray(pack)) {
+    throw packError(source, "must be an object with \"rules\" and/or \"allowlist\"");
+  }
+  if (pack.rules !== undefined && !Array.isArray(pack.rules)) {
+    throw packError(source, `"rules" must be an array`);
+  }
+
+  const detectors = [];
+  const disabledBuiltins = new Set();
+  const seen = new Set();
+
+  (pack.rules || []).forEach((rule, i) => {
+    const compiled = compileRule(source, rule, i, builtinIds);
+    if (seen.has(rule.id)) throw packError(source, `duplicate rule id "${rule.id}"`);
+    seen.add(rule.id);
+
+    if (!compiled) return;
+    if (compiled.disableBuiltin) disabledBuiltins.add(compiled.disableBuiltin);
+    else detectors.push(compiled.detector);
+  });
+
+  return { detectors, disabledBuiltins, allowlist: compileAllowlist(source, pack.allowlist) };
+}
+
+function loadRulePack(filePath, options = {}) {
+  return compileRulePack(loadConfigFile(filePath), { ...options, source: filePath });
+}
+
+module.exports = { compileRulePack, loadRulePack };
@@ -0,0 +1,20 @@
+// src/detectors/severity.js
+//
+// Sensitivity levels, lowest first. Every detector carries one as its "severity";
+// the sensitivity scorer (src/policy/sensitivity.js) grades whole inputs on the same scale.
+
+const LEVELS = Object.freeze(["NONE", "LOW", "MEDIUM", "HIGH", "CRITICAL"]);
+
+function levelRank(level) {
+  return LEVELS.indexOf(level);
+}
+
+function maxLevel(a, b) {
+  return levelRank(a) >= levelRank(b) ? a : b;
+}
+
+function isLevel(value) {
+  return LEVELS.includes(value);
+}
+
+module.exports = { LEVELS, levelRank, maxLevel, isLevel };
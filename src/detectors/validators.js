@@ -0,0 +1,80 @@
+// src/detectors/validators.js
+//
+// Checksum / shape validators used by the detector registry to cut false positives.
+
+const net = require("net");
+
+function luhnValid(value) {
+  const digits = String(value).replace(/[ -]/g, "");
+  if (!/^\d{13,19}$/.test(digits)) return false;
+
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let d = digits.charCodeAt(i) - 48;
+    if (double) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+function ibanValid(value) {
+  const iban = String(value).replace(/ /g, "").toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+
+  // Move country code + check digits to the end, letters -> numbers (A=10 ... Z=35), then mod 97.
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const ch of rearranged) {
+    const n = ch >= "A" ? String(ch.charCodeAt(0) - 55) : ch;
+    for (const digit of n) {
+      remainder = (remainder * 10 + (digit.charCodeAt(0) - 48)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+function ipv4Valid(value) {
+  return net.isIPv4(String(value));
+}
+
+function ipv6Valid(value) {
+  const s = String(value);
+  return /[0-9a-f]/i.test(s) && net.isIPv6(s);
+}
+
+// Shannon entropy in bits per character.
+function shannonEntropy(value) {
+  const s = String(value);
+  if (!s) return 0;
+
+  const counts = new Map();
+  for (const ch of s) counts.set(ch, (counts.get(ch) || 0) + 1);
+
+  let entropy = 0;
+  for (const c of counts.values()) {
+    const p = c / s.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+// Mixed-case alphanumerics with high entropy: API keys, random secrets.
+// Plain hex (hashes, commit ids) and words-with-dashes stay out.
+function highEntropySecret(value, minEntropy = 4.0) {
+  const s = String(value);
+  return /[a-z]/.test(s) && /[A-Z]/.test(s) && /\d/.test(s) && shannonEntropy(s) >= minEntropy;
+}
+
+module.exports = {
+  luhnValid,
+  ibanValid,
+  ipv4Valid,
+  ipv6Valid,
+  shannonEntropy,
+  highEntropySecret,
+};
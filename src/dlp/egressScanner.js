@@ -0,0 +1,205 @@
+// src/dlp/egressScanner.js
+//
+// Egress DLP for cloud responses. Runs on the raw Bedrock output, BEFORE local
+// re-hydration, and flags:
+// - reidentification: the answer contains a value we removed from the request
+// - guessed_value:    a placeholder ([SANITIZED:EMAIL], [EMAIL_1]) followed by a guessed value
+// - new_secret:       keys / tokens / credentials that were not in what we sent
+// - new_url:          URLs that were not in what we sent
+//
+// Actions (EGRESS_DLP_ACTION):
+// - "annotate" (default): pass the answer through and append a short DLP note
+// - "redact":             replace findings with [EGRESS_REDACTED:<TYPE>]
+// - "reject":             refuse the answer (non-stream) / stop the stream
+// - "off":                no scanning
+//
+// Streaming: the last EGRESS_DLP_WINDOW characters (default 256) are held back,
+// so a match spanning chunk boundaries is still caught before it is emitted.
+
+const { findMatches } = require("../detectors/detectors");
+
+const ACTIONS = ["annotate", "redact", "reject", "off"];
+
+const EGRESS_DLP_ACTION = (process.env.EGRESS_DLP_ACTION || "annotate").toLowerCase();
+const EGRESS_DLP_WINDOW = Number(process.env.EGRESS_DLP_WINDOW || 256);
+
+// Detector categories that count as secrets when they show up out of nowhere.
+const SECRET_CATEGORIES = new Set(["KEY", "PRIVATE_KEY", "SSH_KEY", "JWT", "TOKEN", "CREDENTIAL", "SECRET"]);
+
+// Removed values shorter than this are too generic to call a re-identification.
+const MIN_REIDENTIFY_LENGTH = 4;
+
+const PLACEHOLDER_GUESS_RE =
+  /\[(?:SANITIZED:[A-Z_]+(?: [^\]\n]*)?|[A-Z][A-Z0-9_]*_\d+)\](?:\s*(?:\(|=|:|->|→|—|-)\s*|\s+(?:is|was|aka|i\.e\.,?)\s+)/g;
+const URL_RE = /\bhttps?:\/\/[^\s<>"'`)\]]+/g;
+
+/**
+ * Per-request scan context.
+ * sentText: everything that was sent to cloud (prompt), for "new" checks.
+ * removedValues: values the sanitizer removed (proxy memory only).
+ */
+function createEgressContext({ sentText = "", removedValues = [] } = {}) {
+  return {
+    sentText: String(sentText),
+    removedValues: [...removedValues].filter((v) => String(v).length >= MIN_REIDENTIFY_LENGTH),
+  };
+}
+
+function overlapsAny(spans, start, end) {
+  return spans.some((sp) => start < sp.end && end > sp.start);
+}
+
+/**
+ * Scan text and return findings sorted by position: [{ type, category?, start, end }]
+ * Findings never carry the matched values.
+ */
+function scanEgressText(text, ctx) {
+  const s = String(text || "");
+  const findings = [];
+  const add = (f) => {
+    if (!overlapsAny(findings, f.start, f.end)) findings.push(f);
+  };
+
+  const lower = s.toLowerCase();
+  for (const value of ctx.removedValues) {
+    const needle = String(value).toLowerCase();
+    let i = lower.indexOf(needle);
+    while (i !== -1) {
+      add({ type: "reidentification", start: i, end: i + needle.length });
+      i = lower.indexOf(needle, i + needle.length);
+    }
+  }
+
+  for (const m of s.matchAll(PLACEHOLDER_GUESS_RE)) {
+    const valueStart = m.index + m[0].length;
+    const guess = findMatches(s.slice(valueStart, valueStart + 200))[0];
+    if (guess && guess.start === 0) {
+      add({ type: "guessed_value", category: guess.category, start: valueStart, end: valueStart + guess.end });
+    }
+  }
+
+  for (const m of findMatches(s)) {
+    if (SECRET_CATEGORIES.has(m.category) && !ctx.sentText.includes(m.value)) {
+      add({ type: "new_secret", category: m.category, start: m.start, end: m.end });
+    }
+  }
+
+  for (const m of s.matchAll(URL_RE)) {
+    const url = m[0].replace(/[.,;:!?]+$/, "");
+    if (!ctx.sentText.includes(url)) add({ type: "new_url", start: m.index, end: m.index + url.length });
+  }
+
+  return findings.sort((a, b) => a.start - b.start);
+}
+
+function redactFindings(text, findings, offset = 0) {
+  let out = "";
+  let cursor = 0;
+  for (const f of findings) {
+    out += text.slice(cursor, f.start - offset);
+    out += `[EGRESS_REDACTED:${f.type.toUpperCase()}]`;
+    cursor = f.end - offset;
+  }
+  return out + text.slice(cursor);
+}
+
+function egressNote(findings) {
+  const types = [...new Set(findings.map((f) => f.type))].join(", ");
+  return `\n\n> [egress-dlp] ${findings.length} finding(s) in the cloud answer: ${types}. Review before use.`;
+}
+
+function egressError(findings) {
+  const error = new Error(
+    `Cloud response blocked by egress DLP (${[...new Set(findings.map((f) => f.type))].join(", ")})`
+  );
+  error.status = 502;
+  error.details = findings.map(({ type, category }) => ({ type, category }));
+  return error;
+}
+
+/**
+ * Apply the egress policy to a complete answer.
+ * Returns { text, findings }; throws (status 502) when action is "reject" and something was found.
+ */
+function applyEgressPolicy(text, ctx, action = EGRESS_DLP_ACTION) {
+  if (action === "off") return { text, findings: [] };
+
+  const findings = scanEgressText(text, ctx);
+  if (!findings.length) return { text, findings };
+
+  if (action === "reject") throw egressError(findings);
+  if (action === "redact") return { text: redactFindings(text, findings), findings };
+  return { text: text + egressNote(findings), findings };
+}
+
+/**
+ * Streaming variant. push(delta) / flush() return { text, blocked }:
+ * text is safe to emit now; blocked=true means the stream must stop (action "reject").
+ * findings accumulates everything acted on so far.
+ */
+function createEgressStreamScanner(ctx, { action = EGRESS_DLP_ACTION, window = EGRESS_DLP_WINDOW } = {}) {
+  let buffer = "";
+  let emitted = 0; // absolute offset of buffer[0]
+  let blocked = false;
+  const findings = [];
+
+  function drain(final) {
+    if (blocked) return { text: "", blocked };
+    if (action === "off") {
+      const text = buffer;
+      buffer = "";
+      return { text, blocked };
+    }
+
+    const found = scanEgressText(buffer, ctx);
+    if (found.length && action === "reject") {
+      blocked = true;
+      findings.push(...found.map((f) => ({ ...f, start: f.start + emitted, end: f.end + emitted })));
+      buffer = "";
+      return { text: "", blocked };
+    }
+
+    let cut = final ? buffer.length : Math.max(0, buffer.length - window);
+    for (const f of found) {
+      if (f.start < cut && f.end > cut) cut = f.start; // never split a finding
+    }
+
+    const settled = found.filter((f) => f.end <= cut);
+    let text = buffer.slice(0, cut);
+    if (action === "redact") text = redactFindings(text, settled);
+
+    findings.push(...settled.map((f) => ({ ...f, start: f.start + emitted, end: f.end + emitted })));
+    buffer = buffer.slice(cut);
+    emitted += cut;
+
+    if (final && action === "annotate" && findings.length) text += egressNote(findings);
+    return { text, blocked };
+  }
+
+  return {
+    push(delta) {
+      buffer += delta || "";
+      return drain(false);
+    },
+    flush() {
+      return drain(true);
+    },
+    findings,
+  };
+}
+
+function validateEgressAction(action = EGRESS_DLP_ACTION) {
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown EGRESS_DLP_ACTION "${action}" (expected one of: ${ACTIONS.join(", ")})`);
+  }
+  return true;
+}
+
+module.exports = {
+  EGRESS_DLP_ACTION,
+  createEgressContext,
+  scanEgressText,
+  applyEgressPolicy,
+  createEgressStreamScanner,
+  validateEgressAction,
+};
@@ -2,12 +2,60 @@ const { randomUUID } = require("crypto");
 
 const MODE_ENUM = ["MODE=EXPLAIN", "MODE=COMPARE", "MODE=DESIGN", "MODE=CHECKLIST"];
 
+const DEFAULT_CONSTRAINTS = Object.freeze([
+  "No secrets",
+  "No real-time claims",
+  "No re-identification",
+]);
+
 function normalizeMode(mode) {
   if (!mode) return "MODE=EXPLAIN";
   const m = String(mode).trim().toUpperCase();
   return MODE_ENUM.includes(m) ? m : "MODE=EXPLAIN";
 }
 
+// Sanitizer categories -> envelope removed_categories names.
+// Unknown (rule-pack) categories are lower-cased as-is.
+const REMOVED_CATEGORY_NAMES = Object.freeze({
+  ACCOUNT_ID: "account_ids",
+  EMAIL: "emails",
+  ARN: "arns",
+  HOSTNAME: "domains",
+  IP_ADDRESS: "ip_addresses",
+  CREDIT_CARD: "payment_cards",
+  IBAN: "bank_accounts",
+  KEY: "secrets",
+  PRIVATE_KEY: "secrets",
+  SSH_KEY: "secrets",
+  JWT: "secrets",
+  TOKEN: "secrets",
+  CREDENTIAL: "secrets",
+  SECRET: "secrets",
+});
+
+// What the local summarize stage strips on top of regex masking.
+const SUMMARY_REMOVED_CATEGORIES = Object.freeze(["raw_logs", "source_code", "proprietary_wording"]);
+
+const REDACTION_MODES = ["mask", "summarize", "both"];
+
+/**
+ * Turn a sanitizer report into { removed_categories, removed_counts }.
+ * Only categories that were actually hit are listed (including the summary re-check, if any).
+ */
+function removedFromReport(report) {
+  const counts = {};
+  const add = (byCategory) => {
+    for (const [category, n] of Object.entries(byCategory || {})) {
+      const name = REMOVED_CATEGORY_NAMES[category] || category.toLowerCase();
+      counts[name] = (counts[name] || 0) + n;
+    }
+  };
+
+  add(report && report.counts);
+  add(report && report.recheck && report.recheck.counts);
+  return { removed_categories: Object.keys(counts), removed_counts: counts };
+}
+
 function sectionsForMode(mode) {
   // Keep schema satisfied, but do not force a "full report" unless MODE=DESIGN.
   if (mode === "MODE=DESIGN") {
@@ -28,36 +76,45 @@ function deliverableForMode(mode) {
 function buildCloudEnvelope({
   sanitizedProblem,
   contextSummary,
+  // Earlier turns, each sanitized: [{ role, content }] oldest first. Omitted when empty.
+  conversation = [],
   modelId,
+  modelFamily = "claude",
   webBrowsingEnabled = false,
   responseMode = "MODE=EXPLAIN",
   objective,
   constraints,
+  maskingStyle = "[REDACTED:TYPE]",
+  sanitizationReport,
+  redactionMode = "mask",
+  // Graded sensitivity of the raw input (src/policy/sensitivity.js). Unknown = assume HIGH.
+  // The schema has no CRITICAL: such input never leaves local, so validation fails closed.
+  dataSensitivity = "HIGH",
 }) {
   const mode = normalizeMode(responseMode);
+  const redaction = REDACTION_MODES.includes(redactionMode) ? redactionMode : "mask";
+  const removed = removedFromReport(sanitizationReport);
+  if (redaction !== "mask") {
+    removed.removed_categories = [
+      ...new Set([...removed.removed_categories, ...SUMMARY_REMOVED_CATEGORIES]),
+    ];
+  }
 
   return {
     transfer_prompt_version: "v1",
     web_browsing_enabled: webBrowsingEnabled,
-    data_sensitivity: "EXTREMELY_HIGH",
+    data_sensitivity: dataSensitivity,
 
     cloud: {
       provider: "aws_bedrock",
-      model_family: "claude",
+      model_family: modelFamily,
       model_id: modelId,
     },
 
     redaction_policy: {
-      mode: "both",
-      removed_categories: [
-        "secrets",
-        "account_ids",
-        "emails",
-        "domains",
-        "raw_logs",
-        "source_code"
-      ],
-      masking_style: "[REDACTED:TYPE]",
+      mode: redaction,
+      ...removed,
+      masking_style: maskingStyle,
     },
 
     response_mode: { mode },
@@ -65,15 +122,13 @@ function buildCloudEnvelope({
     task: {
       objective: objective || "Mode-aware reasoning on sanitized input (no secrets).",
       deliverable_type: deliverableForMode(mode),
-      constraints: Array.isArray(constraints) ? constraints : [
-        "No secrets",
-        "No real-time claims",
-        "No re-identification"
-      ],
+      constraints: Array.isArray(constraints) ? constraints : [...DEFAULT_CONSTRAINTS],
     },
 
     context_summary_sanitized: Array.isArray(contextSummary) ? contextSummary : [],
 
+    ...(Array.isArray(conversation) && conversation.length ? { conversation_sanitized: conversation } : {}),
+
     inputs_sanitized: {
       problem_statement: sanitizedProblem,
     },
@@ -90,4 +145,11 @@ function buildCloudEnvelope({
   };
 }
 
-module.exports = { buildCloudEnvelope, normalizeMode, MODE_ENUM };
+module.exports = {
+  buildCloudEnvelope,
+  normalizeMode,
+  removedFromReport,
+  MODE_ENUM,
+  REDACTION_MODES,
+  DEFAULT_CONSTRAINTS,
+};
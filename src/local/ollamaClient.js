@@ -0,0 +1,80 @@
+// src/local/ollamaClient.js
+//
+// Minimal client for Ollama's OpenAI-compatible endpoint.
+// - ollamaChat(body) -> chat.completion JSON
+// - ollamaChatStream(body) -> fetch Response whose body is the SSE stream
+// - ollamaCompleteText({ model, system, prompt }) -> assistant text (internal helper calls)
+// - ollamaListRunning() -> models currently loaded (native /api/ps, used by the health prober)
+//
+// OLLAMA_BASE_URL MUST include /v1.
+
+const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || "http://127.0.0.1:11434/v1";
+
+// Native Ollama API (/api/...) lives next to the OpenAI-compatible /v1 prefix
+const OLLAMA_API_ROOT = OLLAMA_BASE_URL.replace(/\/v1\/?$/, "");
+
+// Internal helper calls (summaries, self-checks) must not hang a user request forever.
+const OLLAMA_INTERNAL_TIMEOUT_MS = Number(process.env.OLLAMA_INTERNAL_TIMEOUT_MS || 60000);
+
+async function ollamaChat(body, { signal } = {}) {
+  const resp = await fetch(`${OLLAMA_BASE_URL}/chat/completions`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!resp.ok) {
+    const t = await resp.text();
+    throw new Error(`Ollama forward failed: ${resp.status} ${t}`);
+  }
+  return resp.json();
+}
+
+async function ollamaChatStream(body) {
+  const resp = await fetch(`${OLLAMA_BASE_URL}/chat/completions`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...body, stream: true }),
+  });
+
+  if (!resp.ok || !resp.body) {
+    const t = await resp.text();
+    throw new Error(`Ollama stream forward failed: ${resp.status} ${t}`);
+  }
+  return resp;
+}
+
+async function ollamaCompleteText({ model, system, prompt, temperature = 0 }) {
+  const messages = [];
+  if (system) messages.push({ role: "system", content: system });
+  messages.push({ role: "user", content: prompt });
+
+  const out = await ollamaChat(
+    { model, messages, temperature, stream: false },
+    { signal: AbortSignal.timeout(OLLAMA_INTERNAL_TIMEOUT_MS) }
+  );
+
+  const text = out?.choices?.[0]?.message?.content;
+  return typeof text === "string" ? text.trim() : "";
+}
+
+async function ollamaListRunning({ signal } = {}) {
+  const resp = await fetch(`${OLLAMA_API_ROOT}/api/ps`, { signal });
+
+  if (!resp.ok) {
+    const t = await resp.text();
+    throw new Error(`Ollama /api/ps failed: ${resp.status} ${t}`);
+  }
+  const out = await resp.json();
+  return Array.isArray(out?.models) ? out.models : [];
+}
+
+module.exports = {
+  OLLAMA_BASE_URL,
+  OLLAMA_API_ROOT,
+  ollamaChat,
+  ollamaChatStream,
+  ollamaCompleteText,
+  ollamaListRunning,
+};
@@ -0,0 +1,324 @@
+// src/models/modelCatalog.js
+//
+// Model catalog (MODEL_CATALOG_FILE, JSON or YAML): the model ids the proxy exposes and what backs them.
+//
+// {
+//   "local": [
+//     { "id": "local-fast", "ollamaModel": "llama3.1:8b", "default": true,
+//       "capabilities": { "contextLength": 8192 }, "costTier": "free",
+//       "description": "Small general chat model" },
+//     { "id": "local-coder", "ollamaModel": "qwen2.5-coder:7b",
+//       "capabilities": { "code": true, "contextLength": 32768 } },
+//     { "id": "local-large", "ollamaModel": "llama3.1:70b",
+//       "capabilities": { "reasoning": true, "contextLength": 131072 }, "costTier": "low" }
+//   ],
+//   "cloud": [
+//     { "id": "cloud-fast", "bedrockModelId": "eu.anthropic.claude-3-haiku-20240307-v1:0", "costTier": "low" },
+//     { "id": "cloud-deep", "bedrockModelId": "eu.anthropic.claude-3-sonnet-20240229-v1:0",
+//       "costTier": "medium", "default": true },
+//     { "id": "cloud-max", "bedrockModelId": "<opus inference profile>", "costTier": "high" }
+//   ],
+//   "cloudRules": [
+//     { "id": "low-budget", "match": { "maxBudgetRemaining": 0.1 }, "model": "cloud-fast" },
+//     { "id": "quick-explain", "match": { "modes": ["EXPLAIN"], "maxChars": 2000 }, "model": "cloud-fast" },
+//     { "id": "hard-design", "match": { "modes": ["DESIGN"], "minScore": 0.8 }, "model": "cloud-max" }
+//   ]
+// }
+//
+// capabilities: code, vision, reasoning (booleans), contextLength (tokens; omitted = unknown),
+// maxOutputTokens (cloud: cap for max_tokens; omitted = built-in per-model limit, src/cloud/openaiParams.js).
+// costTier: free | low | medium | high (default "free" for local, "medium" for cloud models).
+// cloud entries: bedrockModelId, modelFamily (default "claude").
+// In each list the "default" entry (else the first) serves plain requests. A list the file omits
+// is one entry from env: DEFAULT_MODEL_LOCAL -> OLLAMA_LOCAL_MODEL, DEFAULT_MODEL_CLOUD -> BEDROCK_MODEL_ID.
+//
+// selectLocalModel() picks the entry for auto-hybrid requests that run locally:
+// models whose context fits the input, then code -> code model, deep -> reasoning model, else default.
+//
+// selectCloudModel() picks the tier for auto-hybrid requests that go to cloud: the first cloudRule
+// whose match fits, else the default cloud model. Match fields (all must fit): modes, minChars,
+// maxChars, minScore / maxScore (complexity classifier score), maxBudgetRemaining (fraction 0..1
+// of the cloud quota still left: the smallest of requests and spend, daily and monthly), hasImages.
+
+const { loadConfigFile } = require("../config/loadConfigFile");
+const { findBlocks } = require("../sanitizer/blocks");
+
+const MODEL_CATALOG_FILE = process.env.MODEL_CATALOG_FILE || "";
+const DEFAULT_MODEL_LOCAL = process.env.DEFAULT_MODEL_LOCAL || "local-fast";
+const OLLAMA_LOCAL_MODEL = process.env.OLLAMA_LOCAL_MODEL || "llama3.1:8b";
+const DEFAULT_MODEL_CLOUD = process.env.DEFAULT_MODEL_CLOUD || "cloud-deep";
+const BEDROCK_MODEL_ID = process.env.BEDROCK_MODEL_ID || "eu.anthropic.claude-3-sonnet-20240229-v1:0";
+
+// Ids the proxy answers itself; a catalog entry may not shadow them
+const RESERVED_IDS = [process.env.DEFAULT_MODEL_AUTO || "auto-hybrid"];
+
+const RULE_MATCH_FIELDS = ["modes", "minChars", "maxChars", "minScore", "maxScore", "maxBudgetRemaining", "hasImages"];
+const MODES = ["EXPLAIN", "COMPARE", "DESIGN", "CHECKLIST"];
+
+const COST_TIERS = ["free", "low", "medium", "high"];
+const BOOLEAN_CAPABILITIES = ["code", "vision", "reasoning"];
+const ID_RE = /^[a-z0-9][a-z0-9._:-]*$/i;
+
+let activeCatalog = null;
+
+function catalogError(source, message) {
+  const error = new Error(`Model catalog ${source}: ${message}`);
+  error.details = { source };
+  return error;
+}
+
+function compileCapabilities(source, label, caps = {}) {
+  if (!caps || typeof caps !== "object" || Array.isArray(caps)) {
+    throw catalogError(source, `${label} "capabilities" must be an object`);
+  }
+  const out = {};
+  for (const name of BOOLEAN_CAPABILITIES) {
+    if (caps[name] !== undefined && typeof caps[name] !== "boolean") {
+      throw catalogError(source, `${label} capability "${name}" must be true or false`);
+    }
+    out[name] = caps[name] === true;
+  }
+  if (caps.contextLength !== undefined && !(Number.isInteger(caps.contextLength) && caps.contextLength > 0)) {
+    throw catalogError(source, `${label} "contextLength" must be a positive integer`);
+  }
+  out.contextLength = caps.contextLength ?? null;
+  if (caps.maxOutputTokens !== undefined && !(Number.isInteger(caps.maxOutputTokens) && caps.maxOutputTokens > 0)) {
+    throw catalogError(source, `${label} "maxOutputTokens" must be a positive integer`);
+  }
+  out.maxOutputTokens = caps.maxOutputTokens ?? null;
+
+  const unknown = Object.keys(caps).filter(
+    (k) => !BOOLEAN_CAPABILITIES.includes(k) && k !== "contextLength" && k !== "maxOutputTokens"
+  );
+  if (unknown.length) throw catalogError(source, `${label} has unknown capability "${unknown[0]}"`);
+  return out;
+}
+
+// Fields shared by local and cloud entries
+function compileEntry(source, kind, entry, i, { backingField, defaultCostTier }) {
+  if (!entry || typeof entry !== "object") throw catalogError(source, `${kind} model #${i + 1} must be an object`);
+  if (typeof entry.id !== "string" || !ID_RE.test(entry.id)) {
+    throw catalogError(source, `${kind} model #${i + 1} needs an "id" (letters, digits, . _ : -)`);
+  }
+  const label = `model "${entry.id}"`;
+  if (typeof entry[backingField] !== "string" || !entry[backingField]) {
+    throw catalogError(source, `${label} needs "${backingField}"`);
+  }
+  const costTier = entry.costTier ?? defaultCostTier;
+  if (!COST_TIERS.includes(costTier)) {
+    throw catalogError(source, `${label} has unknown costTier "${costTier}" (expected: ${COST_TIERS.join(", ")})`);
+  }
+
+  return {
+    id: entry.id,
+    capabilities: Object.freeze(compileCapabilities(source, label, entry.capabilities)),
+    costTier,
+    description: typeof entry.description === "string" ? entry.description : "",
+    default: entry.default === true,
+  };
+}
+
+function compileLocalEntry(source, entry, i) {
+  const base = compileEntry(source, "local", entry, i, { backingField: "ollamaModel", defaultCostTier: "free" });
+  return Object.freeze({ ...base, backend: "ollama", ollamaModel: entry.ollamaModel });
+}
+
+function compileCloudEntry(source, entry, i) {
+  const base = compileEntry(source, "cloud", entry, i, { backingField: "bedrockModelId", defaultCostTier: "medium" });
+  if (entry.modelFamily !== undefined && (typeof entry.modelFamily !== "string" || !entry.modelFamily)) {
+    throw catalogError(source, `model "${entry.id}" "modelFamily" must be a string`);
+  }
+  return Object.freeze({
+    ...base,
+    backend: "bedrock",
+    bedrockModelId: entry.bedrockModelId,
+    modelFamily: entry.modelFamily || "claude",
+  });
+}
+
+function compileFraction(source, label, value) {
+  if (typeof value !== "number" || !(value >= 0 && value <= 1)) {
+    throw catalogError(source, `${label} must be a number between 0 and 1`);
+  }
+  return value;
+}
+
+function compileCloudRule(source, rule, i, cloudIds) {
+  if (!rule || typeof rule !== "object") throw catalogError(source, `cloud rule #${i + 1} must be an object`);
+  const label = `cloud rule "${rule.id || `#${i + 1}`}"`;
+  if (!cloudIds.has(rule.model)) throw catalogError(source, `${label} names unknown cloud model "${rule.model}"`);
+
+  const m = rule.match || {};
+  if (typeof m !== "object" || Array.isArray(m)) throw catalogError(source, `${label} "match" must be an object`);
+  const unknown = Object.keys(m).filter((k) => !RULE_MATCH_FIELDS.includes(k));
+  if (unknown.length) throw catalogError(source, `${label} has unknown match field "${unknown[0]}"`);
+
+  const match = {};
+  if (m.modes !== undefined) {
+    if (!Array.isArray(m.modes) || !m.modes.length) throw catalogError(source, `${label} modes must be a non-empty list`);
+    match.modes = new Set(
+      m.modes.map((mode) => {
+        const normalized = String(mode).toUpperCase().replace(/^MODE=/, "");
+        if (!MODES.includes(normalized)) throw catalogError(source, `${label} has unknown mode "${mode}"`);
+        return normalized;
+      })
+    );
+  }
+  for (const field of ["minChars", "maxChars"]) {
+    if (m[field] === undefined) continue;
+    if (!Number.isInteger(m[field]) || m[field] < 0) throw catalogError(source, `${label} ${field} must be a whole number`);
+    match[field] = m[field];
+  }
+  for (const field of ["minScore", "maxScore", "maxBudgetRemaining"]) {
+    if (m[field] !== undefined) match[field] = compileFraction(source, `${label} ${field}`, m[field]);
+  }
+  if (m.hasImages !== undefined) {
+    if (typeof m.hasImages !== "boolean") throw catalogError(source, `${label} hasImages must be true or false`);
+    match.hasImages = m.hasImages;
+  }
+
+  return Object.freeze({ id: rule.id || `cloud-rule-${i + 1}`, model: rule.model, match: Object.freeze(match) });
+}
+
+function compileList(source, doc, key, compileOne, fallback) {
+  if (doc[key] === undefined) return [compileOne("<env>", fallback, 0)];
+  if (!Array.isArray(doc[key]) || !doc[key].length) {
+    throw catalogError(source, `"${key}" must be a non-empty list`);
+  }
+  return doc[key].map((entry, i) => compileOne(source, entry, i));
+}
+
+function pickDefault(source, kind, list) {
+  const defaults = list.filter((m) => m.default);
+  if (defaults.length > 1) throw catalogError(source, `only one ${kind} model can be "default"`);
+  return defaults[0] || list[0];
+}
+
+/**
+ * Validate a parsed catalog document. reservedIds: ids the proxy answers itself.
+ */
+function compileCatalog(doc, { source = "<inline>", reservedIds = RESERVED_IDS } = {}) {
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) throw catalogError(source, "must be an object");
+
+  const local = compileList(source, doc, "local", compileLocalEntry, {
+    id: DEFAULT_MODEL_LOCAL,
+    ollamaModel: OLLAMA_LOCAL_MODEL,
+    default: true,
+  });
+  const cloud = compileList(source, doc, "cloud", compileCloudEntry, {
+    id: DEFAULT_MODEL_CLOUD,
+    bedrockModelId: BEDROCK_MODEL_ID,
+    default: true,
+  });
+
+  const seen = new Set(reservedIds);
+  for (const { id } of [...local, ...cloud]) {
+    if (seen.has(id)) throw catalogError(source, `duplicate or reserved model id "${id}"`);
+    seen.add(id);
+  }
+
+  if (doc.cloudRules !== undefined && !Array.isArray(doc.cloudRules)) {
+    throw catalogError(source, '"cloudRules" must be a list');
+  }
+  const cloudIds = new Set(cloud.map((m) => m.id));
+  const cloudRules = (doc.cloudRules || []).map((rule, i) => compileCloudRule(source, rule, i, cloudIds));
+
+  return {
+    source,
+    local,
+    defaultLocal: pickDefault(source, "local", local),
+    cloud,
+    defaultCloud: pickDefault(source, "cloud", cloud),
+    cloudRules,
+  };
+}
+
+function envCatalog() {
+  return compileCatalog({}, { source: "<env>" });
+}
+
+function loadModelCatalog(filePath = MODEL_CATALOG_FILE) {
+  if (!filePath) return envCatalog();
+  return compileCatalog(loadConfigFile(filePath), { source: filePath });
+}
+
+function getModelCatalog() {
+  if (!activeCatalog) activeCatalog = loadModelCatalog();
+  return activeCatalog;
+}
+
+function setModelCatalog(catalog) {
+  activeCatalog = catalog;
+}
+
+function findLocalModel(catalog, id) {
+  return catalog.local.find((m) => m.id === id) || null;
+}
+
+function findCloudModel(catalog, id) {
+  return catalog.cloud.find((m) => m.id === id) || null;
+}
+
+/**
+ * Best local model for a request: { model, reason }.
+ * task: { text, deep } (deep = the complexity classifier's verdict)
+ */
+function selectLocalModel(catalog, { text = "", deep = false } = {}) {
+  const tokens = Math.ceil(String(text).length / 4);
+  const fits = catalog.local.filter((m) => !m.capabilities.contextLength || m.capabilities.contextLength >= tokens);
+
+  // Nothing fits: the largest context is the best we have
+  if (!fits.length) {
+    const largest = [...catalog.local].sort((a, b) => b.capabilities.contextLength - a.capabilities.contextLength)[0];
+    return { model: largest, reason: `largest context (~${tokens} tokens)` };
+  }
+
+  const pick = (candidates) => (candidates.includes(catalog.defaultLocal) ? catalog.defaultLocal : candidates[0]);
+  const hasCode = findBlocks(String(text)).some((b) => b.kind === "source_code");
+
+  const coders = fits.filter((m) => m.capabilities.code);
+  if (hasCode && coders.length) return { model: pick(coders), reason: "code detected" };
+
+  const reasoners = fits.filter((m) => m.capabilities.reasoning);
+  if (deep && reasoners.length) return { model: pick(reasoners), reason: "deep reasoning" };
+
+  if (!fits.includes(catalog.defaultLocal)) {
+    return { model: fits[0], reason: `input exceeds the default model's context (~${tokens} tokens)` };
+  }
+  return { model: catalog.defaultLocal, reason: "default" };
+}
+
+function cloudRuleMatches(match, { mode, chars, score, budgetRemaining, hasImages }) {
+  if (match.modes && !match.modes.has(String(mode || "").toUpperCase().replace(/^MODE=/, ""))) return false;
+  if (match.minChars !== undefined && chars < match.minChars) return false;
+  if (match.maxChars !== undefined && chars > match.maxChars) return false;
+  // No classifier score (explicit /cloud or cloud model): score rules do not apply
+  const scored = typeof score === "number";
+  if (match.minScore !== undefined && !(scored && score >= match.minScore)) return false;
+  if (match.maxScore !== undefined && !(scored && score <= match.maxScore)) return false;
+  if (match.maxBudgetRemaining !== undefined && !(budgetRemaining <= match.maxBudgetRemaining)) return false;
+  if (match.hasImages !== undefined && match.hasImages !== hasImages) return false;
+  return true;
+}
+
+/**
+ * Cloud tier for a request: { model, ruleId, reason }.
+ * task: { mode, chars, score (complexity, may be null), budgetRemaining (0..1), hasImages }
+ */
+function selectCloudModel(catalog, task = {}) {
+  const rule = catalog.cloudRules.find((r) => cloudRuleMatches(r.match, task));
+  if (!rule) return { model: catalog.defaultCloud, ruleId: null, reason: "default" };
+  return { model: findCloudModel(catalog, rule.model), ruleId: rule.id, reason: `cloud rule ${rule.id}` };
+}
+
+module.exports = {
+  COST_TIERS,
+  compileCatalog,
+  loadModelCatalog,
+  getModelCatalog,
+  setModelCatalog,
+  findLocalModel,
+  findCloudModel,
+  selectLocalModel,
+  selectCloudModel,
+};
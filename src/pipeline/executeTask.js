@@ -1,10 +1,16 @@
-const { sanitizeText } = require("../sanitizer/sanitizeText");
+const { sanitizeTextWithReport } = require("../sanitizer/sanitizeText");
 const { buildCloudEnvelope } = require("../envelope/buildCloudEnvelope");
 const { validateEnvelope } = require("../envelope/validateEnvelope");
 const { routeWithLoad } = require("../routing/routeWithLoad");
 const { ROUTES } = require("../routing/routeTask");
 const { callBedrock } = require("../cloud/callBedrock");
-const { assertCostAllowed } = require("../cost/costGuard");
+const {
+  estimateCloudCost,
+  reserveCloudCost,
+  commitCloudCost,
+  refundCloudCost,
+} = require("../cost/costGuard");
+const { scoreSensitivity } = require("../policy/sensitivity");
 
 function extractResponseMode(text) {
   const m = String(text || "").match(/^\s*(MODE=(EXPLAIN|COMPARE|DESIGN|CHECKLIST))\b/i);
@@ -33,7 +39,7 @@ async function executeTask({
   const inputWithoutMode = stripResponseModePrefix(rawInput);
 
   // 1) sanitize
-  const sanitized = sanitizeText(inputWithoutMode);
+  const { text: sanitized, report } = sanitizeTextWithReport(inputWithoutMode);
 
   // 2) route
   const decision = routeWithLoad(routingHints);
@@ -52,6 +58,8 @@ async function executeTask({
     contextSummary: (routingHints && routingHints.contextSummary) ? routingHints.contextSummary : [],
     modelId,
     responseMode,
+    sanitizationReport: report,
+    dataSensitivity: scoreSensitivity(inputWithoutMode).level,
   });
 
   // 4) validate envelope (HARD GATE)
@@ -60,13 +68,26 @@ async function executeTask({
   // 5) serialize → cloud
   const prompt = serializeEnvelopeToPrompt(envelope);
 
-  // cost guard (HARD STOP)
-  assertCostAllowed();
+  // cost guard (HARD STOP): reserve, then book the reported usage or refund on failure
+  const estimate = estimateCloudCost({ modelId, prompt });
+  const reservation = await reserveCloudCost(null, { estimate });
 
-  const output = await callBedrock({
-    modelId,
-    prompt,
-  });
+  // Booked as estimated if Bedrock reports no usage
+  let usage = { inputTokens: estimate.inputTokens, outputTokens: estimate.outputTokens };
+  let output;
+  try {
+    output = await callBedrock({
+      modelId,
+      prompt,
+      onUsage: (reported) => {
+        usage = reported;
+      },
+    });
+  } catch (e) {
+    await refundCloudCost(reservation);
+    throw e;
+  }
+  await commitCloudCost(reservation, { modelId, ...usage });
 
   return {
     route: "cloud",
@@ -2,71 +2,143 @@
 //
 // Deterministic policy enforcement for hybrid proxy.
 // Goals:
-// - Never allow cloud when OFFLINE_REQUIRED=true
-// - Never allow cloud when CLOUD_ALLOWED=false
-// - Block cloud when raw user text appears sensitive (unless explicitly allowed)
-// - Optional: allow/deny user overrides (/cloud, /local)
+// - Never allow cloud when OFFLINE_REQUIRED=true (hard block, wins over any rule)
+// - Never allow cloud when CLOUD_ALLOWED=false (hard block, wins over any rule)
+// - Graded sensitivity (sensitivity.js): CRITICAL always stays local; levels above the
+//   cloud limit (SENSITIVITY_CLOUD_MAX_LEVEL, default NONE: anything sensitive) stay local
+// - Everything else comes from the routing policy (ROUTING_POLICY_FILE, see policyEngine.js)
+// - Optional: allow/deny user override commands (/cloud, /local, /mode, ...) one by one
 //
-// This module is intentionally conservative and explainable.
+// This module is intentionally conservative and explainable: every decision carries a ruleId.
 
-const DEFAULTS = Object.freeze({
-  allowSensitiveCloud: (process.env.ALLOW_SENSITIVE_CLOUD || "false") === "true",
-  allowUserOverrides: (process.env.ALLOW_USER_OVERRIDES || "true") === "true",
-});
+const { findMatches, hasMatch } = require("../detectors/detectors");
+const { ACTIONS, evaluateRoutingPolicy, getRoutingPolicy } = require("./policyEngine");
+const { scoreSensitivity, cloudAllowedForLevel } = require("./sensitivity");
 
+// Detection comes from the shared registry (src/detectors/detectors.js),
+// so everything flagged here is also redacted by sanitizeText.
 function looksSensitive(text) {
-  const patterns = [
-    /\bAKIA[0-9A-Z]{16}\b/, // AWS access key id
-    /\bASIA[0-9A-Z]{16}\b/, // STS key id
-    /-----BEGIN (?:RSA |EC |)?PRIVATE KEY-----/i,
-    /\barn:aws:[^\s]+/i,
-    /\b\d{12}\b/, // AWS account id
-    /[a-zA-Z0-9_.+-]+@[a-zA-Z0-9-]+\.[a-zA-Z0-9-.]+/, // email
-    /\b(?:\d{1,3}\.){3}\d{1,3}\b/, // IPv4
-    /\beyJ[A-Za-z0-9_-]+?\.[A-Za-z0-9_-]+?\.[A-Za-z0-9_-]+\b/, // JWT-like
-    /\bssh-rsa\b|\bssh-ed25519\b/i,
-    /\bpassword\s*[:=]/i,
-    /\bsecret\s*[:=]/i,
-    /\btoken\s*[:=]/i,
-  ];
-  return patterns.some((r) => r.test(text));
+  return hasMatch(text || "");
+}
+
+/**
+ * Categories of sensitive content found in text (no values).
+ * Returns e.g. ["EMAIL", "IP_ADDRESS"]
+ */
+function sensitiveCategories(text) {
+  return [...new Set(findMatches(text || "").map((m) => m.category))];
 }
 
 /**
  * Determine whether cloud is allowed at all, and why.
- * Returns { allowed: boolean, reason?: string, sensitive: boolean }
+ * Request context (identity, requestedModel, responseMode, hasImages, hasTools, confirmed) feeds the routing policy;
+ * a key without cloud permission (identity.cloud === false) is blocked before any rule.
+ * Returns { allowed, action, ruleId, reason?, sensitive, hits, level, score, findings, confirmationRequired }
+ * (level: NONE | LOW | MEDIUM | HIGH | CRITICAL; findings: [{ category, severity, count }])
+ * (action: allow-cloud | force-local | deny | require-confirmation)
  */
-function evaluateCloudPolicy({ offlineRequired, cloudAllowed, rawUserText }) {
-  const sensitive = looksSensitive(rawUserText || "");
+function evaluateCloudPolicy({
+  offlineRequired,
+  cloudAllowed,
+  rawUserText,
+  identity,
+  requestedModel,
+  responseMode,
+  hasImages = false,
+  hasTools = false,
+  confirmed = false,
+  now,
+}) {
+  const { level, score, findings } = scoreSensitivity(rawUserText);
+  const hits = findings.map((f) => f.category);
+  const sensitive = level !== "NONE";
+  const graded = { sensitive, hits, level, score, findings };
+  const blocked = (ruleId, reason) => ({
+    allowed: false,
+    action: ACTIONS.FORCE_LOCAL,
+    ruleId,
+    reason,
+    ...graded,
+    confirmationRequired: false,
+  });
 
-  if (offlineRequired === true) {
-    return { allowed: false, reason: "Offline required", sensitive };
+  if (offlineRequired === true) return blocked("hard:offline", "Offline required");
+  if (cloudAllowed !== true) return blocked("hard:cloud-disabled", "Cloud disabled by policy");
+  if (identity && identity.cloud === false) {
+    return blocked("key:no-cloud", `API key "${identity.keyId}" is not allowed to use cloud`);
   }
 
-  if (cloudAllowed !== true) {
-    return { allowed: false, reason: "Cloud disabled by policy", sensitive };
-  }
+  // A matching deny rule wins over everything below; the sensitivity limits win over
+  // any other rule (CRITICAL always stays local).
+  const policy = getRoutingPolicy();
+  const decision = evaluateRoutingPolicy(
+    {
+      identity,
+      requestedModel,
+      responseMode,
+      categories: hits,
+      level,
+      chars: (rawUserText || "").length,
+      hasImages,
+      hasTools,
+      now,
+    },
+    policy
+  );
 
-  if (sensitive && !DEFAULTS.allowSensitiveCloud) {
-    return { allowed: false, reason: "Sensitive content detected in raw input", sensitive };
+  if (decision.action !== ACTIONS.DENY) {
+    if (level === "CRITICAL") {
+      return blocked("sensitivity:critical", `CRITICAL content in raw input (${hits.join(", ")}) always stays local`);
+    }
+    if (!cloudAllowedForLevel(level, policy.cloudMaxLevel)) {
+      // Legacy env setup (no policy file, no level configured): the pre-grading rule id and reason
+      if (policy.source === "<env>" && policy.cloudMaxLevel === "NONE") {
+        return blocked("legacy:sensitive-local", `Sensitive content detected in raw input (${hits.join(", ")})`);
+      }
+      return blocked(
+        "sensitivity:max-level",
+        `Sensitive content detected in raw input (${hits.join(", ")}): ${level} is above the cloud limit ${policy.cloudMaxLevel}`
+      );
+    }
   }
 
-  return { allowed: true, sensitive };
+  const base = { action: decision.action, ruleId: decision.ruleId, ...graded };
+  switch (decision.action) {
+    case ACTIONS.ALLOW_CLOUD:
+      return { ...base, allowed: true, confirmationRequired: false };
+    case ACTIONS.REQUIRE_CONFIRMATION:
+      return {
+        ...base,
+        allowed: confirmed === true,
+        reason: confirmed === true ? undefined : `Confirmation required (${decision.reason})`,
+        confirmationRequired: confirmed !== true,
+      };
+    default:
+      return {
+        ...base,
+        allowed: false,
+        reason: decision.reason,
+        confirmationRequired: false,
+      };
+  }
 }
 
 /**
- * Enforce whether user overrides (/cloud, /local) are permitted.
+ * Enforce whether a user override command (/cloud, /local, /mode, ...) is permitted.
+ * Each command is checked on its own (policy "allowUserOverrides" / ALLOW_USER_OVERRIDES).
  * Returns { allow: boolean, reason?: string }
  */
-function evaluateOverridePolicy() {
-  if (!DEFAULTS.allowUserOverrides) {
-    return { allow: false, reason: "User overrides disabled by policy" };
+function evaluateOverridePolicy(command) {
+  if (command === "confirm") return { allow: true };
+  if (!getRoutingPolicy().allowUserOverrides.has(command)) {
+    return { allow: false, reason: `/${command} disabled by policy` };
   }
   return { allow: true };
 }
 
 module.exports = {
   looksSensitive,
+  sensitiveCategories,
   evaluateCloudPolicy,
   evaluateOverridePolicy,
 };
@@ -0,0 +1,343 @@
+// src/policy/policyEngine.js
+//
+// Declarative routing policy: an ordered rule file (ROUTING_POLICY_FILE, JSON or YAML).
+// The first rule whose "match" fits the request decides; otherwise "default" applies.
+//
+// {
+//   "default": "allow-cloud",
+//   "allowUserOverrides": ["local", "mode", "no-cache"],   // or true / false
+//   "cloudMaxLevel": "MEDIUM",
+//   "rules": [
+//     { "id": "no-secrets", "match": { "sensitivity": ["KEY", "CREDENTIAL"] }, "action": "force-local" },
+//     { "id": "platform-design",
+//       "match": { "tenants": ["platform"], "modes": ["DESIGN"],
+//                  "timeWindow": { "days": ["mon", "tue", "wed", "thu", "fri"],
+//                                  "from": "08:00", "to": "18:00", "timezone": "Europe/Berlin" } },
+//       "action": "allow-cloud" },
+//     { "id": "big-pastes", "match": { "minChars": 20000 }, "action": "require-confirmation" },
+//     { "id": "medium-confirm", "match": { "levels": ["MEDIUM"] }, "action": "require-confirmation" }
+//   ]
+// }
+//
+// Match fields (all optional, all must fit): apiKeys, tenants, models, modes, sensitivity
+// (categories, or "any" / "none"), levels / minLevel (graded sensitivity, see sensitivity.js),
+// minChars, maxChars, hasImages, hasTools (tool definitions or tool calls in the request), timeWindow.
+// Actions: allow-cloud | force-local | deny | require-confirmation.
+//
+// cloudMaxLevel (default SENSITIVITY_CLOUD_MAX_LEVEL) is the highest sensitivity level that may
+// go to cloud after sanitization; it is checked before the rules and can never be CRITICAL.
+//
+// allowUserOverrides: which slash commands users may use (see src/routing/commands.js);
+// true = all, false = none. Default from ALLOW_USER_OVERRIDES ("true", "false" or a comma list).
+// /confirm is not an override and is always accepted.
+//
+// Without a policy file the legacy env switches apply (default allow-cloud, user overrides
+// from ALLOW_USER_OVERRIDES). OFFLINE_REQUIRED / CLOUD_ALLOWED=false are hard blocks outside
+// the rule file (see policy.js).
+
+const { loadConfigFile } = require("../config/loadConfigFile");
+const { LEVELS, levelRank, isLevel } = require("../detectors/severity");
+const { validateCloudMaxLevel } = require("./sensitivity");
+const { COMMAND_NAMES } = require("../routing/commands");
+
+const ACTIONS = Object.freeze({
+  ALLOW_CLOUD: "allow-cloud",
+  FORCE_LOCAL: "force-local",
+  DENY: "deny",
+  REQUIRE_CONFIRMATION: "require-confirmation",
+});
+
+const ACTION_VALUES = Object.values(ACTIONS);
+const MATCH_FIELDS = [
+  "apiKeys",
+  "tenants",
+  "models",
+  "modes",
+  "sensitivity",
+  "levels",
+  "minLevel",
+  "minChars",
+  "maxChars",
+  "hasImages",
+  "hasTools",
+  "timeWindow",
+];
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+let activePolicy = null;
+
+function policyError(source, message) {
+  const error = new Error(`Routing policy ${source}: ${message}`);
+  error.details = { source };
+  return error;
+}
+
+function compileList(source, label, value, normalize = (v) => v) {
+  if (!Array.isArray(value) || !value.length || value.some((v) => typeof v !== "string" || !v)) {
+    throw policyError(source, `${label} must be a non-empty list of strings`);
+  }
+  return new Set(value.map(normalize));
+}
+
+function minutesOf(source, label, value) {
+  const m = typeof value === "string" && value.match(TIME_RE);
+  if (!m) throw policyError(source, `${label} must be "HH:MM"`);
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+function compileTimeWindow(source, label, tw) {
+  if (!tw || typeof tw !== "object") throw policyError(source, `${label} must be an object`);
+
+  const days = tw.days === undefined ? null : compileList(source, `${label}.days`, tw.days, (d) => d.toLowerCase().slice(0, 3));
+  for (const d of days || []) {
+    if (!DAYS.includes(d)) throw policyError(source, `${label}.days has unknown day "${d}"`);
+  }
+
+  const timezone = tw.timezone || "UTC";
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+  } catch {
+    throw policyError(source, `${label}.timezone "${timezone}" is not a valid IANA time zone`);
+  }
+
+  return {
+    days,
+    from: tw.from === undefined ? 0 : minutesOf(source, `${label}.from`, tw.from),
+    to: tw.to === undefined ? 24 * 60 : minutesOf(source, `${label}.to`, tw.to),
+    timezone,
+  };
+}
+
+function compileMatch(source, label, match = {}) {
+  if (typeof match !== "object" || Array.isArray(match)) {
+    throw policyError(source, `${label} "match" must be an object`);
+  }
+  for (const key of Object.keys(match)) {
+    if (!MATCH_FIELDS.includes(key)) {
+      throw policyError(source, `${label} has unknown match field "${key}" (expected: ${MATCH_FIELDS.join(", ")})`);
+    }
+  }
+
+  const out = {};
+  if (match.apiKeys !== undefined) out.apiKeys = compileList(source, `${label} apiKeys`, match.apiKeys);
+  if (match.tenants !== undefined) out.tenants = compileList(source, `${label} tenants`, match.tenants);
+  if (match.models !== undefined) out.models = compileList(source, `${label} models`, match.models);
+  if (match.modes !== undefined) out.modes = compileList(source, `${label} modes`, match.modes, normalizeMode);
+  if (match.sensitivity !== undefined) {
+    out.sensitivity = compileList(source, `${label} sensitivity`, match.sensitivity, (s) => s.toUpperCase());
+  }
+  if (match.levels !== undefined) {
+    out.levels = compileList(source, `${label} levels`, match.levels, (l) => l.toUpperCase());
+    for (const l of out.levels) {
+      if (!isLevel(l)) throw policyError(source, `${label} levels has unknown level "${l}" (expected: ${LEVELS.join(", ")})`);
+    }
+  }
+  if (match.minLevel !== undefined) {
+    out.minLevel = String(match.minLevel).toUpperCase();
+    if (!isLevel(out.minLevel)) {
+      throw policyError(source, `${label} minLevel "${match.minLevel}" is not one of: ${LEVELS.join(", ")}`);
+    }
+  }
+  for (const key of ["minChars", "maxChars"]) {
+    if (match[key] === undefined) continue;
+    if (!Number.isInteger(match[key]) || match[key] < 0) {
+      throw policyError(source, `${label} ${key} must be a non-negative integer`);
+    }
+    out[key] = match[key];
+  }
+  for (const key of ["hasImages", "hasTools"]) {
+    if (match[key] === undefined) continue;
+    if (typeof match[key] !== "boolean") throw policyError(source, `${label} ${key} must be true or false`);
+    out[key] = match[key];
+  }
+  if (match.timeWindow !== undefined) out.timeWindow = compileTimeWindow(source, `${label} timeWindow`, match.timeWindow);
+  return out;
+}
+
+function compileAction(source, label, action) {
+  if (!ACTION_VALUES.includes(action)) {
+    throw policyError(source, `${label} has unknown action "${action}" (expected one of: ${ACTION_VALUES.join(", ")})`);
+  }
+  return action;
+}
+
+/**
+ * Validate and compile a parsed policy document.
+ * Returns { source, defaultAction, allowUserOverrides (Set of command names), cloudMaxLevel,
+ *           rules: [{ id, match, action, reason? }] }
+ */
+function compilePolicy(doc, { source = "<inline>" } = {}) {
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    throw policyError(source, "must be an object with a \"rules\" list");
+  }
+  if (doc.rules !== undefined && !Array.isArray(doc.rules)) {
+    throw policyError(source, "\"rules\" must be a list");
+  }
+  const allowUserOverrides = compileOverrides(
+    source,
+    doc.allowUserOverrides === undefined ? envOverrides() : doc.allowUserOverrides
+  );
+
+  let cloudMaxLevel;
+  try {
+    cloudMaxLevel =
+      doc.cloudMaxLevel === undefined
+        ? validateCloudMaxLevel()
+        : validateCloudMaxLevel(String(doc.cloudMaxLevel).toUpperCase(), "cloudMaxLevel");
+  } catch (e) {
+    throw policyError(source, e.message);
+  }
+
+  const seen = new Set();
+  const rules = (doc.rules || []).map((rule, i) => {
+    if (!rule || typeof rule !== "object") throw policyError(source, `rule #${i + 1} must be an object`);
+    if (typeof rule.id !== "string" || !rule.id) throw policyError(source, `rule #${i + 1} needs an "id"`);
+    if (seen.has(rule.id)) throw policyError(source, `duplicate rule id "${rule.id}"`);
+    seen.add(rule.id);
+
+    const label = `rule "${rule.id}"`;
+    return {
+      id: rule.id,
+      match: compileMatch(source, label, rule.match),
+      action: compileAction(source, label, rule.action),
+      ...(typeof rule.reason === "string" ? { reason: rule.reason } : {}),
+    };
+  });
+
+  return {
+    source,
+    defaultAction: compileAction(source, "\"default\"", doc.default ?? ACTIONS.FORCE_LOCAL),
+    allowUserOverrides,
+    cloudMaxLevel,
+    rules,
+  };
+}
+
+const OVERRIDE_NAMES = COMMAND_NAMES.filter((name) => name !== "confirm");
+
+function envOverrides() {
+  const v = (process.env.ALLOW_USER_OVERRIDES || "true").trim();
+  if (v === "true" || v === "false") return v === "true";
+  return v.split(",").map((name) => name.trim().replace(/^\//, "")).filter(Boolean);
+}
+
+// true / false / ["local", "mode"] -> Set of allowed command names
+function compileOverrides(source, value) {
+  if (typeof value === "boolean") return new Set(value ? OVERRIDE_NAMES : []);
+  if (!Array.isArray(value) || value.some((v) => typeof v !== "string")) {
+    throw policyError(source, '"allowUserOverrides" must be true, false or a list of command names');
+  }
+  for (const name of value) {
+    if (!OVERRIDE_NAMES.includes(name)) {
+      throw policyError(
+        source,
+        `"allowUserOverrides" has unknown command "${name}" (expected: ${OVERRIDE_NAMES.join(", ")})`
+      );
+    }
+  }
+  return new Set(value);
+}
+
+// Legacy env switches as a policy: sensitivity is graded by cloudMaxLevel
+// (SENSITIVITY_CLOUD_MAX_LEVEL / ALLOW_SENSITIVE_CLOUD), overrides come from ALLOW_USER_OVERRIDES,
+// everything else may use cloud.
+function legacyPolicy() {
+  return compilePolicy(
+    {
+      default: ACTIONS.ALLOW_CLOUD,
+      rules: [],
+    },
+    { source: "<env>" }
+  );
+}
+
+function loadRoutingPolicy(filePath = process.env.ROUTING_POLICY_FILE) {
+  if (!filePath) return legacyPolicy();
+  return compilePolicy(loadConfigFile(filePath), { source: filePath });
+}
+
+// Loaded once on first use; the proxy calls it at startup to fail fast.
+function getRoutingPolicy() {
+  if (!activePolicy) activePolicy = loadRoutingPolicy();
+  return activePolicy;
+}
+
+function setRoutingPolicy(policy) {
+  activePolicy = policy;
+}
+
+// -------------------- Evaluation --------------------
+
+function normalizeMode(mode) {
+  return String(mode || "").toUpperCase().replace(/^MODE=/, "");
+}
+
+function localClock(now, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(now)
+      .map((p) => [p.type, p.value])
+  );
+  return { day: parts.weekday.toLowerCase(), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+function inTimeWindow(tw, now) {
+  const { day, minutes } = localClock(now, tw.timezone);
+  if (tw.days && !tw.days.has(day)) return false;
+  // from > to spans midnight (e.g. 22:00-06:00)
+  return tw.from <= tw.to ? minutes >= tw.from && minutes < tw.to : minutes >= tw.from || minutes < tw.to;
+}
+
+function sensitivityMatches(wanted, categories) {
+  if (wanted.has("ANY") && categories.length) return true;
+  if (wanted.has("NONE") && !categories.length) return true;
+  return categories.some((c) => wanted.has(c));
+}
+
+function ruleMatches(match, ctx) {
+  const identity = ctx.identity || {};
+  if (match.apiKeys && !match.apiKeys.has(identity.keyId)) return false;
+  if (match.tenants && !match.tenants.has(identity.tenant)) return false;
+  if (match.models && !match.models.has(ctx.requestedModel)) return false;
+  if (match.modes && !match.modes.has(normalizeMode(ctx.responseMode))) return false;
+  if (match.sensitivity && !sensitivityMatches(match.sensitivity, ctx.categories || [])) return false;
+  if (match.levels && !match.levels.has(ctx.level || "NONE")) return false;
+  if (match.minLevel && levelRank(ctx.level || "NONE") < levelRank(match.minLevel)) return false;
+  if (match.minChars !== undefined && (ctx.chars || 0) < match.minChars) return false;
+  if (match.maxChars !== undefined && (ctx.chars || 0) > match.maxChars) return false;
+  if (match.hasImages !== undefined && Boolean(ctx.hasImages) !== match.hasImages) return false;
+  if (match.hasTools !== undefined && Boolean(ctx.hasTools) !== match.hasTools) return false;
+  if (match.timeWindow && !inTimeWindow(match.timeWindow, ctx.now || new Date())) return false;
+  return true;
+}
+
+/**
+ * Evaluate the policy for one request.
+ * ctx: { identity: { keyId, tenant }, requestedModel, responseMode, categories, level, chars, hasImages, hasTools,
+ *        now }
+ * Returns { action, ruleId, reason } — ruleId is "default" when no rule matched.
+ */
+function evaluateRoutingPolicy(ctx, policy = getRoutingPolicy()) {
+  for (const rule of policy.rules) {
+    if (ruleMatches(rule.match, ctx)) {
+      return { action: rule.action, ruleId: rule.id, reason: rule.reason || `Rule "${rule.id}": ${rule.action}` };
+    }
+  }
+  return { action: policy.defaultAction, ruleId: "default", reason: `No rule matched: ${policy.defaultAction}` };
+}
+
+module.exports = {
+  ACTIONS,
+  compilePolicy,
+  loadRoutingPolicy,
+  getRoutingPolicy,
+  setRoutingPolicy,
+  evaluateRoutingPolicy,
+};
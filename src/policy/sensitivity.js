@@ -0,0 +1,75 @@
+// src/policy/sensitivity.js
+//
+// Graded sensitivity instead of a yes/no "looks sensitive":
+// NONE < LOW < MEDIUM < HIGH < CRITICAL (see src/detectors/severity.js).
+//
+// The level is the highest detector severity found, with one bump: many LOW findings
+// (an address list rather than a signature) count as MEDIUM.
+//
+// Cloud limit: SENSITIVITY_CLOUD_MAX_LEVEL. Unset, the legacy ALLOW_SENSITIVE_CLOUD decides:
+// NONE by default (anything sensitive stays local, as before grading), HIGH when it is "true".
+// CRITICAL never goes to cloud, whatever the setting.
+
+const { findMatches } = require("../detectors/detectors");
+const { LEVELS, levelRank, maxLevel, isLevel } = require("../detectors/severity");
+
+// LOW findings at or above this count make the input MEDIUM
+const LOW_BUMP_COUNT = 5;
+
+const WEIGHTS = Object.freeze({ NONE: 0, LOW: 1, MEDIUM: 5, HIGH: 25, CRITICAL: 100 });
+
+function defaultCloudMaxLevel() {
+  const configured = (process.env.SENSITIVITY_CLOUD_MAX_LEVEL || "").toUpperCase();
+  if (configured) return configured;
+  return (process.env.ALLOW_SENSITIVE_CLOUD || "false") === "true" ? "HIGH" : "NONE";
+}
+
+/**
+ * Grade text. Returns { level, score, findings } where findings are grouped per category
+ * (no values): [{ category, severity, count }], highest severity first.
+ */
+function scoreSensitivity(text) {
+  const groups = new Map();
+  for (const m of findMatches(text || "")) {
+    const severity = m.severity || "MEDIUM";
+    const g = groups.get(m.category) || { category: m.category, severity: "NONE", count: 0 };
+    g.severity = maxLevel(g.severity, severity);
+    g.count++;
+    groups.set(m.category, g);
+  }
+
+  const findings = [...groups.values()].sort((a, b) => levelRank(b.severity) - levelRank(a.severity));
+
+  let level = findings.reduce((acc, f) => maxLevel(acc, f.severity), "NONE");
+  const lowCount = findings.filter((f) => f.severity === "LOW").reduce((n, f) => n + f.count, 0);
+  if (level === "LOW" && lowCount >= LOW_BUMP_COUNT) level = "MEDIUM";
+
+  const score = findings.reduce((n, f) => n + WEIGHTS[f.severity] * f.count, 0);
+  return { level, score, findings };
+}
+
+/**
+ * Validate a cloud max level. CRITICAL is rejected: it always stays local.
+ */
+function validateCloudMaxLevel(level = defaultCloudMaxLevel(), label = "SENSITIVITY_CLOUD_MAX_LEVEL") {
+  if (!isLevel(level) || level === "CRITICAL") {
+    throw new Error(`Invalid ${label} "${level}" (expected one of: ${LEVELS.slice(0, -1).join(", ")})`);
+  }
+  return level;
+}
+
+/**
+ * Whether input at `level` may go to cloud (after sanitization) under `cloudMaxLevel`.
+ */
+function cloudAllowedForLevel(level, cloudMaxLevel = defaultCloudMaxLevel()) {
+  if (level === "CRITICAL") return false;
+  return levelRank(level) <= levelRank(cloudMaxLevel);
+}
+
+module.exports = {
+  LEVELS,
+  scoreSensitivity,
+  cloudAllowedForLevel,
+  validateCloudMaxLevel,
+  defaultCloudMaxLevel,
+};
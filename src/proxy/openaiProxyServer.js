@@ -2,18 +2,21 @@
 //
 // OpenAI-compatible proxy for Open WebUI:
 // - GET  /v1/models
-// - GET  /v1/health
+// - GET  /v1/health (Ollama + Bedrock backend status; 503 when neither can serve)
 // - POST /v1/chat/completions (non-stream + stream SSE)
+// - POST /v1/route/explain (dry run: routing trace + sanitized envelope, no backend calls)
 //
 // Routes:
 // - Local: Ollama OpenAI-compatible endpoint (/v1) with model mapping
-// - Cloud: AWS Bedrock (sanitized envelope)
+// - Cloud: AWS Bedrock (sanitized envelope; OpenAI tool calling mapped to Anthropic tool use)
 //
 // Policy (STEP 16):
 // - Optional API key auth (Open WebUI "API Key" field)
 // - Cloud blocked when OFFLINE_REQUIRED=true or CLOUD_ALLOWED=false
-// - Cloud blocked when raw input appears sensitive unless ALLOW_SENSITIVE_CLOUD=true
-// - Optional: allow/deny user overrides (/cloud, /local)
+// - Everything else from the routing policy (ROUTING_POLICY_FILE; legacy: ALLOW_SENSITIVE_CLOUD)
+// - Optional: allow/deny user overrides (/cloud, /local); "/confirm" for require-confirmation rules
+// - Optional local-first escalation (ESCALATION_MODE): low-confidence local answers are re-run on cloud
+// - The matched rule id is returned in the X-Hybrid-Policy-Rule header
 //
 // Streaming (STEP 18):
 // - Local: true SSE passthrough from Ollama
@@ -22,48 +25,123 @@
 const express = require("express");
 const fs = require("fs");
 
-const { sanitizeText } = require("../sanitizer/sanitizeText");
-const { buildCloudEnvelope } = require("../envelope/buildCloudEnvelope");
+const { sanitizeTextWithReport } = require("../sanitizer/sanitizeText");
+const { summarizeForCloud } = require("../sanitizer/summarizeForCloud");
+const { validateBlockOptions } = require("../sanitizer/blocks");
+const {
+  EGRESS_DLP_ACTION,
+  createEgressContext,
+  applyEgressPolicy,
+  createEgressStreamScanner,
+  validateEgressAction,
+} = require("../dlp/egressScanner");
+const {
+  createPseudonymVault,
+  rehydrateText,
+  createStreamRehydrator,
+} = require("../sanitizer/pseudonymize");
+const { buildCloudEnvelope, DEFAULT_CONSTRAINTS } = require("../envelope/buildCloudEnvelope");
 const { validateEnvelope } = require("../envelope/validateEnvelope");
 const { ROUTES } = require("../routing/routeTask");
+const { parseCommands, commandFlags, COMMAND_NAMES } = require("../routing/commands");
+const { classifyComplexity, validateComplexityOptions } = require("../routing/complexity");
+const { TURN_ROLES, trimHistory, sanitizeHistory } = require("../conversation/history");
+const {
+  HISTORY_SUMMARY,
+  HISTORY_SUMMARY_MIN_TURNS,
+  conversationKey,
+  getHistorySummarizer,
+  sanitizeSummaryBullets,
+} = require("../conversation/historySummary");
+const {
+  ESCALATION_MODE,
+  ESCALATION_THRESHOLD,
+  validateEscalationOptions,
+  assessConfidence,
+  shouldEscalate,
+} = require("../routing/escalation");
+const { validateBudgetFallbackOptions, budgetDecision, budgetNotice } = require("../routing/budgetFallback");
 
 // Step 14 modules
 const { routeWithLoad } = require("../routing/routeWithLoad");
-const { assertCostAllowed } = require("../cost/costGuard");
+const {
+  estimateCloudCost,
+  reserveCloudCost,
+  commitCloudCost,
+  refundCloudCost,
+  getCostStatus,
+  listUsage,
+  quotaRemainingShare,
+  isQuotaError,
+} = require("../cost/costGuard");
+const { getCostStore } = require("../cost/costStore");
+const { getPricing } = require("../cost/pricing");
+
+// Local Ollama client (OpenAI-compatible /v1) + backend health prober
+const { ollamaChat, ollamaChatStream } = require("../local/ollamaClient");
+const { createOllamaHealth } = require("../system/ollamaHealth");
 
 // Bedrock callers
-const { callBedrock, streamBedrockText } = require("../cloud/callBedrock");
-
-// Policy module (STEP 16)
+const { callBedrock, streamBedrockText, usageFromAnthropic } = require("../cloud/callBedrock");
+const {
+  checkOpenAIParams,
+  checkCloudParams,
+  anthropicParams,
+  finishReasonFromAnthropic,
+  openaiUsage,
+} = require("../cloud/openaiParams");
+const {
+  mapStrings,
+  usesTools,
+  checkOpenAITools,
+  toolChoiceName,
+  toolTurnText,
+  toolRequestText,
+  anthropicToolRequest,
+  openaiToolCall,
+} = require("../cloud/openaiTools");
+
+// Detector registry (built-ins + optional rule pack)
+const { getDetectorRegistry } = require("../detectors/detectors");
+
+// Model catalog (MODEL_CATALOG_FILE): exposed local models / cloud tiers and what backs them
+const {
+  getModelCatalog,
+  findLocalModel,
+  findCloudModel,
+  selectLocalModel,
+  selectCloudModel,
+} = require("../models/modelCatalog");
+
+// API keys (PROXY_KEYS_FILE / PROXY_API_KEY)
+const { createKeyStore, modelAllowed, ANONYMOUS_IDENTITY } = require("../auth/keyStore");
+
+// Policy module (STEP 16) + declarative routing policy (ROUTING_POLICY_FILE)
 const { evaluateCloudPolicy, evaluateOverridePolicy } = require("../policy/policy");
+const { ACTIONS, getRoutingPolicy } = require("../policy/policyEngine");
+const { scoreSensitivity, cloudAllowedForLevel } = require("../policy/sensitivity");
 
 // -------------------- Env / config --------------------
 
 const PORT = Number(process.env.PORT || 8787);
 
-// Ollama OpenAI-compatible base URL MUST include /v1
-const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || "http://127.0.0.1:11434/v1";
-
-// Actual Ollama model to use for "local-fast" / local routed requests
+// Ollama model behind "local-fast" when no model catalog is configured (also the summarize default)
 const OLLAMA_LOCAL_MODEL = process.env.OLLAMA_LOCAL_MODEL || "llama3.1:8b";
 
 const TRANSFER_PROMPT_PATH =
   process.env.TRANSFER_PROMPT_PATH || "prompts/transfer/cloud_transfer_prompt_v1.md";
 
-// Proxy-exposed model IDs (what Open WebUI sees)
+// Proxy-exposed model IDs (what Open WebUI sees); local and cloud ids come from the model catalog
+// (MODEL_CATALOG_FILE; defaults: DEFAULT_MODEL_LOCAL -> OLLAMA_LOCAL_MODEL,
+// DEFAULT_MODEL_CLOUD -> BEDROCK_MODEL_ID)
 const MODEL_AUTO = process.env.DEFAULT_MODEL_AUTO || "auto-hybrid";
-const MODEL_LOCAL = process.env.DEFAULT_MODEL_LOCAL || "local-fast";
-const MODEL_CLOUD = process.env.DEFAULT_MODEL_CLOUD || "cloud-deep";
-
-// Bedrock model id must be a valid Bedrock modelId
-const BEDROCK_MODEL_ID =
-  process.env.BEDROCK_MODEL_ID || "eu.anthropic.claude-3-sonnet-20240229-v1:0";
 
 const OFFLINE_REQUIRED = (process.env.OFFLINE_REQUIRED || "false") === "true";
 const CLOUD_ALLOWED = (process.env.CLOUD_ALLOWED || "false") === "true";
 
-// Optional proxy auth (set to require Open WebUI API key)
-const PROXY_API_KEY = process.env.PROXY_API_KEY || "";
+// Optional proxy auth (Open WebUI "API Key" field): PROXY_KEYS_FILE (hashed per-team keys)
+// and/or the legacy single PROXY_API_KEY; see src/auth/keyStore.js. Neither set = no auth.
+let keyStore = null;
 
 // Open WebUI file resolution for vision
 // Required only when Open WebUI sends image_url with a file-id (UUID) instead of a real URL/data URL.
@@ -72,39 +150,114 @@ const OPEN_WEBUI_SERVICE_TOKEN =
   process.env.OPEN_WEBUI_SERVICE_TOKEN || process.env.OPENWEBUI_SERVICE_TOKEN || "";
 const ALLOW_CLOUD_IMAGES = (process.env.ALLOW_CLOUD_IMAGES || "false") === "true";
 
+// Sanitizer mode for the cloud path:
+// - "mask" (default): flat [SANITIZED:TYPE] placeholders
+// - "pseudonymize": stable per-request tokens ([EMAIL_1], ...) re-hydrated locally in the answer
+const SANITIZER_MODE = (process.env.SANITIZER_MODE || "mask").toLowerCase();
+const PSEUDONYMIZE = SANITIZER_MODE === "pseudonymize";
+
+// Redaction stage before cloud:
+// - "mask" (default): regex masking only
+// - "both" (alias "summarize"): mask, then the local model rewrites the masked input into an
+//   abstract problem statement, which is re-checked by the detectors. Only the summary goes to cloud.
+const REDACTION_MODE = ["summarize", "both"].includes((process.env.REDACTION_MODE || "").toLowerCase())
+  ? "both"
+  : "mask";
+const SUMMARIZE_MODEL = process.env.SUMMARIZE_MODEL || OLLAMA_LOCAL_MODEL;
+
+// Ollama health (reachability, loaded model, latency/errors, in-flight); probed from main()
+let ollamaHealth = null;
+
 // Debug toggles
 const DEBUG_LOCAL = (process.env.DEBUG_LOCAL || "false") === "true";
 const DEBUG_CLOUD = (process.env.DEBUG_CLOUD || "false") === "true";
 
 // -------------------- Helpers: auth --------------------
 
-function authMiddleware(req, res, next) {
-  if (!PROXY_API_KEY) return next();
+function getKeyStore() {
+  if (!keyStore) keyStore = createKeyStore();
+  return keyStore;
+}
+
+// Longest OpenAI "user" value kept for per-user quotas
+const MAX_REQUEST_USER_CHARS = 128;
 
+// Sets req.identity = { keyId, tenant, models, cloud, vision, scopes } for policy, cost and logs.
+function authMiddleware(req, res, next) {
   const auth = req.headers.authorization || "";
   const bearer = auth.startsWith("Bearer ") ? auth.slice(7) : "";
   const xKey = req.headers["x-api-key"] || "";
 
-  if (bearer === PROXY_API_KEY || xKey === PROXY_API_KEY) return next();
+  const store = getKeyStore();
+  let result = store.authenticate(bearer);
+  if (!result.ok && xKey) result = store.authenticate(xKey);
+
+  if (!result.ok) {
+    return res.status(401).json({ error: { message: result.reason } });
+  }
 
-  return res.status(401).json({ error: { message: "Unauthorized" } });
+  req.identity = result.identity;
+  return next();
+}
+
+// Per-route scope check (after authMiddleware). Attached to the route itself, so it applies to
+// every path Express matches for it (any case, trailing slash).
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.identity.scopes.includes(scope)) return next();
+    return res.status(403).json({
+      error: { message: `API key "${req.identity.keyId}" does not have the "${scope}" scope` },
+    });
+  };
+}
+
+// The OpenAI "user" field (Open WebUI sends its user id) narrows the key identity to one user,
+// whose cloud usage is counted and limited separately within the key (see costGuard).
+function withRequestUser(identity, user) {
+  const id = typeof user === "string" ? user.trim().slice(0, MAX_REQUEST_USER_CHARS) : "";
+  return id ? { ...identity, user: id } : identity;
 }
 
 // -------------------- Helpers: OpenAI compat --------------------
 
-function modelsPayload() {
+// Only the models the calling key may use are listed. Catalog entries carry their metadata
+// in a "hybrid" field (backend, backing model, capabilities, cost tier).
+function modelsPayload(identity = ANONYMOUS_IDENTITY) {
   const now = Math.floor(Date.now() / 1000);
+  const model = (id, hybrid) => ({ id, object: "model", created: now, owned_by: "hybrid-proxy", hybrid });
+  const { local, defaultLocal, cloud, defaultCloud } = getModelCatalog();
+
   return {
     object: "list",
     data: [
-      { id: MODEL_AUTO, object: "model", created: now, owned_by: "hybrid-proxy" },
-      { id: MODEL_LOCAL, object: "model", created: now, owned_by: "hybrid-proxy" },
-      { id: MODEL_CLOUD, object: "model", created: now, owned_by: "hybrid-proxy" },
-    ],
+      model(MODEL_AUTO, { backend: "router", description: "Picks local or cloud per request" }),
+      ...local.map((m) =>
+        model(m.id, {
+          backend: m.backend,
+          backing_model: m.ollamaModel,
+          capabilities: m.capabilities,
+          cost_tier: m.costTier,
+          default: m === defaultLocal,
+          description: m.description,
+        })
+      ),
+      ...cloud.map((m) =>
+        model(m.id, {
+          backend: m.backend,
+          backing_model: m.bedrockModelId,
+          capabilities: m.capabilities,
+          cost_tier: m.costTier,
+          default: m === defaultCloud,
+          description: m.description,
+        })
+      ),
+    ].filter((m) => modelAllowed(identity, m.id)),
   };
 }
 
-function openaiChatResponse({ id, model, content }) {
+// usage: { inputTokens, outputTokens } of the backend call (omitted for proxy notices)
+// toolCalls: OpenAI tool_calls of a cloud answer (content is null when there is no text)
+function openaiChatResponse({ id, model, content, finishReason = "stop", usage = null, toolCalls = [] }) {
   return {
     id,
     object: "chat.completion",
@@ -113,13 +266,26 @@ function openaiChatResponse({ id, model, content }) {
     choices: [
       {
         index: 0,
-        message: { role: "assistant", content },
-        finish_reason: "stop",
+        message: {
+          role: "assistant",
+          content: toolCalls.length && !content ? null : content,
+          ...(toolCalls.length ? { tool_calls: toolCalls } : {}),
+        },
+        finish_reason: finishReason,
       },
     ],
+    ...(usage ? { usage: openaiUsage(usage) } : {}),
   };
 }
 
+// Sanitization report for the caller: categories and counts only, never values or offsets.
+function setSanitizationHeader(res, report) {
+  res.setHeader(
+    "X-Hybrid-Sanitization",
+    JSON.stringify({ total: report.total, counts: report.counts })
+  );
+}
+
 // -------------------- Helpers: SSE streaming --------------------
 
 function setSseHeaders(res) {
@@ -155,7 +321,24 @@ function openaiStreamChunk({ id, model, content, created }) {
   };
 }
 
-function openaiStreamFinal({ id, model, created }) {
+// One complete tool call as a tool_calls delta (index: position among the answer's tool calls)
+function openaiStreamToolCall({ id, model, created, index, toolCall }) {
+  return {
+    id,
+    object: "chat.completion.chunk",
+    created,
+    model,
+    choices: [
+      {
+        index: 0,
+        delta: { tool_calls: [{ index, ...toolCall }] },
+        finish_reason: null,
+      },
+    ],
+  };
+}
+
+function openaiStreamFinal({ id, model, created, finishReason = "stop" }) {
   return {
     id,
     object: "chat.completion.chunk",
@@ -165,12 +348,60 @@ function openaiStreamFinal({ id, model, created }) {
       {
         index: 0,
         delta: {},
-        finish_reason: "stop",
+        finish_reason: finishReason,
       },
     ],
   };
 }
 
+// Extra last chunk (no choices) with the token usage, sent when the request sets
+// stream_options.include_usage, as OpenAI does.
+function openaiStreamUsage({ id, model, created, usage }) {
+  return {
+    id,
+    object: "chat.completion.chunk",
+    created,
+    model,
+    choices: [],
+    usage: openaiUsage(usage),
+  };
+}
+
+// Proxy-generated assistant message (no model call), e.g. a confirmation request.
+function respondWithNotice(res, { wantsStream, content, model = MODEL_AUTO }) {
+  const id = `hybrid-${Date.now()}`;
+  if (!wantsStream) return res.json(openaiChatResponse({ id, model, content }));
+
+  const created = Math.floor(Date.now() / 1000);
+  setSseHeaders(res);
+  sseWrite(res, openaiStreamChunk({ id, model, content, created }));
+  sseWrite(res, openaiStreamFinal({ id, model, created }));
+  return sseDone(res);
+}
+
+// OpenAI-style 429 for a cost guard refusal (explicit cloud requests; auto-hybrid ones go local)
+function respondQuotaExceeded(res, error) {
+  const { resetsAt } = error.details;
+  res.setHeader("Retry-After", String(Math.max(1, Math.ceil((Date.parse(resetsAt) - Date.now()) / 1000))));
+  return res.status(429).json({
+    error: {
+      message: error.message,
+      type: "insufficient_quota",
+      param: null,
+      code: "insufficient_quota",
+      resets_at: resetsAt,
+      details: error.details,
+    },
+  });
+}
+
+function confirmationNotice(cloudPolicy) {
+  return (
+    `This request needs confirmation before it is sent to the cloud (policy rule "${cloudPolicy.ruleId}"). ` +
+    "Resend it starting with /confirm to proceed, or /local to keep it local."
+  );
+}
+
 function* chunkText(text, chunkSize = 200) {
   for (let i = 0; i < text.length; i += chunkSize) {
     yield text.slice(i, i + chunkSize);
@@ -206,6 +437,47 @@ function stripResponseModePrefix(text) {
   return (text || "").replace(/^\s*MODE=(EXPLAIN|COMPARE|DESIGN|CHECKLIST)\b\s*/i, "");
 }
 
+// Leading slash commands of one message's text: { content, parsed } with the commands stripped
+function stripMessageCommands(content) {
+  if (typeof content === "string") {
+    const parsed = parseCommands(content);
+    return { content: parsed.text, parsed };
+  }
+  if (Array.isArray(content)) {
+    const t = content.findIndex((p) => p && typeof p.text === "string");
+    if (t !== -1) {
+      const parsed = parseCommands(content[t].text);
+      return { content: content.map((p, i) => (i === t ? { ...p, text: parsed.text } : p)), parsed };
+    }
+  }
+  return { content, parsed: null };
+}
+
+// Leading slash commands (see src/routing/commands.js). Only those of the latest user message
+// apply; earlier user turns lose theirs too, so they reach neither the history nor the model.
+// Returns { messages, parsed } where messages has the commands stripped (for sanitization
+// and forwarding alike).
+function stripLeadingCommands(messages) {
+  const list = Array.isArray(messages) ? messages : [];
+  let idx = -1;
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (list[i] && list[i].role === "user") {
+      idx = i;
+      break;
+    }
+  }
+
+  let parsed = { text: "", commands: [], unknown: [], errors: [] };
+  const stripped = list.map((m, i) => {
+    if (!m || m.role !== "user") return m;
+    const out = stripMessageCommands(m.content);
+    if (i === idx && out.parsed) parsed = out.parsed;
+    return out.content === m.content ? m : { ...m, content: out.content };
+  });
+
+  return { messages: stripped, parsed };
+}
+
 function isDataUrl(u) {
   return typeof u === "string" && u.startsWith("data:");
 }
@@ -259,6 +531,37 @@ function extractUserTextAndImageRefs(messages) {
   return { userText: textParts.filter(Boolean).join("\n\n"), imageRefs };
 }
 
+// Conversation structure for the cloud path: the latest user message is the question,
+// the turns before it are history ({ role, text }, oldest first, empty turns skipped).
+// Earlier tool calls and results are history text (a result is a user turn, as in Anthropic's
+// format); exchange: the assistant and tool messages after the question (tool calling).
+function extractConversation(messages) {
+  const list = (messages || []).filter((m) => m && (TURN_ROLES.includes(m.role) || m.role === "tool"));
+  let idx = -1;
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (list[i].role === "user") {
+      idx = i;
+      break;
+    }
+  }
+
+  const textOf = (m) => {
+    if (m.role === "user") return extractUserTextAndImageRefs([m]).userText;
+    if (m.role === "tool" || Array.isArray(m.tool_calls)) return toolTurnText(m);
+    return stringifyContent(m.content);
+  };
+  const history = list
+    .slice(0, Math.max(idx, 0))
+    .map((m) => ({ role: m.role === "tool" ? "user" : m.role, text: textOf(m) }))
+    .filter((t) => t.text.trim());
+
+  return {
+    history,
+    current: idx === -1 ? "" : textOf(list[idx]),
+    exchange: idx === -1 ? [] : list.slice(idx + 1).filter((m) => m.role === "assistant" || m.role === "tool"),
+  };
+}
+
 async function fetchOpenWebUIFileAsDataUrl(fileId) {
   if (!OPEN_WEBUI_BASE_URL || !OPEN_WEBUI_SERVICE_TOKEN) {
     throw new Error(
@@ -336,19 +639,13 @@ function extractUserText(messages) {
 
 // -------------------- Routing hints (deterministic) --------------------
 
-function decideRoutingHints(userText, requestedModel) {
-  const overridePolicy = evaluateOverridePolicy();
-
-  const wantsCloudOverride = userText.includes("/cloud");
-  const wantsLocalOverride = userText.includes("/local");
+// commands: flags from the leading slash commands, already filtered by evaluateOverridePolicy.
+// Explicit model / commands first; otherwise the complexity classifier (COMPLEXITY_CLASSIFIER)
+// decides whether the request needs deep reasoning.
+async function decideRoutingHints(userText, requestedModel, commands = {}, { responseMode, dryRun = false } = {}) {
+  const explicitCloud = commands.cloud === true || Boolean(findCloudModel(getModelCatalog(), requestedModel));
+  const explicitLocal = commands.local === true || Boolean(findLocalModel(getModelCatalog(), requestedModel));
 
-  const explicitCloud =
-    (overridePolicy.allow && wantsCloudOverride) || requestedModel === MODEL_CLOUD;
-
-  const explicitLocal =
-    (overridePolicy.allow && wantsLocalOverride) || requestedModel === MODEL_LOCAL;
-
-  // If overrides are disabled but user tried them, keep neutral; requestedModel still applies.
   // Sensitivity is evaluated later in policy gate (cloud blocks).
 
   if (explicitLocal) {
@@ -367,16 +664,13 @@ function decideRoutingHints(userText, requestedModel) {
     };
   }
 
-  const longOrComplex =
-    userText.length > 2000 ||
-    /threat model|architecture|trade-?offs|design|attack surface|risk|mitigation|iam|policy/i.test(
-      userText
-    );
+  const complexity = await classifyComplexity(userText, { responseMode, dryRun });
 
   return {
-    requiresDeepReasoning: longOrComplex,
+    requiresDeepReasoning: complexity.deep,
     forceLocal: false,
     forceCloud: false,
+    complexity,
   };
 }
 
@@ -389,8 +683,9 @@ function loadTransferPromptTemplate() {
 function fillTemplatePlaceholders(template, envelope) {
   return template
     .replaceAll("{{WEB_BROWSING_ENABLED}}", "false")
+    .replaceAll("{{DATA_SENSITIVITY}}", envelope.data_sensitivity || "HIGH")
     .replaceAll("{{CLOUD_MODEL_FAMILY}}", envelope.cloud?.model_family || "claude")
-    .replaceAll("{{CLOUD_MODEL_ID}}", envelope.cloud?.model_id || BEDROCK_MODEL_ID)
+    .replaceAll("{{CLOUD_MODEL_ID}}", envelope.cloud?.model_id || "")
     .replaceAll("{{REQUEST_ID}}", envelope.meta?.request_id || "")
     .replaceAll("{{TIME_UTC}}", envelope.meta?.time_utc || "");
 }
@@ -400,18 +695,144 @@ function serializeTransferPrompt(template, envelope) {
   return `${filled}\n\n${JSON.stringify(envelope, null, 2)}\n`;
 }
 
-function buildCloudPromptFromUserText(userText, responseMode) {
-  const sanitized = sanitizeText(userText);
+// Adds the { total, counts } of another sanitizer pass (history turns, summary bullets) to a report.
+// Spans stay those of the question.
+function addCounts(report, extra) {
+  const counts = { ...report.counts };
+  for (const [category, n] of Object.entries(extra.counts)) counts[category] = (counts[category] || 0) + n;
+  return { ...report, total: report.total + extra.total, counts };
+}
+
+// Returns { prompt, sanitizedChars, envelope, report, egress, tools }
+// (egress: context for the egress DLP scan of the answer; proxy memory only)
+// dryRun skips the summarize stage (it needs the local model) and notes that in the report.
+// localDraft (escalation): the local answer, sanitized with the same vault, goes into the context summary.
+// cloudModel: the catalog cloud tier (its Bedrock model id goes into envelope.cloud and the template).
+// history: earlier turns ({ role, text }, already trimmed), sanitized turn by turn with the same
+// vault into envelope.conversation_sanitized. Not sent with REDACTION_MODE=both (summary only).
+// summary: { key, turns } (the whole earlier conversation) for the local history summary in
+// context_summary_sanitized; noCache (/no-cache) recomputes it.
+// toolRequest (tool calling, see planChatRoute): definitions and exchange, sanitized with the same
+// vault into tools: { params, messages, aliases, sentText } (null without tool calling).
+// localUnavailable (failover, Ollama down): the history summary only comes from the cache, as in a
+// dry run, instead of waiting for the local model.
+async function buildCloudPromptFromUserText({
+  userText,
+  responseMode,
+  vault,
+  cloudModel,
+  history = [],
+  summary = null,
+  noCache = false,
+  localDraft = null,
+  toolRequest = null,
+  localUnavailable = false,
+  dryRun = false,
+}) {
+  // Raw text of everything that goes into the envelope, graded for data_sensitivity once it is known.
+  // Each part was checked before (policy gate for the messages and tools, summary bullets below,
+  // the escalation check for localDraft); a level above the limit here is refused, not sent.
+  const sentRawText = [userText];
+  const { cloudMaxLevel } = getRoutingPolicy();
+  const removedValues = new Set();
+  const masked = sanitizeTextWithReport(userText, { vault, removedValues });
+  let sanitized = masked.text;
+  let report = masked.report;
+
+  if (REDACTION_MODE === "both" && dryRun) {
+    report = { ...masked.report, summarize: "skipped in dry run (needs the local model)" };
+  } else if (REDACTION_MODE === "both") {
+    const summarized = await summarizeForCloud(masked.text, { model: SUMMARIZE_MODEL, vault, removedValues });
+    sanitized = summarized.text;
+    report = { ...masked.report, summarized: true, recheck: summarized.recheck };
+  }
+
+  // Earlier conversation as bullets. Best effort: without the local model the summary is left out.
+  let historyBullets = [];
+  if (HISTORY_SUMMARY && summary && summary.turns.length >= HISTORY_SUMMARY_MIN_TURNS) {
+    try {
+      const result = await getHistorySummarizer({ model: SUMMARIZE_MODEL }).summarize(summary.key, summary.turns, {
+        noCache,
+        dryRun: dryRun || localUnavailable,
+      });
+      const checked = sanitizeSummaryBullets(result.bullets, { vault, removedValues, cloudMaxLevel });
+      historyBullets = checked.bullets;
+      // the bullets sanitizeSummaryBullets kept (dropped ones are not sent)
+      sentRawText.push(...result.bullets.filter((b) => cloudAllowedForLevel(scoreSensitivity(b).level, cloudMaxLevel)));
+      report = addCounts(report, checked.report);
+      report.historySummary = {
+        source: result.source,
+        bullets: checked.bullets.length,
+        dropped: checked.dropped,
+        ...(localUnavailable && result.source === "skipped" ? { reason: "local backend unavailable" } : {}),
+      };
+    } catch (e) {
+      report = { ...report, historySummary: { source: "failed", error: e.message } };
+    }
+  }
+
+  // Placeholder counts of the history turns are added to the report (spans stay those of the question)
+  let conversation = [];
+  if (REDACTION_MODE !== "both" && history.length) {
+    const turns = sanitizeHistory(history, { vault, removedValues });
+    conversation = turns.turns;
+    sentRawText.push(...history.map((t) => t.text));
+    report = { ...addCounts(report, turns.report), historyTurns: conversation.length };
+  }
+
+  // Tool definitions and the tool exchange: every string through the sanitizer, counts added
+  let tools = null;
+  if (toolRequest) {
+    let toolReport = { total: 0, counts: {} };
+    const sanitizeToolText = (text) => {
+      const masked = sanitizeTextWithReport(text, { vault, removedValues });
+      toolReport = addCounts(toolReport, masked.report);
+      return masked.text;
+    };
+    const request = anthropicToolRequest(toolRequest, sanitizeToolText);
+    sentRawText.push(toolRequestText(toolRequest));
+    tools = { ...request, sentText: JSON.stringify({ ...request.params, messages: request.messages }) };
+    report = { ...addCounts(report, toolReport), toolMessages: request.messages.length };
+  }
+
+  if (localDraft) sentRawText.push(localDraft);
+  const sensitivityLevel = scoreSensitivity(sentRawText.join("\n\n")).level;
+  if (!cloudAllowedForLevel(sensitivityLevel, cloudMaxLevel)) {
+    const error = new Error(
+      `Cloud transfer blocked: the prompt is ${sensitivityLevel}, above the cloud limit ${cloudMaxLevel}`
+    );
+    error.status = 403;
+    error.details = { dataSensitivity: sensitivityLevel, cloudMaxLevel };
+    throw error;
+  }
+
+  const draftContext = localDraft
+    ? [
+        "Draft answer from the local model (low confidence; correct and improve it): " +
+          sanitizeTextWithReport(localDraft, { vault, removedValues }).text,
+      ]
+    : [];
 
   const envelope = buildCloudEnvelope({
     sanitizedProblem: sanitized,
-    contextSummary: [
-      "Hybrid local + AWS Bedrock architecture",
-      "EXTREMELY_HIGH sensitivity: no raw confidential data leaves local",
-    ],
-    modelId: BEDROCK_MODEL_ID,
+    conversation,
+    contextSummary: [...historyBullets, ...draftContext],
+    modelId: cloudModel.bedrockModelId,
+    modelFamily: cloudModel.modelFamily,
     webBrowsingEnabled: false,
     responseMode,
+    sanitizationReport: report,
+    redactionMode: REDACTION_MODE,
+    dataSensitivity: sensitivityLevel,
+    ...(vault
+      ? {
+          maskingStyle: "[TYPE_N] (stable per-request pseudonyms)",
+          constraints: [
+            ...DEFAULT_CONSTRAINTS,
+            "Repeat placeholders such as [EMAIL_1] verbatim when referring to them",
+          ],
+        }
+      : {}),
   });
 
   validateEnvelope(envelope);
@@ -419,12 +840,14 @@ function buildCloudPromptFromUserText(userText, responseMode) {
   const template = loadTransferPromptTemplate();
   const prompt = serializeTransferPrompt(template, envelope);
 
-  return { prompt, sanitizedChars: sanitized.length, envelope };
+  const egress = createEgressContext({ sentText: tools ? prompt + tools.sentText : prompt, removedValues });
+
+  return { prompt, sanitizedChars: sanitized.length, envelope, report, egress, tools };
 }
 
 // -------------------- Cloud: Bedrock vision (images) --------------------
 
-async function invokeBedrockMessages({ modelId, messages, maxTokens = 2048 }) {
+async function invokeBedrockMessages({ modelId, messages, maxTokens, params = {}, onUsage, onStop, onToolUse }) {
   const region = process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || "eu-west-1";
 
   // Lazy require to avoid hard dependency if not used
@@ -434,7 +857,8 @@ async function invokeBedrockMessages({ modelId, messages, maxTokens = 2048 }) {
 
   const payload = {
     anthropic_version: "bedrock-2023-05-31",
-    max_tokens: maxTokens,
+    max_tokens: maxTokens ?? 2048,
+    ...params,
     messages,
   };
 
@@ -448,6 +872,11 @@ async function invokeBedrockMessages({ modelId, messages, maxTokens = 2048 }) {
   const resp = await client.send(cmd);
   const bodyStr = Buffer.from(resp.body).toString("utf-8");
   const parsed = JSON.parse(bodyStr);
+  if (onUsage) onUsage(usageFromAnthropic(parsed.usage));
+  if (onStop) onStop(parsed.stop_reason ?? null);
+  for (const block of Array.isArray(parsed.content) ? parsed.content : []) {
+    if (block && block.type === "tool_use" && onToolUse) onToolUse({ id: block.id, name: block.name, input: block.input });
+  }
 
   // Claude Messages response: { content: [{type:"text", text:"..."}], ... }
   const out =
@@ -458,7 +887,17 @@ async function invokeBedrockMessages({ modelId, messages, maxTokens = 2048 }) {
   return out;
 }
 
-async function callBedrockVision({ modelId, prompt, imageRefs }) {
+async function callBedrockVision({
+  modelId,
+  prompt,
+  imageRefs,
+  maxTokens,
+  params,
+  toolMessages = [],
+  onUsage,
+  onStop,
+  onToolUse,
+}) {
   const images = await resolveImageRefs(imageRefs);
 
   const content = [
@@ -473,153 +912,973 @@ async function callBedrockVision({ modelId, prompt, imageRefs }) {
     })),
   ];
 
-  const messages = [{ role: "user", content }];
+  const messages = [{ role: "user", content }, ...toolMessages];
 
-  return await invokeBedrockMessages({ modelId, messages });
+  return await invokeBedrockMessages({ modelId, messages, maxTokens, params, onUsage, onStop, onToolUse });
 }
 
-async function handleCloudNonStream({ userText, responseMode, imageRefs }) {
-  // HARD STOP cost guard (no AWS call if exceeded)
-  assertCostAllowed();
+// Pre-flight cost check for a built prompt: reserves the request and its estimated cost (throws
+// if a limit or budget is exhausted). Returns { onUsage, run(call) }: run() executes the Bedrock
+// call(s) and books the usage they reported through onUsage (the estimate if they reported none);
+// a call that fails without reported usage gets its reservation refunded.
+async function guardCloudCall({ identity, cloudModel, prompt, maxTokens, imageRefs }) {
+  const modelId = cloudModel.bedrockModelId;
+  const estimate = estimateCloudCost({ modelId, prompt, maxTokens, images: imageRefs ? imageRefs.length : 0 });
+  const reservation = await reserveCloudCost(identity, { estimate });
+  let usage = null;
+
+  const commit = async (tokens) => {
+    try {
+      const booked = await commitCloudCost(reservation, { modelId, ...tokens });
+      if (DEBUG_CLOUD) console.log("[cloud] usage:", JSON.stringify(booked));
+    } catch (e) {
+      // The answer exists; a failed booking must not turn it into an error
+      console.error("[cost] could not book cloud usage:", e.message);
+    }
+  };
 
-  const { prompt, sanitizedChars, envelope } = buildCloudPromptFromUserText(userText, responseMode);
+  return {
+    onUsage(reported) {
+      usage = usage
+        ? {
+            inputTokens: usage.inputTokens + reported.inputTokens,
+            outputTokens: usage.outputTokens + reported.outputTokens,
+          }
+        : reported;
+    },
+    async run(call) {
+      let result;
+      try {
+        result = await call();
+      } catch (e) {
+        if (usage) await commit(usage);
+        else await refundCloudCost(reservation).catch((err) => console.error("[cost] refund failed:", err.message));
+        throw e;
+      }
+      await commit(usage || { inputTokens: estimate.inputTokens, outputTokens: estimate.outputTokens });
+      return result;
+    },
+  };
+}
 
-  if (imageRefs && imageRefs.length > 0) {
-  const id = `hybrid-${Date.now()}`;
-  const created = Math.floor(Date.now() / 1000);
+// What the answering Bedrock call reported, for the OpenAI response: its usage and stop reason.
+// Usage is passed on to the cost guard, which books every attempt.
+function trackCloudCall(cost) {
+  const outcome = { usage: null, stopReason: null };
+  return {
+    outcome,
+    onUsage(usage) {
+      cost.onUsage(usage);
+      outcome.usage = usage;
+    },
+    onStop(stopReason) {
+      outcome.stopReason = stopReason;
+    },
+  };
+}
 
-  setSseHeaders(res);
+// Tool calls are machine input: an annotate note cannot be appended to their arguments, so
+// egress findings there are redacted instead ("reject" still refuses the answer).
+const TOOL_EGRESS_ACTION = EGRESS_DLP_ACTION === "annotate" ? "redact" : EGRESS_DLP_ACTION;
+
+// OpenAI tool call for a tool_use block of the cloud answer: alias mapped back, every argument
+// string through the egress DLP, then re-hydrated. Throws (502) on "reject" findings.
+function restoreToolCall(block, { tools, egress, vault }) {
+  return openaiToolCall(block, {
+    aliases: tools ? tools.aliases : undefined,
+    restoreArguments: (input) =>
+      mapStrings(input, (text) => rehydrateText(applyEgressPolicy(text, egress, TOOL_EGRESS_ACTION).text, vault)),
+  });
+}
 
-  try {
-    const output = await callBedrockVision({ modelId: BEDROCK_MODEL_ID, prompt, imageRefs });
+// Bedrock call arguments for a built prompt: sampling params, plus the tool definitions and
+// exchange when the request uses tool calling
+function cloudCallArgs({ cloudModel, prompt, sampling, tools, onUsage, onStop, onToolUse }) {
+  const { maxTokens, params } = sampling;
+  return {
+    modelId: cloudModel.bedrockModelId,
+    prompt,
+    maxTokens,
+    params: tools ? { ...params, ...tools.params } : params,
+    toolMessages: tools ? tools.messages : [],
+    onUsage,
+    onStop,
+    onToolUse,
+  };
+}
+
+// Returns { content, report, finishReason, usage, toolCalls } (report: sanitizer report without values)
+// sampling: { maxTokens, params } (src/cloud/openaiParams.js); toolRequest: see planChatRoute
+async function handleCloudNonStream({
+  userText,
+  responseMode,
+  imageRefs,
+  vault,
+  identity,
+  cloudModel,
+  history,
+  summary,
+  noCache,
+  sampling,
+  toolRequest,
+  localDraft,
+  localUnavailable,
+  footer = "",
+}) {
+  const { prompt, sanitizedChars, envelope, report, egress, tools } = await buildCloudPromptFromUserText({
+    userText,
+    responseMode,
+    vault,
+    cloudModel,
+    history,
+    summary,
+    noCache,
+    localDraft,
+    toolRequest,
+    localUnavailable,
+  });
+
+  // HARD STOP cost guard (no AWS call if exceeded); the estimate includes the tool payload
+  const cost = await guardCloudCall({
+    identity,
+    cloudModel,
+    prompt: tools ? prompt + tools.sentText : prompt,
+    maxTokens: sampling.maxTokens,
+    imageRefs,
+  });
+  const { outcome, onUsage, onStop } = trackCloudCall(cost);
+  const toolCalls = [];
+  const onToolUse = (block) => toolCalls.push(restoreToolCall(block, { tools, egress, vault }));
+  const call = cloudCallArgs({ cloudModel, prompt, sampling, tools, onUsage, onStop, onToolUse });
+  const result = (content) => ({
+    content,
+    report,
+    finishReason: finishReasonFromAnthropic(outcome.stopReason),
+    usage: outcome.usage,
+    toolCalls,
+  });
 
+  if (imageRefs && imageRefs.length > 0) {
+    const output = await cost.run(() => callBedrockVision({ ...call, imageRefs }));
     if (DEBUG_CLOUD) {
       console.log("[cloud] bedrock_vision_response_chars:", output.length);
     }
-
-    sseWrite(res, openaiStreamChunk({ id, model: MODEL_CLOUD, content: output, created }));
-    sseWrite(res, openaiStreamFinal({ id, model: MODEL_CLOUD, created }));
-    return sseDone(res);
-  } catch (e) {
-    const msg = e && e.message ? e.message : String(e);
-    // Return a normal JSON error-shaped SSE chunk as final message
-    sseWrite(res, openaiStreamChunk({ id, model: MODEL_CLOUD, content: `Error: ${msg}`, created }));
-    sseWrite(res, openaiStreamFinal({ id, model: MODEL_CLOUD, created }));
-    return sseDone(res);
+    return result(rehydrateText(applyEgressPolicy(output, egress).text, vault));
   }
-}
 
   if (DEBUG_CLOUD) {
-    console.log("[cloud] model_id:", BEDROCK_MODEL_ID);
+    console.log("[cloud] model_id:", cloudModel.bedrockModelId);
     console.log("[cloud] request_id:", envelope.meta?.request_id);
     console.log("[cloud] time_utc:", envelope.meta?.time_utc);
     console.log("[cloud] sanitized_chars:", sanitizedChars);
+    console.log("[cloud] removed:", JSON.stringify(report.counts));
     console.log("[cloud] web_browsing_enabled:", envelope.web_browsing_enabled);
+    if (vault) console.log("[cloud] pseudonyms:", vault.size);
   }
 
-  const output = await callBedrock({ modelId: BEDROCK_MODEL_ID, prompt });
+  const output = await cost.run(() => callBedrock(call));
 
   if (DEBUG_CLOUD) {
     console.log("[cloud] bedrock_response_chars:", output.length);
   }
 
-  return output;
+  // Egress DLP runs on the raw answer, then re-hydrate locally
+  // (the token -> value map never leaves this process).
+  const scanned = applyEgressPolicy(output, egress);
+  if (DEBUG_CLOUD && scanned.findings.length) {
+    console.log("[cloud] egress_findings:", scanned.findings.map((f) => f.type).join(","));
+  }
+
+  return result(rehydrateText(scanned.text, vault) + footer);
+}
+
+/**
+ * Streamed cloud deltas: raw delta -> egress DLP window -> re-hydration -> client.
+ * Both stages hold back text that may still be part of a match / token.
+ */
+function createCloudStreamPipeline({ egress, vault, write }) {
+  const scanner = createEgressStreamScanner(egress);
+  const rehydrator = createStreamRehydrator(vault);
+  let stopped = false;
+
+  const pass = ({ text, blocked }) => {
+    if (text) write(rehydrator.push(text));
+    if (blocked) {
+      stopped = true;
+      write(rehydrator.flush());
+      write("\n\n> [egress-dlp] Response stopped: the cloud answer failed the egress DLP check.");
+    }
+  };
+
+  return {
+    push(delta) {
+      if (!stopped) pass(scanner.push(delta));
+    },
+    end() {
+      if (stopped) return;
+      pass(scanner.flush());
+      if (!stopped) write(rehydrator.flush());
+    },
+    findings: scanner.findings,
+  };
 }
 
-async function handleCloudStream({ userText, responseMode, imageRefs, res }) {
-  // HARD STOP cost guard (no AWS call if exceeded)
-  assertCostAllowed();
+async function handleCloudStream({
+  userText,
+  responseMode,
+  imageRefs,
+  vault,
+  identity,
+  cloudModel,
+  history,
+  summary,
+  noCache,
+  sampling,
+  toolRequest,
+  includeUsage = false,
+  localDraft,
+  localUnavailable,
+  footer = "",
+  res,
+}) {
+  const { prompt, sanitizedChars, envelope, report, egress, tools } = await buildCloudPromptFromUserText({
+    userText,
+    responseMode,
+    vault,
+    cloudModel,
+    history,
+    summary,
+    noCache,
+    localDraft,
+    toolRequest,
+    localUnavailable,
+  });
+
+  // HARD STOP cost guard (no AWS call if exceeded); the estimate includes the tool payload
+  const cost = await guardCloudCall({
+    identity,
+    cloudModel,
+    prompt: tools ? prompt + tools.sentText : prompt,
+    maxTokens: sampling.maxTokens,
+    imageRefs,
+  });
+  const { outcome, onUsage, onStop } = trackCloudCall(cost);
+
+  const id = `hybrid-${Date.now()}`;
+  const created = Math.floor(Date.now() / 1000);
 
-  const { prompt, sanitizedChars, envelope } = buildCloudPromptFromUserText(userText, responseMode);
+  // Tool calls are sent as tool_calls deltas once their block is complete (the arguments have to
+  // pass the egress DLP as a whole). An egress "reject" drops the call and ends the answer as
+  // content_filter. written: whether the client has seen any part of the answer yet.
+  let written = false;
+  const writeText = (text) => {
+    if (!text) return;
+    written = true;
+    sseWrite(res, openaiStreamChunk({ id, model: cloudModel.id, content: text, created }));
+  };
+  let toolIndex = 0;
+  let toolCallBlocked = false;
+  const onToolUse = (block) => {
+    if (toolCallBlocked) return;
+    let toolCall;
+    try {
+      toolCall = restoreToolCall(block, { tools, egress, vault });
+    } catch {
+      toolCallBlocked = true;
+      writeText("\n\n> [egress-dlp] Tool call dropped: its arguments failed the egress DLP check.");
+      return;
+    }
+    written = true;
+    sseWrite(res, openaiStreamToolCall({ id, model: cloudModel.id, created, index: toolIndex++, toolCall }));
+  };
+  const call = cloudCallArgs({ cloudModel, prompt, sampling, tools, onUsage, onStop, onToolUse });
+
+  // Final chunk with the mapped finish_reason, then the usage chunk (stream_options.include_usage)
+  const finish = () => {
+    const finishReason = toolCallBlocked ? "content_filter" : finishReasonFromAnthropic(outcome.stopReason);
+    sseWrite(res, openaiStreamFinal({ id, model: cloudModel.id, created, finishReason }));
+    if (includeUsage && outcome.usage) {
+      sseWrite(res, openaiStreamUsage({ id, model: cloudModel.id, created, usage: outcome.usage }));
+    }
+    return sseDone(res);
+  };
+
+  setSanitizationHeader(res, report);
 
   if (imageRefs && imageRefs.length > 0) {
-    const output = await callBedrockVision({ modelId: BEDROCK_MODEL_ID, prompt, imageRefs });
-    if (DEBUG_CLOUD) {
-      console.log("[cloud] bedrock_vision_response_chars:", output.length);
+    setSseHeaders(res);
+
+    try {
+      const output = await cost.run(() => callBedrockVision({ ...call, imageRefs }));
+
+      if (DEBUG_CLOUD) {
+        console.log("[cloud] bedrock_vision_response_chars:", output.length);
+      }
+
+      const content = rehydrateText(applyEgressPolicy(output, egress).text, vault);
+      sseWrite(res, openaiStreamChunk({ id, model: cloudModel.id, content, created }));
+      return finish();
+    } catch (e) {
+      const msg = e && e.message ? e.message : String(e);
+      // Return a normal JSON error-shaped SSE chunk as final message
+      sseWrite(res, openaiStreamChunk({ id, model: cloudModel.id, content: `Error: ${msg}`, created }));
+      sseWrite(res, openaiStreamFinal({ id, model: cloudModel.id, created }));
+      return sseDone(res);
     }
-    return output;
   }
 
   if (DEBUG_CLOUD) {
-    console.log("[cloud-stream] model_id:", BEDROCK_MODEL_ID);
+    console.log("[cloud-stream] model_id:", cloudModel.bedrockModelId);
     console.log("[cloud-stream] request_id:", envelope.meta?.request_id);
     console.log("[cloud-stream] time_utc:", envelope.meta?.time_utc);
     console.log("[cloud-stream] sanitized_chars:", sanitizedChars);
+    console.log("[cloud-stream] removed:", JSON.stringify(report.counts));
+    if (vault) console.log("[cloud-stream] pseudonyms:", vault.size);
   }
 
-  const id = `hybrid-${Date.now()}`;
-  const created = Math.floor(Date.now() / 1000);
-
   setSseHeaders(res);
 
-  // True Bedrock streaming (STEP 18). Fallback to non-stream chunking if it fails.
-  try {
-    await streamBedrockText({
-      modelId: BEDROCK_MODEL_ID,
-      prompt,
-      onTextDelta: (delta) => {
-        if (delta) {
-          sseWrite(res, openaiStreamChunk({ id, model: MODEL_CLOUD, content: delta, created }));
-        }
-      },
-    });
+  // True Bedrock streaming (STEP 18). Fallback to non-stream chunking if it fails before anything
+  // reached the client; a retry after that would repeat text or tool calls, so the stream ends
+  // with an error chunk instead. Both attempts run under the one cost reservation.
+  const pipeline = createCloudStreamPipeline({ egress, vault, write: writeText });
 
-    sseWrite(res, openaiStreamFinal({ id, model: MODEL_CLOUD, created }));
-    return sseDone(res);
-  } catch (e) {
-    if (DEBUG_CLOUD) console.log("[cloud-stream] fallback to chunked:", e.message);
+  return await cost.run(async () => {
+    try {
+      await streamBedrockText({
+        ...call,
+        onTextDelta: (delta) => {
+          if (delta) pipeline.push(delta);
+        },
+      });
+
+      pipeline.end();
+      writeText(footer);
+      return finish();
+    } catch (e) {
+      if (written) {
+        if (DEBUG_CLOUD) console.log("[cloud-stream] interrupted after output:", e.message);
+        pipeline.end();
+        writeText(`\n\nError: cloud stream interrupted: ${e && e.message ? e.message : String(e)}`);
+        return finish();
+      }
+      if (DEBUG_CLOUD) console.log("[cloud-stream] fallback to chunked:", e.message);
 
-    const content = await callBedrock({ modelId: BEDROCK_MODEL_ID, prompt });
-    for (const part of chunkText(content, 200)) {
-      sseWrite(res, openaiStreamChunk({ id, model: MODEL_CLOUD, content: part, created }));
+      const output = await callBedrock(call);
+      const content = rehydrateText(applyEgressPolicy(output, egress).text, vault);
+      for (const part of chunkText(content + footer, 200)) {
+        writeText(part);
+      }
+      return finish();
     }
-    sseWrite(res, openaiStreamFinal({ id, model: MODEL_CLOUD, created }));
-    return sseDone(res);
+  });
+}
+
+// Cloud answer for a planned request (stream or JSON) on the planned cloud tier.
+// localDraft / footer: see escalation.
+async function respondFromCloud({ plan, body, wantsStream, identity, res, localDraft = null, footer = "" }) {
+  // Per-request pseudonym map: proxy memory only, dropped with the request.
+  const vault = PSEUDONYMIZE ? createPseudonymVault() : null;
+
+  const cloudArgs = {
+    userText: plan.userText,
+    responseMode: plan.responseMode,
+    imageRefs: plan.imageRefs,
+    vault,
+    identity,
+    cloudModel: plan.cloudModel,
+    history: plan.history,
+    summary: { key: plan.conversation.key, turns: plan.fullHistory },
+    noCache: plan.commands.noCache,
+    sampling: plan.sampling,
+    toolRequest: plan.toolRequest || null,
+    localDraft,
+    // failover: Ollama is down, so nothing on the cloud path may wait for the local model
+    localUnavailable: Boolean(plan.baseDecision && plan.baseDecision.failover),
+    footer,
+  };
+  if (wantsStream) {
+    const includeUsage = body.stream_options?.include_usage === true;
+    return await handleCloudStream({ ...cloudArgs, includeUsage, res });
   }
+
+  const { content, report, finishReason, usage, toolCalls } = await handleCloudNonStream(cloudArgs);
+  setSanitizationHeader(res, report);
+  return res.json({
+    ...openaiChatResponse({
+      id: `hybrid-${Date.now()}`,
+      model: plan.cloudModel.id,
+      content,
+      finishReason,
+      usage,
+      toolCalls,
+    }),
+    // Opt-in debug field (request body "hybrid_debug": true): full report incl. offsets
+    ...(body.hybrid_debug === true ? { sanitization_report: report } : {}),
+  });
+}
+
+// Local answer for a planned request; notice (budget degradation) is prepended to the answer.
+async function respondFromLocal({ plan, wantsStream, res, notice = "" }) {
+  const { ollamaModel } = plan.localModel;
+  res.setHeader("X-Hybrid-Tier", "local");
+
+  // forwardBody: leading commands stripped, /maxtokens applied
+  if (wantsStream) {
+    return await forwardToOllamaOpenAIChatStream({ ...plan.forwardBody, model: ollamaModel }, res, {
+      notice,
+      model: plan.localModel.id,
+    });
+  }
+
+  const forwarded = await forwardToOllamaOpenAIChat({ ...plan.forwardBody, model: ollamaModel });
+  const message = forwarded?.choices?.[0]?.message;
+  if (notice && message) message.content = notice + (message.content || "");
+  return res.json(forwarded);
 }
 
 // -------------------- Ollama forwarding --------------------
 
+function getOllamaHealth() {
+  if (!ollamaHealth) ollamaHealth = createOllamaHealth({ model: getModelCatalog().defaultLocal.ollamaModel });
+  return ollamaHealth;
+}
+
+// Local requests are counted in flight and feed the latency/error window.
 async function forwardToOllamaOpenAIChat(body) {
-  const resp = await fetch(`${OLLAMA_BASE_URL}/chat/completions`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
-  });
+  const done = getOllamaHealth().begin();
+  try {
+    const out = await ollamaChat(body);
+    done(true);
+    return out;
+  } catch (e) {
+    done(false);
+    throw e;
+  }
+}
+
+// notice: text sent as a first chunk, ahead of the model's stream (budget degradation);
+// model: the proxy model id for that chunk (reqBody.model is the Ollama model name)
+async function forwardToOllamaOpenAIChatStream(reqBody, res, { notice = "", model } = {}) {
+  const done = getOllamaHealth().begin();
+  try {
+    const resp = await ollamaChatStream(reqBody);
+
+    setSseHeaders(res);
+    if (notice) {
+      const created = Math.floor(Date.now() / 1000);
+      sseWrite(res, openaiStreamChunk({ id: `hybrid-${Date.now()}`, model, content: notice, created }));
+    }
+
+    const reader = resp.body.getReader();
+    while (true) {
+      const { value, done: finished } = await reader.read();
+      if (finished) break;
+      res.write(Buffer.from(value));
+    }
+    res.end();
+    done(true);
+  } catch (e) {
+    done(false);
+    throw e;
+  }
+}
+
+// GET /v1/health: real backend status. ok = at least one backend can take requests.
+// Ollama is reported for the default local model, plus whether each catalog tier is loaded.
+function healthPayload() {
+  const health = getOllamaHealth();
+  const ollama = health.snapshot();
+  const cloudUsable = CLOUD_ALLOWED && !OFFLINE_REQUIRED;
+
+  return {
+    ok: ollama.available || cloudUsable,
+    service: "hybrid-proxy",
+    backends: {
+      ollama: {
+        ...ollama,
+        local_models: getModelCatalog().local.map((m) => ({
+          id: m.id,
+          model: m.ollamaModel,
+          loaded: health.snapshot(m.ollamaModel).modelLoaded,
+        })),
+      },
+      bedrock: {
+        enabled: cloudUsable,
+        models: getModelCatalog().cloud.map((m) => ({ id: m.id, model_id: m.bedrockModelId })),
+      },
+    },
+  };
+}
+
+// -------------------- Local-first escalation --------------------
+
+// The local draft is scored (src/routing/escalation.js). A confident draft is the answer; otherwise
+// the request is re-run on cloud with the sanitized draft as context. The draft is new input the
+// policy gate never saw: above the cloud sensitivity limit (or CRITICAL) it stays local. The
+// escalation goes through the same cost guard as any cloud call; with no quota left the local
+// draft is returned.
+async function handleLocalWithEscalation({ plan, body, wantsStream, identity, res }) {
+  const { id: localId, ollamaModel } = plan.localModel;
+  const draft = await forwardToOllamaOpenAIChat({ ...plan.forwardBody, model: ollamaModel, stream: false });
+  const answer = draft?.choices?.[0]?.message?.content || "";
+
+  const assessment = await assessConfidence({ question: plan.userText, answer, model: ollamaModel });
+  let escalate = shouldEscalate(assessment);
+  let reason = null;
+  if (escalate && !cloudAllowedForLevel(scoreSensitivity(answer).level, getRoutingPolicy().cloudMaxLevel)) {
+    escalate = false;
+    reason = "draft sensitivity";
+  }
+  if (escalate && !(quotaRemainingShare(await getCostStatus(identity)) > 0)) {
+    escalate = false;
+    reason = "no cloud quota";
+  }
 
-  if (!resp.ok) {
-    const t = await resp.text();
-    throw new Error(`Ollama forward failed: ${resp.status} ${t}`);
+  res.setHeader(
+    "X-Hybrid-Escalation",
+    JSON.stringify({
+      ...assessment,
+      threshold: ESCALATION_THRESHOLD,
+      escalated: escalate,
+      ...(reason ? { reason } : {}),
+    })
+  );
+  if (DEBUG_LOCAL) console.log("[escalation]", assessment.method, assessment.score, escalate ? "-> cloud" : "kept local");
+
+  const keepLocal = () => {
+    res.setHeader("X-Hybrid-Tier", "local");
+    if (wantsStream) return respondWithNotice(res, { wantsStream, content: answer, model: localId });
+    return res.json(draft);
+  };
+  if (!escalate) return keepLocal();
+
+  res.setHeader("X-Hybrid-Tier", "cloud-escalated");
+  try {
+    return await respondFromCloud({
+      plan,
+      body,
+      wantsStream,
+      identity,
+      res,
+      localDraft: answer,
+      footer:
+        `\n\n_Escalated to ${plan.cloudModel.id}: the local answer scored ${assessment.score.toFixed(2)} ` +
+        `(below ${ESCALATION_THRESHOLD})._`,
+    });
+  } catch (e) {
+    // The quota ran out between the check above and the reservation: the local draft stands
+    if (!isQuotaError(e) || res.headersSent) throw e;
+    return keepLocal();
   }
-  return resp.json();
 }
 
-async function forwardToOllamaOpenAIChatStream(reqBody, res) {
-  const resp = await fetch(`${OLLAMA_BASE_URL}/chat/completions`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ ...reqBody, stream: true }),
+// -------------------- Route planning --------------------
+
+// Share of the cloud quota still left for a cloud rule's maxBudgetRemaining (quotaRemaining: see
+// planChatRoute). Only read from the cost state when a cloud rule uses it.
+async function cloudBudgetRemaining(catalog, quotaRemaining) {
+  if (!catalog.cloudRules.some((r) => r.match.maxBudgetRemaining !== undefined)) return 1;
+  return quotaRemaining();
+}
+
+// Routing decision for one chat request, without contacting any backend.
+// Used by /v1/chat/completions (then executed) and /v1/route/explain (returned as a trace).
+// outcome: "local" | "cloud" | "confirm" | "notice" | "reject" (reject carries status + message)
+// dryRun (and "/explain-route"): no backend calls while planning (see complexity.js).
+async function planChatRoute(body, keyIdentity = ANONYMOUS_IDENTITY, { dryRun = false } = {}) {
+  const identity = withRequestUser(keyIdentity, body.user);
+  const requestedModel = body.model || MODEL_AUTO;
+
+  // Leading slash commands: parsed, checked one by one against the override policy, stripped.
+  // "/explain-route" shows the same trace as /v1/route/explain, so it needs the "explain" scope.
+  const { messages, parsed } = stripLeadingCommands(body.messages);
+  const denied = [];
+  const allowed = parsed.commands.filter(({ name }) => {
+    if (name === "explain-route" && !identity.scopes.includes("explain")) {
+      denied.push(`/explain-route needs the "explain" scope on API key "${identity.keyId}"`);
+      return false;
+    }
+    const decision = evaluateOverridePolicy(name);
+    if (!decision.allow) denied.push(decision.reason);
+    return decision.allow;
   });
+  const flags = commandFlags(allowed);
+
+  const forwardBody = {
+    ...body,
+    messages,
+    ...(flags.maxTokens ? { max_tokens: flags.maxTokens } : {}),
+  };
 
-  if (!resp.ok || !resp.body) {
-    const t = await resp.text();
-    throw new Error(`Ollama stream forward failed: ${resp.status} ${t}`);
+  // userText: the latest user message (the question); history: earlier turns for the cloud path,
+  // trimmed to the history budget. allUserText (every user message) drives complexity and the
+  // local model choice, since the local model gets the whole conversation.
+  const { userText: rawUserText, imageRefs } = extractUserTextAndImageRefs(messages);
+  const conversation = extractConversation(messages);
+  // MODE= prefix: the latest message, else the first user message (set once for the chat)
+  const responseMode =
+    flags.mode || extractResponseMode(/^\s*MODE=/i.test(conversation.current) ? conversation.current : rawUserText);
+  const userText = stripResponseModePrefix(conversation.current);
+  const allUserText = stripResponseModePrefix(rawUserText);
+  const fullHistory = conversation.history.map((t) =>
+    t.role === "user" ? { ...t, text: stripResponseModePrefix(t.text) } : t
+  );
+  const history = trimHistory(fullHistory, { reservedChars: userText.length });
+
+  const plan = {
+    identity: { keyId: identity.keyId, tenant: identity.tenant, ...(identity.user ? { user: identity.user } : {}) },
+    // full identity incl. quotas, for the cost guard (not part of the trace)
+    caller: identity,
+    requestedModel,
+    stream: body.stream === true,
+    responseMode,
+    userText,
+    history: history.turns,
+    fullHistory,
+    conversation: {
+      key: conversationKey(identity, fullHistory),
+      historyTurns: history.turns.length,
+      droppedTurns: history.dropped,
+    },
+    imageRefs,
+    forwardBody,
+    commands: { ...flags, unknown: parsed.unknown, errors: parsed.errors, denied },
+  };
+  const reject = (status, message, details = null) => ({ ...plan, outcome: "reject", status, message, details });
+
+  // Unknown, malformed or disallowed commands: tell the user, run nothing.
+  const problems = [
+    ...parsed.unknown.map((c) => `Unknown command ${c}`),
+    ...parsed.errors,
+    ...denied,
+  ];
+  if (problems.length) {
+    return {
+      ...plan,
+      outcome: "notice",
+      reason: "Command problem",
+      notice:
+        `${problems.join(". ")}. Nothing was sent to any model. ` +
+        `Known commands: ${COMMAND_NAMES.map((n) => `/${n}`).join(", ")}.`,
+    };
   }
 
-  setSseHeaders(res);
+  // OpenAI sampling parameters (max_tokens, temperature, top_p, stop, n): invalid values are a 400.
+  // What only cloud cannot answer (n > 1) is a 400 once the plan routes there.
+  const paramError = checkOpenAIParams(body);
+  if (paramError) return reject(400, paramError.message, { param: paramError.param });
+  const cloudParamError = checkCloudParams(body);
+
+  // Tool calling (src/cloud/openaiTools.js): invalid definitions or tool messages are a 400.
+  // toolRequest keeps the raw definitions and the exchange after the question for the cloud
+  // path (sanitized there, not part of the trace); tools is its summary.
+  const toolError = checkOpenAITools(body);
+  if (toolError) return reject(400, toolError.message, { param: toolError.param });
+  const hasTools = usesTools(body);
+  if (hasTools) {
+    plan.toolRequest = {
+      tools: body.tools || [],
+      toolChoice: body.tool_choice ?? null,
+      parallelToolCalls: body.parallel_tool_calls ?? null,
+      exchange: conversation.exchange,
+    };
+    plan.tools = {
+      definitions: plan.toolRequest.tools.length,
+      choice: toolChoiceName(body.tool_choice),
+      exchangeMessages: conversation.exchange.length,
+    };
+  }
 
-  const reader = resp.body.getReader();
-  while (true) {
-    const { value, done } = await reader.read();
-    if (done) break;
-    res.write(Buffer.from(value));
+  // Key scopes (PROXY_KEYS_FILE): allowed models and vision
+  if (!modelAllowed(identity, requestedModel)) {
+    return reject(403, `API key "${identity.keyId}" is not allowed to use model ${requestedModel}`);
   }
-  res.end();
+  if (imageRefs.length > 0 && !identity.vision) {
+    return reject(403, `API key "${identity.keyId}" is not allowed to send images`);
+  }
+
+  // Policy gate for cloud (STEP 16): hard blocks, then the routing policy rules
+  const cloudPolicy = evaluateCloudPolicy({
+    offlineRequired: OFFLINE_REQUIRED,
+    cloudAllowed: CLOUD_ALLOWED,
+    // every turn, not only the ones within the history budget (conservative), and the tool payload
+    rawUserText: [
+      ...fullHistory.map((t) => t.text),
+      userText,
+      ...(hasTools ? [toolRequestText(plan.toolRequest)] : []),
+    ].join("\n\n"),
+    identity,
+    requestedModel,
+    responseMode,
+    hasImages: imageRefs.length > 0,
+    hasTools,
+    confirmed: flags.confirm,
+  });
+  plan.cloudPolicy = cloudPolicy;
+  plan.ruleId = cloudPolicy.ruleId;
+
+  if (cloudPolicy.action === ACTIONS.DENY) {
+    return reject(403, `Request denied by routing policy: ${cloudPolicy.reason}`, { ruleId: cloudPolicy.ruleId });
+  }
+
+  // If images are present, only cloud vision can handle them (local model is text-only).
+  // Enforced by default to avoid silently ignoring images.
+  if (imageRefs.length > 0) {
+    if (OFFLINE_REQUIRED) {
+      return reject(400, "Image input detected but OFFLINE_REQUIRED=true. Vision requires cloud and cannot run offline.");
+    }
+    if (!CLOUD_ALLOWED) {
+      return reject(400, "Image input detected but CLOUD_ALLOWED=false. Enable cloud to use vision.");
+    }
+    if (!ALLOW_CLOUD_IMAGES) {
+      return reject(
+        400,
+        "Image input detected, but cloud image forwarding is disabled. Set ALLOW_CLOUD_IMAGES=true and configure OPEN_WEBUI_BASE_URL + OPEN_WEBUI_SERVICE_TOKEN."
+      );
+    }
+  }
+
+  // Determine routing intent/overrides
+  const hints = await decideRoutingHints(allUserText, requestedModel, flags, {
+    responseMode,
+    dryRun: dryRun || flags.explainRoute,
+  });
+  plan.hints = hints;
+
+  // Local model for this request: the requested catalog entry, else the best fit for the task
+  const catalog = getModelCatalog();
+  const requestedLocal = findLocalModel(catalog, requestedModel);
+  const local = requestedLocal
+    ? { model: requestedLocal, reason: "requested" }
+    : selectLocalModel(catalog, { text: allUserText, deep: hints.requiresDeepReasoning });
+  plan.localModel = { id: local.model.id, ollamaModel: local.model.ollamaModel, reason: local.reason };
+
+  // Share of the caller's cloud quota still left (0..1: requests and spend, daily and monthly,
+  // global, key and user), read from the cost state at most once per request
+  let remaining = null;
+  const quotaRemaining = async () =>
+    remaining === null ? (remaining = quotaRemainingShare(await getCostStatus(identity))) : remaining;
+
+  // Cloud tier, used if the request goes (or escalates) to cloud
+  const requestedCloud = findCloudModel(catalog, requestedModel);
+  const cloud = requestedCloud
+    ? { model: requestedCloud, ruleId: null, reason: "requested" }
+    : selectCloudModel(catalog, {
+        mode: responseMode,
+        chars: userText.length + history.turns.reduce((n, t) => n + t.text.length, 0),
+        score: hints.complexity ? hints.complexity.score : null,
+        budgetRemaining: await cloudBudgetRemaining(catalog, quotaRemaining),
+        hasImages: imageRefs.length > 0,
+      });
+  plan.cloudModel = {
+    id: cloud.model.id,
+    bedrockModelId: cloud.model.bedrockModelId,
+    modelFamily: cloud.model.modelFamily,
+    costTier: cloud.model.costTier,
+    ruleId: cloud.ruleId,
+    reason: cloud.reason,
+  };
+  // Sampling parameters for that tier, clamped to its limits (max_tokens, temperature)
+  plan.sampling = anthropicParams(body, {
+    modelId: cloud.model.bedrockModelId,
+    maxOutputTokens: cloud.model.capabilities.maxOutputTokens,
+    commandMaxTokens: flags.maxTokens,
+  });
+
+  // Policy switch: offline always local (never error)
+  if (OFFLINE_REQUIRED === true) {
+    return { ...plan, outcome: "local", route: ROUTES.LOCAL, reason: "Offline required" };
+  }
+
+  if (requestedCloud && cloudParamError) {
+    return reject(400, cloudParamError.message, { param: cloudParamError.param });
+  }
+
+  // If user explicitly selected cloud model but cloud is not allowed, return 403
+  if (requestedCloud && cloudPolicy.confirmationRequired) {
+    return { ...plan, outcome: "confirm", route: ROUTES.CLOUD, reason: cloudPolicy.reason };
+  }
+  if (requestedCloud && !cloudPolicy.allowed) {
+    return reject(403, `Cloud blocked: ${cloudPolicy.reason}`, { ruleId: cloudPolicy.ruleId });
+  }
+
+  // Determine base route decision (STEP 14 load-aware)
+  const baseDecision = routeWithLoad({
+    taskType: "chat",
+    requiresDeepReasoning: hints.requiresDeepReasoning,
+    // conservative: if cloud not allowed, treat as sensitive for routing
+    // (pending confirmation still routes, so the user is only asked when cloud would be used)
+    containsSensitiveData: !cloudPolicy.allowed && !cloudPolicy.confirmationRequired,
+    offlineRequired: OFFLINE_REQUIRED,
+    cloudAllowed: CLOUD_ALLOWED,
+    policyRuleId: cloudPolicy.ruleId,
+    complexity: hints.complexity,
+  }, { localHealth: getOllamaHealth().snapshot(local.model.ollamaModel) });
+  plan.baseDecision = baseDecision;
+
+  // Compute final route:
+  // - forceLocal always wins
+  // - forceCloud only if cloud policy allows
+  // - otherwise: baseDecision, but only cloud if policy allows
+  let finalRoute = baseDecision.route;
+  let finalReason = baseDecision.reason;
+
+  if (hints.forceLocal) {
+    finalRoute = ROUTES.LOCAL;
+    finalReason = "Forced local";
+  } else if (hints.forceCloud) {
+    if (cloudPolicy.allowed || cloudPolicy.confirmationRequired) {
+      finalRoute = ROUTES.CLOUD;
+      finalReason = "Forced cloud";
+    } else {
+      finalRoute = ROUTES.LOCAL;
+      finalReason = `Cloud blocked: ${cloudPolicy.reason}`;
+    }
+  } else {
+    if (finalRoute === ROUTES.CLOUD && !cloudPolicy.allowed && !cloudPolicy.confirmationRequired) {
+      finalRoute = ROUTES.LOCAL;
+      finalReason = `Cloud blocked: ${cloudPolicy.reason}`;
+    }
+  }
+
+  // Graceful budget degradation (budgetFallback.js): auto-hybrid requests the router sent to cloud
+  // go local once the caller's quota is used up, borderline ones from the soft limit on. Not for
+  // images or a failover (local cannot answer those), nor for explicit cloud requests (they get a 429).
+  if (
+    finalRoute === ROUTES.CLOUD &&
+    requestedModel === MODEL_AUTO &&
+    !hints.forceCloud &&
+    imageRefs.length === 0 &&
+    !baseDecision.failover
+  ) {
+    const decision = budgetDecision({ remaining: await quotaRemaining(), complexity: hints.complexity });
+    // fallback: a cost guard refusal at call time also answers locally
+    plan.budget = { fallback: true, ...decision };
+    if (decision.degrade) {
+      finalRoute = ROUTES.LOCAL;
+      finalReason = decision.reason;
+      plan.budget.notice = budgetNotice(decision, plan.localModel.id);
+    }
+  }
+
+  if (finalRoute === ROUTES.CLOUD && cloudParamError) {
+    return reject(400, cloudParamError.message, { param: cloudParamError.param });
+  }
+
+  // Failover (Ollama down) cannot serve REDACTION_MODE=both: its summarize stage needs the local model
+  if (finalRoute === ROUTES.CLOUD && baseDecision.failover && REDACTION_MODE === "both") {
+    return reject(
+      503,
+      `${baseDecision.reason}: REDACTION_MODE=both needs the local model to summarize the input before cloud`
+    );
+  }
+
+  // Cloud would be used, but the matched rule wants an explicit "/confirm" first
+  if (finalRoute === ROUTES.CLOUD && cloudPolicy.confirmationRequired) {
+    return { ...plan, outcome: "confirm", route: finalRoute, reason: cloudPolicy.reason };
+  }
+
+  // Local-first escalation (ESCALATION_MODE): only auto-hybrid requests that went local by
+  // default, never when the user asked for local or the policy keeps the request off cloud.
+  // Not with tool calling: a local draft that calls a tool has no answer text to score; nor with
+  // parameters cloud refuses (n > 1).
+  if (
+    finalRoute === ROUTES.LOCAL &&
+    ESCALATION_MODE !== "off" &&
+    requestedModel === MODEL_AUTO &&
+    !hints.forceLocal &&
+    !hasTools &&
+    !cloudParamError &&
+    !(plan.budget && plan.budget.degrade) &&
+    cloudPolicy.allowed &&
+    !cloudPolicy.confirmationRequired
+  ) {
+    plan.escalation = { mode: ESCALATION_MODE, threshold: ESCALATION_THRESHOLD };
+  }
+
+  return { ...plan, outcome: finalRoute, route: finalRoute, reason: finalReason };
+}
+
+// Dry-run trace for POST /v1/route/explain: the plan, cost quota status and, for cloud routes,
+// the exact sanitized envelope and prompt. Never calls Ollama or Bedrock.
+async function explainChatRoute(body, identity) {
+  return explainPlan(await planChatRoute(body, identity, { dryRun: true }));
+}
+
+async function explainPlan(plan) {
+  // Never echo the raw messages back in the trace
+  const { userText, history, fullHistory, imageRefs, forwardBody, caller, toolRequest, ...trace } = plan;
+
+  const cloud = plan.route === ROUTES.CLOUD && plan.outcome !== "reject";
+  const built = cloud
+    ? await buildCloudPromptFromUserText({
+        userText,
+        responseMode: plan.responseMode,
+        vault: PSEUDONYMIZE ? createPseudonymVault() : null,
+        cloudModel: plan.cloudModel,
+        history,
+        summary: { key: plan.conversation.key, turns: fullHistory },
+        noCache: plan.commands.noCache,
+        toolRequest: toolRequest || null,
+        dryRun: true,
+      })
+    : null;
+
+  return {
+    object: "route.explain",
+    dry_run: true,
+    ...trace,
+    images: imageRefs.length,
+    cost: await getCostStatus(caller),
+    cloud: built
+      ? {
+          model_id: plan.cloudModel.bedrockModelId,
+          sanitized_chars: built.sanitizedChars,
+          sanitization: { total: built.report.total, counts: built.report.counts },
+          ...(built.report.summarize ? { summarize: built.report.summarize } : {}),
+          ...(built.report.historySummary ? { history_summary: built.report.historySummary } : {}),
+          envelope: built.envelope,
+          prompt: built.prompt,
+          ...(built.tools ? { tools: built.tools.params, tool_messages: built.tools.messages } : {}),
+        }
+      : null,
+  };
 }
 
 // -------------------- Server --------------------
 
 function main() {
+  // Fail fast on a broken sanitizer rule pack (SANITIZER_RULE_PACK), block strategy, routing policy
+  // (ROUTING_POLICY_FILE), key file (PROXY_KEYS_FILE) or model catalog (MODEL_CATALOG_FILE)
+  // before accepting traffic.
+  try {
+    getDetectorRegistry();
+    getRoutingPolicy();
+    getKeyStore();
+    getModelCatalog();
+    validateBlockOptions();
+    validateEgressAction();
+    validateEscalationOptions();
+    validateBudgetFallbackOptions();
+    validateComplexityOptions();
+    getCostStore();
+    getPricing();
+  } catch (e) {
+    console.error(`[startup] ${e.message}`);
+    process.exit(1);
+  }
+
+  const app = createApp();
+  getOllamaHealth().start();
+
+  app.listen(PORT, () => {
+    console.log(`Hybrid OpenAI-compatible proxy listening on :${PORT}`);
+  });
+}
+
+// The Express app with every route (no listening, no background probe)
+function createApp() {
   const app = express();
   app.use(express.json({ limit: "2mb" }));
 
@@ -627,140 +1886,109 @@ function main() {
   app.use("/v1", authMiddleware);
 
   app.get("/v1/health", (req, res) => {
-    res.json({ ok: true, service: "hybrid-proxy" });
+    const payload = healthPayload();
+    res.status(payload.ok ? 200 : 503).json(payload);
   });
 
-  app.get("/v1/models", (req, res) => {
-    res.json(modelsPayload());
+  app.get("/v1/models", requireScope("models"), (req, res) => {
+    res.json(modelsPayload(req.identity));
   });
 
-  app.post("/v1/chat/completions", async (req, res) => {
+  // The caller's cloud usage and remaining quota (global, key and, with ?user=, that user)
+  app.get("/v1/usage", async (req, res) => {
     try {
-      const body = req.body || {};
-      const requestedModel = body.model || MODEL_AUTO;
-      const wantsStream = body.stream === true;
-
-      const { userText: rawUserText, imageRefs } = extractUserTextAndImageRefs(body.messages);
+      return res.json({ object: "usage", ...(await getCostStatus(withRequestUser(req.identity, req.query.user))) });
+    } catch (e) {
+      return res.status(e.status || 500).json({ error: { message: e.message, details: e.details || null } });
+    }
+  });
 
-      const responseMode = extractResponseMode(rawUserText);
-      const userText = stripResponseModePrefix(rawUserText);
+  // Admin view ("admin" scope): usage of every key and its users
+  app.get("/v1/usage/all", requireScope("admin"), async (req, res) => {
+    try {
+      return res.json({ object: "usage.list", ...(await listUsage(getKeyStore().identities())) });
+    } catch (e) {
+      return res.status(e.status || 500).json({ error: { message: e.message, details: e.details || null } });
+    }
+  });
 
-      // Policy gate for cloud (STEP 16)
-      const cloudPolicy = evaluateCloudPolicy({
-        offlineRequired: OFFLINE_REQUIRED,
-        cloudAllowed: CLOUD_ALLOWED,
-        rawUserText: userText,
+  app.post("/v1/route/explain", requireScope("explain"), async (req, res) => {
+    try {
+      return res.json(await explainChatRoute(req.body || {}, req.identity));
+    } catch (e) {
+      return res.status(e.status || 500).json({
+        error: { message: e.message, details: e.details || null },
       });
+    }
+  });
 
-      // If images are present, only cloud vision can handle them (local model is text-only).
-// Enforced by default to avoid silently ignoring images.
-if (imageRefs && imageRefs.length > 0) {
-  if (OFFLINE_REQUIRED) {
-    return res.status(400).json({
-      error: { message: "Image input detected but OFFLINE_REQUIRED=true. Vision requires cloud and cannot run offline." }
-    });
-  }
-  if (!CLOUD_ALLOWED) {
-    return res.status(400).json({
-      error: { message: "Image input detected but CLOUD_ALLOWED=false. Enable cloud to use vision." }
-    });
-  }
-  if (!ALLOW_CLOUD_IMAGES) {
-    return res.status(400).json({
-      error: {
-        message:
-          "Image input detected, but cloud image forwarding is disabled. Set ALLOW_CLOUD_IMAGES=true and configure OPEN_WEBUI_BASE_URL + OPEN_WEBUI_SERVICE_TOKEN."
-      }
-    });
-  }
-}
+  app.post("/v1/chat/completions", requireScope("chat"), async (req, res) => {
+    try {
+      const body = req.body || {};
+      const wantsStream = body.stream === true;
 
-// Determine routing intent/overrides
-      const hints = decideRoutingHints(userText, requestedModel);
+      const plan = await planChatRoute(body, req.identity);
+      const { cloudPolicy } = plan;
 
-      // Policy switch: offline always local (never error)
-      if (OFFLINE_REQUIRED === true) {
-        if (DEBUG_LOCAL) console.log("[local] offline required; routing local");
-        if (wantsStream) {
-          if (DEBUG_LOCAL) console.log("[local] forwarding to ollama model:", OLLAMA_LOCAL_MODEL);
-          return await forwardToOllamaOpenAIChatStream(
-            { ...body, model: OLLAMA_LOCAL_MODEL },
-            res
-          );
-        }
-        if (DEBUG_LOCAL) console.log("[local] forwarding to ollama model:", OLLAMA_LOCAL_MODEL);
-        const forwarded = await forwardToOllamaOpenAIChat({ ...body, model: OLLAMA_LOCAL_MODEL });
-        return res.json(forwarded);
+      if (plan.ruleId) res.setHeader("X-Hybrid-Policy-Rule", plan.ruleId);
+      if ((DEBUG_LOCAL || DEBUG_CLOUD) && cloudPolicy) {
+        console.log(
+          `[policy] key=${plan.identity.keyId} tenant=${plan.identity.tenant}`,
+          cloudPolicy.action,
+          "rule:",
+          cloudPolicy.ruleId
+        );
       }
 
-      // If user explicitly selected cloud model but cloud is not allowed, return 403
-      if (requestedModel === MODEL_CLOUD && !cloudPolicy.allowed) {
-        return res.status(403).json({
-          error: { message: `Cloud blocked: ${cloudPolicy.reason}` },
-        });
+      if (plan.outcome === "reject") {
+        return res.status(plan.status).json({ error: { message: plan.message, details: plan.details } });
       }
 
-      // Determine base route decision (STEP 14 load-aware)
-      const baseDecision = routeWithLoad({
-        taskType: "chat",
-        requiresDeepReasoning: hints.requiresDeepReasoning,
-        containsSensitiveData: !cloudPolicy.allowed, // conservative: if cloud not allowed, treat as sensitive for routing
-        offlineRequired: OFFLINE_REQUIRED,
-        cloudAllowed: CLOUD_ALLOWED,
-      });
+      if (plan.outcome === "notice") {
+        return respondWithNotice(res, { wantsStream, content: plan.notice });
+      }
 
-      // Compute final route:
-      // - forceLocal always wins
-      // - forceCloud only if cloud policy allows
-      // - otherwise: baseDecision, but only cloud if policy allows
-      let finalRoute = baseDecision.route;
-      let finalReason = baseDecision.reason;
-
-      if (hints.forceLocal) {
-        finalRoute = ROUTES.LOCAL;
-        finalReason = "Forced local";
-      } else if (hints.forceCloud) {
-        if (cloudPolicy.allowed) {
-          finalRoute = ROUTES.CLOUD;
-          finalReason = "Forced cloud";
-        } else {
-          finalRoute = ROUTES.LOCAL;
-          finalReason = `Cloud blocked: ${cloudPolicy.reason}`;
-        }
-      } else {
-        if (finalRoute === ROUTES.CLOUD && !cloudPolicy.allowed) {
-          finalRoute = ROUTES.LOCAL;
-          finalReason = `Cloud blocked: ${cloudPolicy.reason}`;
-        }
+      // "/explain-route": answer with the dry-run trace instead of running the request
+      if (plan.commands.explainRoute) {
+        const trace = await explainPlan(plan);
+        return respondWithNotice(res, { wantsStream, content: `\`\`\`json\n${JSON.stringify(trace, null, 2)}\n\`\`\`` });
+      }
+
+      if (plan.outcome === "confirm") {
+        return respondWithNotice(res, { wantsStream, content: confirmationNotice(cloudPolicy) });
       }
 
       // CLOUD PATH
-      if (finalRoute === ROUTES.CLOUD) {
-        if (wantsStream) return await handleCloudStream({ userText, responseMode, imageRefs, res });
-
-        const content = await handleCloudNonStream({ userText, responseMode, imageRefs });
-        return res.json(
-          openaiChatResponse({
-            id: `hybrid-${Date.now()}`,
-            model: MODEL_CLOUD,
-            content,
-          })
-        );
+      if (plan.route === ROUTES.CLOUD) {
+        res.setHeader("X-Hybrid-Tier", "cloud");
+        try {
+          return await respondFromCloud({ plan, body, wantsStream, identity: plan.caller, res });
+        } catch (e) {
+          // auto-hybrid: the cost guard refused the call after planning, answer locally instead
+          if (!isQuotaError(e) || !(plan.budget && plan.budget.fallback) || res.headersSent) throw e;
+          if (DEBUG_CLOUD) console.log("[cost] cloud call refused, answering locally:", e.message);
+          const notice = budgetNotice({ limit: "hard" }, plan.localModel.id, e.message);
+          return await respondFromLocal({ plan, wantsStream, res, notice });
+        }
       }
 
       // LOCAL PATH (model mapping applied)
-      if (DEBUG_LOCAL) console.log("[local] routing local; forwarding to ollama model:", OLLAMA_LOCAL_MODEL);
-
-      if (wantsStream) {
-        return await forwardToOllamaOpenAIChatStream({ ...body, model: OLLAMA_LOCAL_MODEL }, res);
+      const { ollamaModel } = plan.localModel;
+      if (DEBUG_LOCAL) {
+        console.log("[local] routing local; forwarding to ollama model:", ollamaModel, `(${plan.localModel.reason})`);
       }
 
-      const forwarded = await forwardToOllamaOpenAIChat({ ...body, model: OLLAMA_LOCAL_MODEL });
-      return res.json(forwarded);
+      if (plan.escalation) {
+        return await handleLocalWithEscalation({ plan, body, wantsStream, identity: plan.caller, res });
+      }
+      return await respondFromLocal({ plan, wantsStream, res, notice: plan.budget && plan.budget.notice });
     } catch (e) {
+      // Cost guard refusal of an explicit cloud request: OpenAI-style 429 (also for streams)
+      if (isQuotaError(e) && !res.headersSent) return respondQuotaExceeded(res, e);
+
       const wantsStream = req.body && req.body.stream === true;
       if (wantsStream) {
-        setSseHeaders(res);
+        if (!res.headersSent) setSseHeaders(res);
         sseWrite(res, {
           error: {
             message: e.message,
@@ -770,20 +1998,26 @@ if (imageRefs && imageRefs.length > 0) {
         return sseDone(res);
       }
 
-      return res.status(500).json({
+      return res.status(e.status || 500).json({
         error: { message: e.message, details: e.details || null },
       });
     }
   });
 
-  app.listen(PORT, () => {
-    console.log(`Hybrid OpenAI-compatible proxy listening on :${PORT}`);
-  });
+  return app;
 }
 
 module.exports = {
   main,
+  createApp,
+  getOllamaHealth,
   chunkText, // exported for unit tests if desired
+  planChatRoute,
+  explainChatRoute,
+  handleLocalWithEscalation,
+  respondFromCloud,
+  respondFromLocal,
+  respondQuotaExceeded,
 };
 
 if (require.main === module) main();
@@ -0,0 +1,72 @@
+// src/routing/budgetFallback.js
+//
+// Graceful budget degradation (auto-hybrid only). The share of the caller's cloud quota still
+// left (costGuard.quotaRemainingShare: global, key and user; requests and spend) decides:
+// - nothing left: the request goes local, with a short notice prepended to the answer
+// - CLOUD_SOFT_LIMIT (default 0.8) or more of the quota used: borderline requests, those with a
+//   complexity score below CLOUD_SOFT_LIMIT_SCORE (default 0.8), go local early
+// Explicit cloud requests (a cloud model or "/cloud") are never rerouted; once the quota is used up
+// they get an OpenAI-style 429 "insufficient_quota" with the reset time.
+
+const CLOUD_SOFT_LIMIT = Number(process.env.CLOUD_SOFT_LIMIT || 0.8);
+const CLOUD_SOFT_LIMIT_SCORE = Number(process.env.CLOUD_SOFT_LIMIT_SCORE || 0.8);
+
+function validateBudgetFallbackOptions() {
+  if (!(CLOUD_SOFT_LIMIT > 0 && CLOUD_SOFT_LIMIT <= 1)) {
+    throw new Error(`CLOUD_SOFT_LIMIT must be a number above 0, up to 1 (got "${process.env.CLOUD_SOFT_LIMIT}")`);
+  }
+  if (!(CLOUD_SOFT_LIMIT_SCORE >= 0 && CLOUD_SOFT_LIMIT_SCORE <= 1)) {
+    throw new Error(
+      `CLOUD_SOFT_LIMIT_SCORE must be a number between 0 and 1 (got "${process.env.CLOUD_SOFT_LIMIT_SCORE}")`
+    );
+  }
+}
+
+function percent(share) {
+  return `${Math.round(share * 100)}%`;
+}
+
+/**
+ * Whether a cloud-bound auto-hybrid request should stay local.
+ * remaining: quota share left (0..1); complexity: classifier result ({ score }) or null.
+ * Returns { degrade: false, used } or { degrade: true, limit: "hard" | "soft", used, reason }.
+ */
+function budgetDecision({ remaining, complexity = null }) {
+  const used = Math.round((1 - remaining) * 1000) / 1000;
+
+  if (remaining <= 0) {
+    return { degrade: true, limit: "hard", used, reason: "Cloud quota exhausted" };
+  }
+
+  const score = complexity ? complexity.score : null;
+  if (used >= CLOUD_SOFT_LIMIT && score !== null && score < CLOUD_SOFT_LIMIT_SCORE) {
+    return {
+      degrade: true,
+      limit: "soft",
+      used,
+      reason: `Cloud soft limit (${percent(used)} of quota used, complexity ${score.toFixed(2)})`,
+    };
+  }
+
+  return { degrade: false, used };
+}
+
+/**
+ * Notice prepended to a local answer that would have gone to cloud. cause: the cost guard's
+ * message when the reservation itself was refused.
+ */
+function budgetNotice({ limit, used }, localModelId, cause = null) {
+  const why =
+    limit === "soft"
+      ? `${percent(used)} of the cloud quota is used, so simpler requests stay local`
+      : `the cloud quota is used up${cause ? ` (${cause})` : ""}`;
+  return `_Answered by ${localModelId}: ${why}._\n\n`;
+}
+
+module.exports = {
+  CLOUD_SOFT_LIMIT,
+  CLOUD_SOFT_LIMIT_SCORE,
+  validateBudgetFallbackOptions,
+  budgetDecision,
+  budgetNotice,
+};
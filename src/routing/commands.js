@@ -0,0 +1,146 @@
+// src/routing/commands.js
+//
+// In-prompt slash commands. Only LEADING commands count: "/cloud /mode design Explain X"
+// is two commands plus the text "Explain X"; "/usr/local/bin is missing" or a "/cloud"
+// later in the text are plain text. A leading slash word that is not a command is text too
+// ("/tmp is full on db-1"), unless it looks like a mistyped one ("/clod", "/nocache", "/mod
+// design"): those are reported so the request does not run without the intended command.
+//
+// Commands:
+// - /cloud, /local          force the route (subject to policy)
+// - /mode <explain|compare|design|checklist>
+// - /explain-route          answer with the routing trace instead of running the request
+// - /no-cache               skip cached local artefacts (history summaries)
+// - /maxtokens <n>          cap the answer length
+// - /confirm                confirm a require-confirmation policy rule
+//
+// Parsed commands are stripped from the text before sanitization and forwarding. Only the latest
+// user message's commands apply; the proxy strips earlier user turns' leading commands as well, so
+// the history and the forwarded messages carry none.
+
+const RESPONSE_MODES = ["EXPLAIN", "COMPARE", "DESIGN", "CHECKLIST"];
+const MAX_TOKENS_LIMIT = 32000;
+
+// name -> arg parser (null = no argument). A parser returns { value } or { error }.
+const COMMANDS = Object.freeze({
+  cloud: null,
+  local: null,
+  "explain-route": null,
+  "no-cache": null,
+  confirm: null,
+  mode: (arg) => {
+    const mode = String(arg || "").toUpperCase();
+    return RESPONSE_MODES.includes(mode)
+      ? { value: `MODE=${mode}` }
+      : { error: `/mode needs one of: ${RESPONSE_MODES.map((m) => m.toLowerCase()).join(", ")}` };
+  },
+  maxtokens: (arg) => {
+    const n = Number(arg);
+    return Number.isInteger(n) && n > 0 && n <= MAX_TOKENS_LIMIT
+      ? { value: n }
+      : { error: `/maxtokens needs a whole number between 1 and ${MAX_TOKENS_LIMIT}` };
+  },
+});
+
+// A command token: "/" + name, followed by whitespace or end of text (so paths never match)
+const COMMAND_RE = /^\/([a-z][a-z0-9-]*)(?=\s|$)/i;
+const ARG_RE = /^[ \t]+(\S+)/;
+
+// Edit distance (insert, delete, substitute, swap neighbours), for typo detection
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Whether an unknown name looks like a mistyped command (hyphens ignored, one edit away). Short
+// names only count with a valid argument after them, so "/home is full" stays text.
+function looksLikeCommand(name, rest) {
+  const bare = name.replace(/-/g, "");
+  return Object.entries(COMMANDS).some(([known, parse]) => {
+    if (editDistance(bare, known.replace(/-/g, "")) > 1) return false;
+    if (known.replace(/-/g, "").length >= 5) return true;
+    const arg = rest.match(ARG_RE);
+    return Boolean(parse && arg && !parse(arg[1]).error);
+  });
+}
+
+/**
+ * Parse leading commands from text.
+ * Returns {
+ *   text,                         // text without the parsed commands
+ *   commands: [{ name, value }],  // value: true, or the parsed argument
+ *   unknown: ["/clod"],
+ *   errors: ["/maxtokens needs ..."],
+ * }
+ */
+function parseCommands(input) {
+  let rest = String(input ?? "");
+  const commands = [];
+  const unknown = [];
+  const errors = [];
+
+  for (;;) {
+    const lead = rest.match(/^\s*/)[0];
+    const m = rest.slice(lead.length).match(COMMAND_RE);
+    if (!m) break;
+
+    const name = m[1].toLowerCase();
+    let consumed = lead.length + m[0].length;
+
+    if (!(name in COMMANDS)) {
+      if (!looksLikeCommand(name, rest.slice(consumed))) break;
+      unknown.push(`/${m[1]}`);
+    } else if (COMMANDS[name] === null) {
+      commands.push({ name, value: true });
+    } else {
+      const arg = rest.slice(consumed).match(ARG_RE);
+      const parsed = COMMANDS[name](arg ? arg[1] : "");
+      if (arg) consumed += arg[0].length;
+      if (parsed.error) errors.push(parsed.error);
+      else commands.push({ name, value: parsed.value });
+    }
+    rest = rest.slice(consumed);
+  }
+
+  const names = new Set(commands.map((c) => c.name));
+  if (names.has("cloud") && names.has("local")) errors.push("Use either /cloud or /local, not both");
+
+  return {
+    text: commands.length || unknown.length || errors.length ? rest.replace(/^\s+/, "") : rest,
+    commands,
+    unknown,
+    errors,
+  };
+}
+
+/**
+ * Flat view of parsed commands; the last occurrence of a command wins.
+ * { cloud, local, explainRoute, noCache, confirm, mode?, maxTokens? }
+ */
+function commandFlags(commands) {
+  const flags = { cloud: false, local: false, explainRoute: false, noCache: false, confirm: false };
+  for (const { name, value } of commands) {
+    if (name === "explain-route") flags.explainRoute = true;
+    else if (name === "no-cache") flags.noCache = true;
+    else if (name === "mode") flags.mode = value;
+    else if (name === "maxtokens") flags.maxTokens = value;
+    else flags[name] = true;
+  }
+  return flags;
+}
+
+module.exports = {
+  COMMAND_NAMES: Object.keys(COMMANDS),
+  parseCommands,
+  commandFlags,
+};
@@ -0,0 +1,160 @@
+// src/routing/complexity.js
+//
+// Complexity classifier behind decideRoutingHints ("does this need deep reasoning?").
+// Every strategy returns a score in 0..1; the request counts as deep at/above COMPLEXITY_THRESHOLD.
+//
+// COMPLEXITY_CLASSIFIER:
+// - "features" (default): weighted features (token estimate, question count, code, response mode,
+//   reasoning cues such as "prove", "algorithm", "trade-off")
+// - "keywords": the original rule, any COMPLEXITY_KEYWORDS match or more than 2000 characters
+// - "ollama": the local model classifies the request zero-shot; falls back to "features" when it
+//   is unavailable and in dry runs (/v1/route/explain never calls a backend)
+//
+// classifyComplexity(text, { responseMode, dryRun }) -> { strategy, score, threshold, deep, detail }
+
+const { ollamaCompleteText } = require("../local/ollamaClient");
+
+const COMPLEXITY_CLASSIFIER = (process.env.COMPLEXITY_CLASSIFIER || "features").toLowerCase();
+const COMPLEXITY_THRESHOLD = Number(process.env.COMPLEXITY_THRESHOLD || 0.5);
+const COMPLEXITY_KEYWORDS = (
+  process.env.COMPLEXITY_KEYWORDS ||
+  "threat model,architecture,tradeoff,trade-off,design,attack surface,risk,mitigation,iam,policy"
+)
+  .split(",")
+  .map((k) => k.trim())
+  .filter(Boolean);
+const COMPLEXITY_MODEL = process.env.COMPLEXITY_MODEL || process.env.OLLAMA_LOCAL_MODEL || "llama3.1:8b";
+
+const KEYWORDS_MAX_CHARS = 2000;
+
+// features strategy: each feature is scaled to 0..1 and weighted; the sum is capped at 1
+const FEATURE_WEIGHTS = Object.freeze({
+  tokens: 0.5, // estimated tokens / 1000
+  questions: 0.15, // question marks / 3
+  code: 0.2, // fenced block or several code-looking lines
+  mode: 0.3, // MODE_SCORES below
+  reasoning: 0.5, // reasoning cues / 2
+});
+const MODE_SCORES = { "MODE=DESIGN": 1, "MODE=COMPARE": 0.6, "MODE=CHECKLIST": 0.2, "MODE=EXPLAIN": 0 };
+const REASONING_CUE_RE =
+  /\b(?:prove|proof|derive|optimi[sz]e|optimal|algorithm|complexity|big-?o|invariant|edge cases?|trade-?offs?|threat model|attack surface|race condition|deadlock|concurren(?:t|cy)|step by step|root cause)\b/gi;
+const CODE_LINE_RE = /^\s*(?:[\w$.]+\s*\(.*\)\s*[;{]?|(?:const|let|var|def|class|function|return|import|public|private|if|for|while)\b.*)$/;
+
+const OLLAMA_SYSTEM_PROMPT = [
+  "You estimate how hard a user request is to answer well.",
+  "0 = simple lookup or short factual answer; 10 = multi-step reasoning, design work or a hard algorithmic problem.",
+  "Reply with a single integer from 0 to 10 and nothing else.",
+].join("\n");
+
+function clamp01(n) {
+  return Math.max(0, Math.min(1, n));
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Substring match, like the original regex ("design" also matches "redesign")
+const KEYWORD_RE = COMPLEXITY_KEYWORDS.length
+  ? new RegExp(COMPLEXITY_KEYWORDS.map(escapeRegex).join("|"), "i")
+  : null;
+
+function keywordsStrategy(text) {
+  const match = KEYWORD_RE ? text.match(KEYWORD_RE) : null;
+  const long = text.length > KEYWORDS_MAX_CHARS;
+  return {
+    score: match || long ? 1 : 0,
+    detail: { keyword: match ? match[0] : null, long },
+  };
+}
+
+function extractFeatures(text, responseMode) {
+  const codeLines = text.split("\n").filter((l) => CODE_LINE_RE.test(l)).length;
+  return {
+    tokens: Math.ceil(text.length / 4),
+    questions: (text.match(/\?/g) || []).length,
+    code: /```/.test(text) || codeLines >= 3,
+    mode: responseMode || "MODE=EXPLAIN",
+    reasoningCues: (text.match(REASONING_CUE_RE) || []).length,
+  };
+}
+
+function featuresStrategy(text, { responseMode } = {}) {
+  const f = extractFeatures(text, responseMode);
+  const parts = {
+    tokens: FEATURE_WEIGHTS.tokens * clamp01(f.tokens / 1000),
+    questions: FEATURE_WEIGHTS.questions * clamp01(f.questions / 3),
+    code: f.code ? FEATURE_WEIGHTS.code : 0,
+    mode: FEATURE_WEIGHTS.mode * (MODE_SCORES[f.mode] || 0),
+    reasoning: FEATURE_WEIGHTS.reasoning * clamp01(f.reasoningCues / 2),
+  };
+  return {
+    score: clamp01(Object.values(parts).reduce((a, b) => a + b, 0)),
+    detail: { features: f, contributions: parts },
+  };
+}
+
+async function ollamaStrategy(text, { responseMode, dryRun = false, complete = ollamaCompleteText } = {}) {
+  const fallback = (why) => {
+    const features = featuresStrategy(text, { responseMode });
+    return { ...features, strategy: "features", detail: { ...features.detail, fallbackFrom: "ollama", why } };
+  };
+  if (dryRun) return fallback("dry run (needs the local model)");
+
+  try {
+    const reply = await complete({ model: COMPLEXITY_MODEL, system: OLLAMA_SYSTEM_PROMPT, prompt: text });
+    const m = String(reply || "").match(/\b(10|[0-9])\b/);
+    if (!m) return fallback("unusable reply");
+    return { score: Number(m[1]) / 10, detail: { model: COMPLEXITY_MODEL } };
+  } catch (e) {
+    return fallback(`local model unavailable: ${e.message}`);
+  }
+}
+
+const STRATEGIES = {
+  features: featuresStrategy,
+  keywords: keywordsStrategy,
+  ollama: ollamaStrategy,
+};
+
+function validateComplexityOptions() {
+  if (!STRATEGIES[COMPLEXITY_CLASSIFIER]) {
+    throw new Error(
+      `COMPLEXITY_CLASSIFIER must be one of: ${Object.keys(STRATEGIES).join(", ")} (got "${COMPLEXITY_CLASSIFIER}")`
+    );
+  }
+  if (!(COMPLEXITY_THRESHOLD >= 0 && COMPLEXITY_THRESHOLD <= 1)) {
+    throw new Error(`COMPLEXITY_THRESHOLD must be a number between 0 and 1 (got "${process.env.COMPLEXITY_THRESHOLD}")`);
+  }
+}
+
+/**
+ * Score one request. options: { responseMode, dryRun, strategy, threshold, complete }
+ */
+async function classifyComplexity(text, options = {}) {
+  const { strategy = COMPLEXITY_CLASSIFIER, threshold = COMPLEXITY_THRESHOLD } = options;
+  const run = STRATEGIES[strategy];
+  if (!run) throw new Error(`Unknown complexity classifier "${strategy}"`);
+
+  const result = await run(String(text ?? ""), options);
+  const score = Math.round(result.score * 100) / 100;
+  return {
+    strategy: result.strategy || strategy,
+    score,
+    threshold,
+    deep: score >= threshold,
+    detail: result.detail,
+  };
+}
+
+// "features 0.72 >= 0.5" (for routing reasons)
+function describeComplexity({ strategy, score, threshold, deep }) {
+  return `${strategy} ${score.toFixed(2)} ${deep ? ">=" : "<"} ${threshold}`;
+}
+
+module.exports = {
+  COMPLEXITY_STRATEGIES: Object.keys(STRATEGIES),
+  validateComplexityOptions,
+  classifyComplexity,
+  describeComplexity,
+};
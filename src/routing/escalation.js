@@ -0,0 +1,108 @@
+// src/routing/escalation.js
+//
+// Local-first with confidence-based escalation (auto-hybrid only):
+// the local model answers first, a cheap self-check scores the answer (0..1), and below
+// ESCALATION_THRESHOLD the request is re-run on cloud with the (sanitized) local draft as context.
+//
+// ESCALATION_MODE:
+// - "off" (default)
+// - "heuristic": refusal / "I don't know" patterns in the opening of the answer
+// - "self-rate": heuristic first; if it finds nothing, the local model rates its own answer 0-10
+//   (falls back to the heuristic score if the rating call fails)
+
+const { ollamaCompleteText } = require("../local/ollamaClient");
+
+const ESCALATION_MODES = ["off", "heuristic", "self-rate"];
+const ESCALATION_MODE = (process.env.ESCALATION_MODE || "off").toLowerCase();
+const ESCALATION_THRESHOLD = Number(process.env.ESCALATION_THRESHOLD || 0.6);
+
+// Refusals and admissions of ignorance show up at the start of an answer; a long answer that
+// says "I'm not sure about X" halfway through is usually still useful.
+const OPENING_CHARS = 300;
+
+const LOW_CONFIDENCE_PATTERNS = [
+  {
+    id: "refusal",
+    score: 0.1,
+    regex: /\b(?:I(?:'m| am) (?:not able|unable) to|I can(?:no|')t (?:help|answer|assist|provide)|I(?:'m| am) sorry, but)\b/i,
+  },
+  {
+    id: "dont-know",
+    score: 0.2,
+    regex: /\b(?:I (?:do not|don't) know|I(?:'m| am) not (?:sure|certain)|I (?:do not|don't) have (?:enough |any )?(?:information|context|details))\b/i,
+  },
+];
+
+const SELF_RATE_SYSTEM_PROMPT = [
+  "You grade an assistant's answer to a question.",
+  "Reply with a single integer from 0 (wrong, evasive or no answer) to 10 (certainly correct and complete).",
+  "Output only the number.",
+].join("\n");
+
+function validateEscalationOptions() {
+  if (!ESCALATION_MODES.includes(ESCALATION_MODE)) {
+    throw new Error(`ESCALATION_MODE must be one of: ${ESCALATION_MODES.join(", ")} (got "${ESCALATION_MODE}")`);
+  }
+  if (!(ESCALATION_THRESHOLD >= 0 && ESCALATION_THRESHOLD <= 1)) {
+    throw new Error(`ESCALATION_THRESHOLD must be a number between 0 and 1 (got "${process.env.ESCALATION_THRESHOLD}")`);
+  }
+}
+
+/**
+ * Pattern check on the opening of an answer. Returns { score, signals }.
+ */
+function heuristicConfidence(answer) {
+  const opening = String(answer || "").trim().slice(0, OPENING_CHARS);
+  if (!opening) return { score: 0, signals: ["empty"] };
+
+  const hits = LOW_CONFIDENCE_PATTERNS.filter((p) => p.regex.test(opening));
+  return {
+    score: hits.length ? Math.min(...hits.map((p) => p.score)) : 1,
+    signals: hits.map((p) => p.id),
+  };
+}
+
+/**
+ * The local model rates its own answer. Returns a score in 0..1, or null if the reply is unusable.
+ */
+async function selfRateConfidence({ question, answer, model, complete = ollamaCompleteText }) {
+  const reply = await complete({
+    model,
+    system: SELF_RATE_SYSTEM_PROMPT,
+    prompt: `Question:\n${question}\n\nAnswer:\n${answer}`,
+  });
+  const m = String(reply || "").match(/\b(10|[0-9])\b/);
+  return m ? Number(m[1]) / 10 : null;
+}
+
+/**
+ * assessConfidence({ question, answer, model }) -> { method, score, signals }
+ */
+async function assessConfidence({ question, answer, model, mode = ESCALATION_MODE, complete }) {
+  const heuristic = heuristicConfidence(answer);
+  if (mode !== "self-rate" || heuristic.signals.length) {
+    return { method: "heuristic", ...heuristic };
+  }
+
+  try {
+    const score = await selfRateConfidence({ question, answer, model, complete });
+    if (score !== null) return { method: "self-rate", score, signals: [] };
+  } catch {
+    // rating is best effort; the heuristic result stands
+  }
+  return { method: "heuristic", ...heuristic, signals: ["self-rate unavailable"] };
+}
+
+function shouldEscalate(assessment, threshold = ESCALATION_THRESHOLD) {
+  return assessment.score < threshold;
+}
+
+module.exports = {
+  ESCALATION_MODE,
+  ESCALATION_THRESHOLD,
+  validateEscalationOptions,
+  heuristicConfidence,
+  selfRateConfidence,
+  assessConfidence,
+  shouldEscalate,
+};
@@ -1,5 +1,7 @@
 // src/routing/routeTask.js
 
+const { describeComplexity } = require("./complexity");
+
 const ROUTES = {
   LOCAL: "local",
   CLOUD: "cloud",
@@ -11,12 +13,17 @@ function routeTask({
   containsSensitiveData,
   offlineRequired,
   cloudAllowed,
+  policyRuleId = null, // routing policy rule behind containsSensitiveData / cloud permission
+  complexity = null, // classifier result behind requiresDeepReasoning (see complexity.js)
 }) {
+  const why = complexity ? ` (${describeComplexity(complexity)})` : "";
+
   // HARD BLOCKS (non-negotiable)
   if (offlineRequired === true) {
     return {
       route: ROUTES.LOCAL,
       reason: "Offline required",
+      ruleId: "hard:offline",
     };
   }
 
@@ -24,6 +31,7 @@ function routeTask({
     return {
       route: ROUTES.LOCAL,
       reason: "Sensitive data present",
+      ruleId: policyRuleId,
     };
   }
 
@@ -31,6 +39,7 @@ function routeTask({
     return {
       route: ROUTES.LOCAL,
       reason: "Cloud usage not allowed",
+      ruleId: "hard:cloud-disabled",
     };
   }
 
@@ -38,14 +47,16 @@ function routeTask({
   if (requiresDeepReasoning === true) {
     return {
       route: ROUTES.CLOUD,
-      reason: "Deep reasoning requested",
+      reason: `Deep reasoning requested${why}`,
+      ruleId: policyRuleId,
     };
   }
 
   // DEFAULT SAFE PATH
   return {
     route: ROUTES.LOCAL,
-    reason: "Default to local execution",
+    reason: `Default to local execution${why}`,
+    ruleId: policyRuleId,
   };
 }
 
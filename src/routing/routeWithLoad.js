@@ -4,18 +4,41 @@ const { getSystemLoad } = require("../system/getSystemLoad");
 const LOAD_FORCE_CLOUD_THRESHOLD =
   Number(process.env.LOAD_FORCE_CLOUD_THRESHOLD || 0.75);
 
-function routeWithLoad(hints) {
+// Local was only the default (not a hard block or a policy decision), so cloud may take over.
+function canFailOver(hints) {
+  return (
+    hints.cloudAllowed === true &&
+    hints.offlineRequired !== true &&
+    hints.containsSensitiveData !== true
+  );
+}
+
+// localHealth: optional Ollama health snapshot (src/system/ollamaHealth.js)
+function routeWithLoad(hints, { localHealth = null } = {}) {
   const baseDecision = routeTask(hints);
 
   // If base routing already chose local for policy reasons, respect it
   if (baseDecision.route === ROUTES.LOCAL) {
+    if (localHealth && !localHealth.available && canFailOver(hints)) {
+      return {
+        route: ROUTES.CLOUD,
+        reason: `Local backend unavailable (${localHealth.reasons.join(", ")})`,
+        ruleId: baseDecision.ruleId,
+        loadAware: true,
+        failover: true,
+        localHealth,
+      };
+    }
+
     return {
       ...baseDecision,
       loadAware: false,
+      ...(localHealth ? { localHealth } : {}),
     };
   }
 
   const { load1, cores, loadRatio } = getSystemLoad();
+  const load = { load1, cores, loadRatio, threshold: LOAD_FORCE_CLOUD_THRESHOLD };
 
   if (
     loadRatio >= LOAD_FORCE_CLOUD_THRESHOLD &&
@@ -24,15 +47,19 @@ function routeWithLoad(hints) {
     return {
       route: ROUTES.CLOUD,
       reason: `High load (${load1.toFixed(2)}/${cores})`,
+      ruleId: baseDecision.ruleId,
       loadAware: true,
+      load,
+      ...(localHealth ? { localHealth } : {}),
     };
   }
 
   return {
     ...baseDecision,
     loadAware: false,
+    load,
+    ...(localHealth ? { localHealth } : {}),
   };
 }
 
 module.exports = { routeWithLoad };
-
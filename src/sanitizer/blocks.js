@@ -0,0 +1,272 @@
+// src/sanitizer/blocks.js
+//
+// Detects pasted source code and raw logs (fenced ``` blocks and unfenced runs of
+// code-like / log-like lines) and shrinks them before cloud transfer.
+//
+// Strategies (per kind):
+// - "drop":      replace the whole block with [SANITIZED:<KIND> N lines]
+// - "structure": keep the shape, rename identifiers / mask literals (code) or
+//                reduce lines to templates (logs)
+// - "head":      keep only the first N lines (SANITIZE_HEAD_LINES, default 5)
+//
+// Configure with SANITIZE_CODE_STRATEGY (default "structure") and
+// SANITIZE_LOG_STRATEGY (default "head"). Whatever survives still goes through the detectors.
+
+const BLOCK_KINDS = Object.freeze({
+  source_code: "SOURCE_CODE",
+  raw_logs: "RAW_LOGS",
+});
+
+const STRATEGIES = ["drop", "structure", "head"];
+
+const DEFAULT_BLOCK_OPTIONS = Object.freeze({
+  strategies: Object.freeze({
+    source_code: (process.env.SANITIZE_CODE_STRATEGY || "structure").toLowerCase(),
+    raw_logs: (process.env.SANITIZE_LOG_STRATEGY || "head").toLowerCase(),
+  }),
+  headLines: Number(process.env.SANITIZE_HEAD_LINES || 5),
+});
+
+// Unfenced runs shorter than this stay prose.
+const MIN_BLOCK_LINES = 3;
+
+// -------------------- Line classification --------------------
+
+const TIMESTAMP_RE =
+  /^\s*\[?(?:\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:[.,]\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?|[A-Z][a-z]{2}\s+\d{1,2}\s+\d{2}:\d{2}:\d{2}|\d{2}:\d{2}:\d{2}(?:[.,]\d+)?)\]?/;
+const LEADING_LEVEL_RE = /^\s*\[?(?:TRACE|DEBUG|INFO|NOTICE|WARN|WARNING|ERROR|FATAL|CRITICAL)\]?[\s:]/;
+const STACK_FRAME_RE =
+  /^\s+at\s+\S.*(?:\(.*:\d+(?::\d+)?\)|:\d+(?::\d+)?)\s*$|^\s*File\s+".+",\s+line\s+\d+|^Traceback \(most recent call last\):|^\s*Caused by:\s|^\s*\.\.\.\s+\d+\s+more\s*$/;
+const EXCEPTION_RE = /^\s*(?:[\w$]+\.)*[A-Z]\w*(?:Error|Exception)\b(?::|\s*$)/;
+
+// A line is code only when it carries real syntax: a statement end or brace, a call, an assignment
+// to an identifier, or a few unambiguous forms (imports, preprocessor, SQL). A leading keyword alone
+// ("return the result to me") or "word: text" prose is not enough.
+const CODE_FORM_RE =
+  /^\s*(?:from\s+[\w.]+\s+import\s+\w|import\s+.*\bfrom\s+["'][^"']+["']|#include\s*[<"]|#define\s+\w|@[A-Za-z_]\w*(?:\(.*\))?\s*$|(?:else|try|finally)\s*:\s*$|for\s+\w+(?:\s*,\s*\w+)*\s+in\s+[\w.]+\s*:\s*$|(?:SELECT|INSERT|UPDATE|DELETE|CREATE)\s.*\b(?:FROM|INTO|SET|TABLE|WHERE|VALUES)\b)/;
+const CALL_RE = /[A-Za-z_$][\w$.]*\((?!s\))[^()]*\)/;
+const ASSIGN_RE = /^\s*(?:(?:const|let|var)\s+)?[A-Za-z_$][\w$]*(?:\.[\w$]+|\[[^\]]*\])*\s*[-+*/|&]?=(?![=>])/;
+const CODE_END_RE = /(?:[;{}]|\)\s*:|=>\s*\{?|[([])\s*$/;
+const CLOSING_RE = /^\s*[}\])]+[;,)]*\s*$/;
+// Config: JSON keys, XML tags, and YAML keys whose value is empty (a section) or a scalar
+// (number, boolean, quoted string, or one token with digits or punctuation such as db-1.corp:5432)
+const CONFIG_RE =
+  /^\s*(?:-\s+)?(?:"[^"]+"\s*:\s|[a-z_][\w.-]*:(?:\s*$|\s+(?:-?\d[\w.:-]*|true|false|null|~|"[^"]*"|'[^']*'|[\w./@:-]*[\d_./@:-][\w./@:-]*)\s*$))|^\s*<\/?[a-zA-Z][\w:-]*[\s>/]/;
+
+function classifyLine(line, previous) {
+  if (!line.trim()) return "blank";
+  if (TIMESTAMP_RE.test(line) || LEADING_LEVEL_RE.test(line) || STACK_FRAME_RE.test(line)) return "log";
+  if (EXCEPTION_RE.test(line) && previous === "log") return "log";
+  if (
+    CODE_FORM_RE.test(line) ||
+    CALL_RE.test(line) ||
+    ASSIGN_RE.test(line) ||
+    CODE_END_RE.test(line) ||
+    CLOSING_RE.test(line) ||
+    CONFIG_RE.test(line)
+  ) {
+    return "code";
+  }
+  // Indented continuation of a code run
+  if (previous === "code" && /^(?: {2,}|\t)\S/.test(line)) return "code";
+  return "text";
+}
+
+// -------------------- Block detection --------------------
+
+function splitLines(text, offset) {
+  const lines = [];
+  let pos = 0;
+  for (const line of text.split("\n")) {
+    lines.push({ line, start: offset + pos, end: offset + pos + line.length });
+    pos += line.length + 1;
+  }
+  return lines;
+}
+
+function kindOfLines(kinds) {
+  const logs = kinds.filter((k) => k === "log").length;
+  const code = kinds.filter((k) => k === "code").length;
+  return logs > code ? "raw_logs" : "source_code";
+}
+
+function findUnfencedBlocks(segment, offset) {
+  const blocks = [];
+  const lines = splitLines(segment, offset);
+
+  let run = [];
+  let previous = null;
+
+  const closeRun = () => {
+    const filled = run.filter((l) => l.kind !== "blank");
+    if (filled.length >= MIN_BLOCK_LINES) {
+      blocks.push({
+        kind: kindOfLines(filled.map((l) => l.kind)),
+        fenced: false,
+        start: filled[0].start,
+        end: filled[filled.length - 1].end,
+      });
+    }
+    run = [];
+  };
+
+  for (const l of lines) {
+    const kind = classifyLine(l.line, previous);
+
+    if (kind === "code" || kind === "log") {
+      run.push({ ...l, kind });
+    } else if (kind === "blank" && run.length && run[run.length - 1].kind !== "blank") {
+      // one blank line may sit inside a block
+      run.push({ ...l, kind });
+    } else {
+      closeRun();
+    }
+    previous = kind === "blank" ? previous : kind;
+  }
+  closeRun();
+
+  return blocks;
+}
+
+/**
+ * Find code / log blocks in text.
+ * Returns non-overlapping spans sorted by position:
+ * [{ kind: "source_code" | "raw_logs", fenced, start, end }]
+ */
+function findBlocks(text) {
+  const s = String(text || "");
+  const blocks = [];
+  // An unterminated fence runs to the end of the text.
+  const fenceRe = /^[ \t]*```[^\n]*\n([\s\S]*?)(?:\n[ \t]*```[ \t]*(?=\n|$)|(?![\s\S]))/gm;
+
+  let cursor = 0;
+  for (const m of s.matchAll(fenceRe)) {
+    blocks.push(...findUnfencedBlocks(s.slice(cursor, m.index), cursor));
+
+    let previous = null;
+    const kinds = m[1].split("\n").map((line) => (previous = classifyLine(line, previous)));
+    blocks.push({
+      kind: kindOfLines(kinds),
+      fenced: true,
+      start: m.index,
+      end: m.index + m[0].length,
+    });
+    cursor = m.index + m[0].length;
+  }
+  blocks.push(...findUnfencedBlocks(s.slice(cursor), cursor));
+
+  return blocks.sort((a, b) => a.start - b.start);
+}
+
+// -------------------- Structure-preserving rewrites --------------------
+
+const KEYWORDS = new Set(
+  (
+    // JS / TS
+    "break case catch class const continue debugger default delete do else export extends finally for " +
+    "function if import in instanceof new return super switch this throw try typeof var void while with " +
+    "yield let static async await of true false null undefined interface type enum implements package " +
+    "private protected public readonly abstract as from get set require module exports console log " +
+    "Error Promise JSON Math Object Array String Number Boolean Map Set " +
+    // Python
+    "and or not is None True False def elif except lambda nonlocal global pass raise self print len " +
+    "range str int float dict list tuple bool open " +
+    // C / Java / Go / Rust
+    "long short byte char boolean double struct unsigned signed sizeof include define ifndef endif main " +
+    "System out println func go chan defer map select fallthrough fn mut impl pub use mod crate match " +
+    "loop where trait " +
+    // Shell / SQL
+    "echo fi then esac done insert update delete where join on group by order limit create table values into"
+  ).split(/\s+/)
+);
+
+const CODE_TOKEN_RE =
+  /(\/\/[^\n]*|\/\*[\s\S]*?\*\/|(?<=^|\s)#(?=\s|$)[^\n]*)|("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`(?:[^`\\]|\\.)*`)|(\b\d[\d_]*(?:\.\d+)?\b)|([A-Za-z_$][\w$]*)/gm;
+
+function structureCode(code) {
+  const names = new Map();
+  const rename = (name) => {
+    if (!names.has(name)) names.set(name, `id${names.size + 1}`);
+    return names.get(name);
+  };
+
+  return code.replace(CODE_TOKEN_RE, (tok, comment, str, num, ident) => {
+    if (comment) return comment.startsWith("/*") ? "/* */" : comment.startsWith("#") ? "#" : "//";
+    if (str) return `${str[0]}str${str[0]}`;
+    if (num) return num.replace(/_/g, "").length > 3 ? "0" : num;
+    if (KEYWORDS.has(ident) || KEYWORDS.has(ident.toLowerCase())) return ident;
+    return rename(ident);
+  });
+}
+
+function structureLogLine(line) {
+  return line
+    .replace(TIMESTAMP_RE, (ts) => ts.replace(/\S.*\S|\S/, "<ts>"))
+    .replace(/"[^"\n]*"|'[^'\n]*'/g, '"<str>"')
+    .replace(/(?:[A-Za-z]:)?(?:[\\/][\w.@-]+){2,}/g, "<path>")
+    .replace(/\b0x[0-9a-f]+\b|\b(?=[0-9a-f]*\d)[0-9a-f]{8,}\b/gi, "<hex>")
+    .replace(/\b\d+(?:\.\d+)*(?:[a-z%]+)?\b/gi, "<n>")
+    // identifiers: words with digits, underscores, dots, dashes or inner capitals
+    .replace(/\b(?=[\w.$-]*(?:[\d_.$-]|[a-z][A-Z]))[A-Za-z_$][\w.$-]*\b/g, "<id>");
+}
+
+// -------------------- Block rewrite --------------------
+
+function placeholder(kind, detail) {
+  return `[SANITIZED:${BLOCK_KINDS[kind]} ${detail}]`;
+}
+
+function rewriteBody(body, kind, strategy, headLines) {
+  const lines = body.split("\n");
+
+  if (strategy === "head") {
+    if (lines.length <= headLines) return body;
+    return [...lines.slice(0, headLines), placeholder(kind, `${lines.length - headLines} more lines`)].join("\n");
+  }
+
+  // structure
+  return kind === "raw_logs" ? lines.map(structureLogLine).join("\n") : structureCode(body);
+}
+
+/**
+ * Rewrite one detected block according to the strategy for its kind.
+ * Fenced blocks keep their fences (except when dropped).
+ */
+function rewriteBlock(blockText, block, options = DEFAULT_BLOCK_OPTIONS) {
+  const strategy = options.strategies[block.kind];
+
+  let open = "";
+  let body = blockText;
+  let close = "";
+  if (block.fenced) {
+    const m = blockText.match(/^([ \t]*```[^\n]*\n)([\s\S]*?)(\n[ \t]*```[ \t]*)?$/);
+    if (m) [, open, body, close = ""] = m;
+  }
+
+  if (strategy === "drop") {
+    return placeholder(block.kind, `${body.split("\n").length} lines`);
+  }
+  return open + rewriteBody(body, block.kind, strategy, options.headLines) + close;
+}
+
+function validateBlockOptions(options = DEFAULT_BLOCK_OPTIONS) {
+  for (const [kind, strategy] of Object.entries(options.strategies)) {
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown ${kind} strategy "${strategy}" (expected one of: ${STRATEGIES.join(", ")})`);
+    }
+  }
+  if (!Number.isInteger(options.headLines) || options.headLines < 1) {
+    throw new Error(`SANITIZE_HEAD_LINES must be a positive integer`);
+  }
+  return true;
+}
+
+module.exports = {
+  BLOCK_KINDS,
+  DEFAULT_BLOCK_OPTIONS,
+  findBlocks,
+  rewriteBlock,
+  structureCode,
+  structureLogLine,
+  validateBlockOptions,
+};
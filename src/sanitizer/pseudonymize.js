@@ -0,0 +1,98 @@
+// src/sanitizer/pseudonymize.js
+//
+// Reversible, per-request pseudonymization.
+// - createPseudonymVault(): token <-> value map for ONE request ([EMAIL_1], [ARN_2], ...)
+// - rehydrateText(text, vault): restore original values in a full cloud answer
+// - createStreamRehydrator(vault): same for streamed deltas (tokens may span chunks)
+//
+// The vault lives in proxy memory only. It is never serialized, logged or sent to cloud:
+// JSON.stringify / console.log of a vault only reveal the number of tokens it holds.
+
+const util = require("util");
+
+const TOKEN_RE = /\[([A-Z][A-Z0-9_]*)_(\d+)\]/g;
+
+// A trailing "[" followed only by token characters may be the start of a token
+// whose remainder arrives in the next delta.
+const PARTIAL_TOKEN_RE = /\[[A-Z0-9_]*$/;
+const MAX_TOKEN_LENGTH = 64;
+
+function createPseudonymVault() {
+  const tokenByValue = new Map();
+  const valueByToken = new Map();
+  const counters = new Map();
+
+  function tokenFor(category, rawValue) {
+    const value = String(rawValue);
+    const key = `${category}\u0000${value}`;
+    const existing = tokenByValue.get(key);
+    if (existing) return existing;
+
+    const n = (counters.get(category) || 0) + 1;
+    counters.set(category, n);
+
+    const token = `[${category}_${n}]`;
+    tokenByValue.set(key, token);
+    valueByToken.set(token, value);
+    return token;
+  }
+
+  function valueOf(token) {
+    return valueByToken.get(token);
+  }
+
+  const summary = () => ({ tokens: valueByToken.size });
+
+  return {
+    tokenFor,
+    valueOf,
+    get size() {
+      return valueByToken.size;
+    },
+    toJSON: summary,
+    [util.inspect.custom]: () => `PseudonymVault(${valueByToken.size} tokens)`,
+  };
+}
+
+function rehydrateText(text, vault) {
+  if (!vault || !text) return text;
+  return String(text).replace(TOKEN_RE, (token) => {
+    const value = vault.valueOf(token);
+    return value === undefined ? token : value;
+  });
+}
+
+/**
+ * Re-hydrate a stream of text deltas.
+ * push(delta) returns the text that is safe to emit now; a possible partial
+ * token at the end is held back until the next delta completes (or rules it out).
+ * flush() returns whatever is still held back once the stream ends.
+ */
+function createStreamRehydrator(vault) {
+  let pending = "";
+
+  return {
+    push(delta) {
+      const buf = pending + (delta || "");
+      const partial = buf.match(PARTIAL_TOKEN_RE);
+
+      let cut = buf.length;
+      if (partial && buf.length - partial.index <= MAX_TOKEN_LENGTH) cut = partial.index;
+
+      pending = buf.slice(cut);
+      return rehydrateText(buf.slice(0, cut), vault);
+    },
+    flush() {
+      const out = rehydrateText(pending, vault);
+      pending = "";
+      return out;
+    },
+  };
+}
+
+module.exports = {
+  createPseudonymVault,
+  rehydrateText,
+  createStreamRehydrator,
+  TOKEN_RE,
+};
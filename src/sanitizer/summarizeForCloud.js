@@ -0,0 +1,46 @@
+// src/sanitizer/summarizeForCloud.js
+//
+// "summarize" redaction stage: the local Ollama model rewrites the already-masked input
+// into an abstract problem statement (no proprietary wording, pasted logs or source code).
+// The summary is then re-checked by the detector pass before it may leave the machine.
+//
+// Fails closed: if the local model is unavailable or returns nothing, the caller gets an
+// error instead of a silent fallback to the unsummarized text.
+
+const { sanitizeTextWithReport } = require("./sanitizeText");
+const { ollamaCompleteText } = require("../local/ollamaClient");
+
+const SUMMARY_SYSTEM_PROMPT = [
+  "You rewrite a user's request into an abstract problem statement for an external reviewer.",
+  "Rules:",
+  "- Keep the technical question, goals and constraints.",
+  "- Replace product, project, customer, team and person names with generic roles.",
+  "- Never copy logs, stack traces, configuration or source code; describe what they show in one or two sentences.",
+  "- Keep placeholders in square brackets (for example [EMAIL_1] or [SANITIZED:ARN]) exactly as written.",
+  "- Output only the problem statement, without preamble.",
+].join("\n");
+
+/**
+ * Summarize masked text locally, then re-run the detectors on the summary.
+ * Returns { text, recheck } where recheck is the sanitizer report of the summary pass.
+ */
+async function summarizeForCloud(
+  maskedText,
+  { model, vault, removedValues, complete = ollamaCompleteText } = {}
+) {
+  let summary;
+  try {
+    summary = await complete({ model, system: SUMMARY_SYSTEM_PROMPT, prompt: maskedText });
+  } catch (e) {
+    throw new Error(`Summarize stage failed (local model unavailable): ${e.message}`);
+  }
+
+  if (!summary || !summary.trim()) {
+    throw new Error("Summarize stage returned no text; refusing to send unsummarized input to cloud");
+  }
+
+  const { text, report } = sanitizeTextWithReport(summary.trim(), { vault, removedValues });
+  return { text, recheck: report };
+}
+
+module.exports = { summarizeForCloud, SUMMARY_SYSTEM_PROMPT };
@@ -0,0 +1,177 @@
+// src/system/ollamaHealth.js
+//
+// Health of the Ollama backend (often a different machine than the proxy):
+// - background probe of /api/ps: reachable? is the local model loaded?
+// - sliding window of real local requests: latency and error rate
+// - in-flight counter for the local queue (saturated at OLLAMA_MAX_INFLIGHT)
+//
+// snapshot().status:
+// - "unknown":  nothing probed or measured yet (treated as available)
+// - "down":     last probe failed, or the recent error rate is at/above OLLAMA_ERROR_RATE_THRESHOLD
+//               (a successful probe clears the failed requests from the window: while down, no local
+//               traffic arrives to refresh it, so without that the error rate would never recover)
+// - "degraded": reachable, but the model is not loaded (cold start) or requests are slow
+//               (snapshot(model) checks that model, e.g. the local tier a request resolved to;
+//               without one, the configured default)
+// - "up"
+// snapshot().available is false when down or saturated; routeWithLoad then fails over to cloud
+// if policy allows.
+
+const { ollamaListRunning } = require("../local/ollamaClient");
+
+const OLLAMA_HEALTH_INTERVAL_MS = Number(process.env.OLLAMA_HEALTH_INTERVAL_MS || 15000);
+const OLLAMA_HEALTH_TIMEOUT_MS = Number(process.env.OLLAMA_HEALTH_TIMEOUT_MS || 3000);
+const OLLAMA_HEALTH_WINDOW = Number(process.env.OLLAMA_HEALTH_WINDOW || 20);
+const OLLAMA_MAX_INFLIGHT = Number(process.env.OLLAMA_MAX_INFLIGHT || 4);
+const OLLAMA_ERROR_RATE_THRESHOLD = Number(process.env.OLLAMA_ERROR_RATE_THRESHOLD || 0.5);
+const OLLAMA_SLOW_LATENCY_MS = Number(process.env.OLLAMA_SLOW_LATENCY_MS || 30000);
+
+// The error rate only counts once the window holds this many requests
+const MIN_SAMPLES_FOR_ERROR_RATE = 3;
+
+const STATUS = {
+  UNKNOWN: "unknown",
+  UP: "up",
+  DEGRADED: "degraded",
+  DOWN: "down",
+};
+
+// "llama3.1" and "llama3.1:latest" are the same model to Ollama
+function sameModel(a, b) {
+  const norm = (name) => (String(name || "").includes(":") ? String(name) : `${name}:latest`);
+  return norm(a) === norm(b);
+}
+
+function average(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/**
+ * createOllamaHealth({ model, listRunning, ... }) -> {
+ *   probe(), start(), stop(), begin() -> done(ok), snapshot(model?)
+ * }
+ * listRunning is injectable for tests (defaults to GET /api/ps).
+ */
+function createOllamaHealth({
+  model,
+  listRunning = ollamaListRunning,
+  intervalMs = OLLAMA_HEALTH_INTERVAL_MS,
+  timeoutMs = OLLAMA_HEALTH_TIMEOUT_MS,
+  windowSize = OLLAMA_HEALTH_WINDOW,
+  maxInFlight = OLLAMA_MAX_INFLIGHT,
+  errorRateThreshold = OLLAMA_ERROR_RATE_THRESHOLD,
+  slowLatencyMs = OLLAMA_SLOW_LATENCY_MS,
+  now = Date.now,
+} = {}) {
+  let probeResult = null; // { ok, at, latencyMs, loadedModels, error }
+  let samples = []; // recent local requests: { ok, latencyMs }
+  let inFlight = 0;
+  let timer = null;
+
+  async function probe() {
+    const started = now();
+    try {
+      const models = await listRunning({ signal: AbortSignal.timeout(timeoutMs) });
+      probeResult = {
+        ok: true,
+        at: started,
+        latencyMs: now() - started,
+        loadedModels: models.map((m) => m.name || m.model).filter(Boolean),
+        error: null,
+      };
+      samples = samples.filter((s) => s.ok);
+    } catch (e) {
+      probeResult = { ok: false, at: started, latencyMs: now() - started, loadedModels: [], error: e.message };
+    }
+    return snapshot();
+  }
+
+  // Counts one local request as in flight; call the returned done(ok) exactly once when it ends.
+  function begin() {
+    const started = now();
+    let finished = false;
+    inFlight += 1;
+
+    return function done(ok) {
+      if (finished) return;
+      finished = true;
+      inFlight -= 1;
+      samples.push({ ok: ok === true, latencyMs: now() - started });
+      if (samples.length > windowSize) samples = samples.slice(-windowSize);
+    };
+  }
+
+  function snapshot(checkedModel = model) {
+    const errors = samples.filter((s) => !s.ok).length;
+    const errorRate = samples.length ? errors / samples.length : 0;
+    const avgLatencyMs = average(samples.filter((s) => s.ok).map((s) => s.latencyMs));
+    const modelLoaded = probeResult?.ok ? probeResult.loadedModels.some((m) => sameModel(m, checkedModel)) : null;
+    const saturated = maxInFlight > 0 && inFlight >= maxInFlight;
+
+    const reasons = [];
+    let status = STATUS.UP;
+    if (!probeResult && samples.length === 0) status = STATUS.UNKNOWN;
+
+    if (probeResult && !probeResult.ok) {
+      status = STATUS.DOWN;
+      reasons.push(`unreachable (${probeResult.error})`);
+    }
+    if (samples.length >= MIN_SAMPLES_FOR_ERROR_RATE && errorRate >= errorRateThreshold) {
+      status = STATUS.DOWN;
+      reasons.push(`error rate ${Math.round(errorRate * 100)}%`);
+    }
+    if (status !== STATUS.DOWN) {
+      if (modelLoaded === false) {
+        status = STATUS.DEGRADED;
+        reasons.push(`model ${checkedModel} not loaded`);
+      }
+      if (avgLatencyMs !== null && slowLatencyMs > 0 && avgLatencyMs >= slowLatencyMs) {
+        status = STATUS.DEGRADED;
+        reasons.push(`slow (${Math.round(avgLatencyMs)} ms avg)`);
+      }
+    }
+    if (saturated) reasons.push(`saturated (${inFlight}/${maxInFlight} in flight)`);
+
+    return {
+      status,
+      available: status !== STATUS.DOWN && !saturated,
+      reasons,
+      model: checkedModel,
+      reachable: probeResult ? probeResult.ok : null,
+      modelLoaded,
+      loadedModels: probeResult ? probeResult.loadedModels : [],
+      lastProbeAt: probeResult ? new Date(probeResult.at).toISOString() : null,
+      probeLatencyMs: probeResult ? probeResult.latencyMs : null,
+      window: {
+        samples: samples.length,
+        errorRate,
+        avgLatencyMs: avgLatencyMs === null ? null : Math.round(avgLatencyMs),
+      },
+      inFlight,
+      maxInFlight,
+      saturated,
+    };
+  }
+
+  return {
+    probe,
+    begin,
+    snapshot,
+    // Probe now, then every intervalMs; the timer never keeps the process alive.
+    start() {
+      if (timer || intervalMs <= 0) return;
+      probe();
+      timer = setInterval(probe, intervalMs);
+      timer.unref();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+module.exports = {
+  STATUS,
+  createOllamaHealth,
+};
@@ -0,0 +1,48 @@
+const fs = require("fs");
+const { sanitizeText, sanitizeTextWithReport } = require("../src/sanitizer/sanitizeText");
+const { findBlocks, validateBlockOptions } = require("../src/sanitizer/blocks");
+
+const fixture = (name) => fs.readFileSync(`tests/sanitization/${name}.txt`, "utf8");
+const withStrategy = (strategy) => ({
+  blocks: { strategies: { source_code: strategy, raw_logs: strategy }, headLines: 5 },
+});
+
+describe.each(["source_code", "raw_logs"])("%s golden fixtures", (kind) => {
+  test.each(["drop", "structure", "head"])("%s strategy", (strategy) => {
+    const raw = fixture(`${kind}_input_raw`);
+    expect(sanitizeText(raw, withStrategy(strategy))).toBe(fixture(`${kind}_expected_${strategy}`));
+  });
+});
+
+test("internal hostnames and domains golden fixture", () => {
+  expect(sanitizeText(fixture("domains_input_raw"))).toBe(fixture("domains_expected_sanitized"));
+});
+
+test("blocks are classified and reported", () => {
+  const code = fixture("source_code_input_raw");
+  expect(findBlocks(code).map((b) => [b.kind, b.fenced])).toEqual([
+    ["source_code", true],
+    ["source_code", false],
+  ]);
+
+  const { report } = sanitizeTextWithReport(fixture("raw_logs_input_raw"), withStrategy("drop"));
+  expect(report.counts.RAW_LOGS).toBe(1);
+  expect(report.counts.IP_ADDRESS).toBe(1);
+});
+
+test("prose is not mistaken for code or logs", () => {
+  const prose = "We compared two designs.\nThe first one was simpler.\nThe second one scaled better.";
+  expect(findBlocks(prose)).toEqual([]);
+});
+
+test("prose with keywords or \"word: text\" lines keeps its wording next to real code", () => {
+  const raw = fixture("source_code_prose_input_raw");
+  expect(sanitizeText(raw, withStrategy("structure"))).toBe(fixture("source_code_prose_expected_structure"));
+  expect(findBlocks(raw).map((b) => raw.slice(b.start, b.end).split("\n")[0])).toEqual(["def retry(job):"]);
+});
+
+test("unknown strategies are rejected", () => {
+  expect(() => validateBlockOptions({ strategies: { source_code: "shred" }, headLines: 5 })).toThrow(
+    /Unknown source_code strategy "shred"/
+  );
+});
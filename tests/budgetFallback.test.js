@@ -0,0 +1,190 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+jest.mock("../src/cloud/callBedrock", () => ({
+  callBedrock: jest.fn(),
+  streamBedrockText: jest.fn(),
+}));
+// Keep the load-aware router from offloading to cloud on a busy test machine
+jest.mock("../src/system/getSystemLoad", () => ({
+  getSystemLoad: () => ({ load1: 0, cores: 4, loadRatio: 0 }),
+}));
+
+const { budgetDecision, budgetNotice } = require("../src/routing/budgetFallback");
+
+test("no quota left degrades; past the soft limit only borderline requests do", () => {
+  expect(budgetDecision({ remaining: 0, complexity: { score: 0.95 } })).toEqual({
+    degrade: true,
+    limit: "hard",
+    used: 1,
+    reason: "Cloud quota exhausted",
+  });
+  expect(budgetDecision({ remaining: 0.15, complexity: { score: 0.6 } })).toMatchObject({
+    degrade: true,
+    limit: "soft",
+    reason: "Cloud soft limit (85% of quota used, complexity 0.60)",
+  });
+  expect(budgetDecision({ remaining: 0.15, complexity: { score: 0.9 } })).toEqual({ degrade: false, used: 0.85 });
+  expect(budgetDecision({ remaining: 0.5, complexity: { score: 0.1 } })).toEqual({ degrade: false, used: 0.5 });
+
+  expect(budgetNotice({ limit: "hard" }, "local-fast", "Daily cloud request limit exceeded")).toBe(
+    "_Answered by local-fast: the cloud quota is used up (Daily cloud request limit exceeded)._\n\n"
+  );
+});
+
+describe("proxy", () => {
+  const ENV = { CLOUD_ALLOWED: "true", OFFLINE_REQUIRED: "false", CLOUD_DAILY_LIMIT: "10", CLOUD_SOFT_LIMIT_SCORE: "0.6" };
+  const saved = {};
+  const identity = { keyId: "team-a", tenant: "default", models: null, cloud: true, vision: true, scopes: [] };
+  let proxy;
+  let guard;
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "budget-"));
+    ENV.COST_STATE_FILE = path.join(dir, "cost.json");
+    for (const [k, v] of Object.entries(ENV)) {
+      saved[k] = process.env[k];
+      process.env[k] = v;
+    }
+    jest.isolateModules(() => {
+      proxy = require("../src/proxy/openaiProxyServer");
+      guard = require("../src/cost/costGuard");
+    });
+  });
+
+  afterEach(() => {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const chat = (content, model = "auto-hybrid") => ({ model, messages: [{ role: "user", content }] });
+  const BORDERLINE = "MODE=DESIGN Threat model for our login service"; // complexity 0.55
+  const HARD =
+    "MODE=DESIGN Design the architecture with trade-offs for a multi-region queue: " +
+    "prove the ordering invariant and find the race condition?";
+
+  async function useQuota(n) {
+    for (let i = 0; i < n; i++) await guard.reserveCloudCost(identity);
+  }
+
+  test("auto-hybrid goes local with a notice once the quota is used up", async () => {
+    expect((await proxy.planChatRoute(chat(BORDERLINE), identity)).route).toBe("cloud");
+
+    await useQuota(10);
+    const plan = await proxy.planChatRoute(chat(HARD), identity);
+    expect(plan).toMatchObject({
+      route: "local",
+      reason: "Cloud quota exhausted",
+      budget: { fallback: true, degrade: true, limit: "hard" },
+    });
+    expect(plan.budget.notice).toBe("_Answered by local-fast: the cloud quota is used up._\n\n");
+    expect(plan.escalation).toBeUndefined();
+  });
+
+  test("past the soft limit borderline requests stay local, hard ones still go to cloud", async () => {
+    await useQuota(8);
+
+    expect(await proxy.planChatRoute(chat(BORDERLINE), identity)).toMatchObject({
+      route: "local",
+      budget: { degrade: true, limit: "soft", used: 0.8 },
+    });
+    expect(await proxy.planChatRoute(chat(HARD), identity)).toMatchObject({
+      route: "cloud",
+      budget: { fallback: true, degrade: false },
+    });
+  });
+
+  test("explicit cloud requests are not rerouted and get an OpenAI-style 429", async () => {
+    await useQuota(10);
+    expect((await proxy.planChatRoute(chat(BORDERLINE, "cloud-deep"), identity)).route).toBe("cloud");
+    expect((await proxy.planChatRoute(chat(`/cloud ${BORDERLINE}`), identity)).budget).toBeUndefined();
+
+    const error = await guard.reserveCloudCost(identity).catch((e) => e);
+    const res = {
+      headers: {},
+      setHeader(name, value) {
+        this.headers[name] = value;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+    };
+    proxy.respondQuotaExceeded(res, error);
+
+    expect(res.statusCode).toBe(429);
+    expect(res.body.error).toMatchObject({
+      message: "Daily cloud request limit exceeded",
+      type: "insufficient_quota",
+      code: "insufficient_quota",
+      resets_at: error.details.resetsAt,
+      details: { scope: "global", period: "day" },
+    });
+    expect(Date.parse(res.body.error.resets_at) % 86400000).toBe(0); // next UTC midnight
+    expect(Number(res.headers["Retry-After"])).toBeGreaterThan(0);
+  });
+
+  test("the local answer carries the notice", async () => {
+    jest.spyOn(global, "fetch").mockImplementation(async () => ({
+      ok: true,
+      json: async () => ({ model: "llama3.1:8b", choices: [{ message: { role: "assistant", content: "Use PKCE." } }] }),
+    }));
+    await useQuota(10);
+    const plan = await proxy.planChatRoute(chat(HARD), identity);
+    const res = {
+      headers: {},
+      setHeader(name, value) {
+        this.headers[name] = value;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+    };
+
+    await proxy.respondFromLocal({ plan, wantsStream: false, res, notice: plan.budget.notice });
+    expect(res.headers["X-Hybrid-Tier"]).toBe("local");
+    expect(res.body.choices[0].message.content).toBe(
+      "_Answered by local-fast: the cloud quota is used up._\n\nUse PKCE."
+    );
+  });
+
+  test("a streamed local answer sends the notice under the proxy model id", async () => {
+    const ollamaChunk = { model: "llama3.1:8b", choices: [{ index: 0, delta: { content: "Use PKCE." } }] };
+    jest
+      .spyOn(global, "fetch")
+      .mockImplementation(async () => new Response(`data: ${JSON.stringify(ollamaChunk)}\n\ndata: [DONE]\n\n`));
+    await useQuota(10);
+    const plan = await proxy.planChatRoute(chat(HARD), identity);
+    const res = {
+      headers: {},
+      chunks: [],
+      setHeader(name, value) {
+        this.headers[name] = value;
+      },
+      status() {
+        return this;
+      },
+      write(data) {
+        this.chunks.push(Buffer.from(data).toString());
+      },
+      end() {},
+    };
+
+    await proxy.respondFromLocal({ plan, wantsStream: true, res, notice: plan.budget.notice });
+    const notice = JSON.parse(res.chunks[0].replace(/^data: /, ""));
+    expect(notice.model).toBe("local-fast");
+    expect(notice.choices[0].delta.content).toBe("_Answered by local-fast: the cloud quota is used up._\n\n");
+    expect(res.chunks.slice(1).join("")).toContain('"content":"Use PKCE."');
+  });
+});
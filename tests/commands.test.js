@@ -0,0 +1,78 @@
+const { parseCommands, commandFlags } = require("../src/routing/commands");
+const { compilePolicy, setRoutingPolicy } = require("../src/policy/policyEngine");
+const { evaluateOverridePolicy } = require("../src/policy/policy");
+
+test("leading commands are parsed and stripped", () => {
+  const parsed = parseCommands("/cloud /mode design /maxtokens 2000\nCompare queue designs");
+
+  expect(parsed.text).toBe("Compare queue designs");
+  expect(parsed.commands).toEqual([
+    { name: "cloud", value: true },
+    { name: "mode", value: "MODE=DESIGN" },
+    { name: "maxtokens", value: 2000 },
+  ]);
+  expect(commandFlags(parsed.commands)).toMatchObject({ cloud: true, mode: "MODE=DESIGN", maxTokens: 2000 });
+});
+
+test("paths and commands later in the text are plain text", () => {
+  for (const text of [
+    "/usr/local/bin is missing from PATH",
+    "Deploy with /cloudformation templates",
+    "Why does /cloud not work? /local",
+  ]) {
+    expect(parseCommands(text)).toEqual({ text, commands: [], unknown: [], errors: [] });
+  }
+
+  expect(parseCommands("Explain /cloud vs /local").commands).toEqual([]);
+});
+
+test("leading slash words that are not commands stay text", () => {
+  for (const text of ["/tmp is full on db-1", "/home is full", "/mod is broken", "/etc/hosts has a stale entry"]) {
+    expect(parseCommands(text)).toEqual({ text, commands: [], unknown: [], errors: [] });
+  }
+  expect(parseCommands("/cloud /tmp is full")).toMatchObject({ text: "/tmp is full", unknown: [] });
+});
+
+test("unknown commands and bad arguments are reported", () => {
+  expect(parseCommands("/clod explain tcp")).toMatchObject({ text: "explain tcp", unknown: ["/clod"] });
+  expect(parseCommands("/nocache /confrim hi").unknown).toEqual(["/nocache", "/confrim"]);
+  expect(parseCommands("/mod design hi").unknown).toEqual(["/mod"]);
+  expect(parseCommands("/maxtokens lots hi").errors).toEqual(["/maxtokens needs a whole number between 1 and 32000"]);
+  expect(parseCommands("/mode poem hi").errors[0]).toMatch(/^\/mode needs one of: explain, compare/);
+  expect(parseCommands("/cloud /local hi").errors).toEqual(["Use either /cloud or /local, not both"]);
+});
+
+test("flags without arguments", () => {
+  const { commands, text } = parseCommands("  /explain-route /no-cache /confirm\n\nsummarize this");
+  expect(text).toBe("summarize this");
+  expect(commandFlags(commands)).toEqual({
+    cloud: false,
+    local: false,
+    explainRoute: true,
+    noCache: true,
+    confirm: true,
+  });
+});
+
+describe("override policy per command", () => {
+  afterEach(() => setRoutingPolicy(null));
+
+  test("only listed commands are allowed; /confirm always is", () => {
+    setRoutingPolicy(compilePolicy({ allowUserOverrides: ["local", "no-cache"] }));
+
+    expect(evaluateOverridePolicy("local")).toEqual({ allow: true });
+    expect(evaluateOverridePolicy("no-cache")).toEqual({ allow: true });
+    expect(evaluateOverridePolicy("cloud")).toEqual({ allow: false, reason: "/cloud disabled by policy" });
+    expect(evaluateOverridePolicy("confirm")).toEqual({ allow: true });
+  });
+
+  test("true / false switch all override commands", () => {
+    setRoutingPolicy(compilePolicy({ allowUserOverrides: false }));
+    expect(evaluateOverridePolicy("mode").allow).toBe(false);
+
+    setRoutingPolicy(compilePolicy({ allowUserOverrides: true }));
+    expect(evaluateOverridePolicy("maxtokens").allow).toBe(true);
+
+    expect(() => compilePolicy({ allowUserOverrides: ["teleport"] })).toThrow(/unknown command "teleport"/);
+  });
+});
@@ -0,0 +1,67 @@
+const { classifyComplexity } = require("../src/routing/complexity");
+const { routeTask } = require("../src/routing/routeTask");
+
+const POLICY_LOOKUP = "What's our password policy?";
+const HARD_ALGORITHM =
+  "Split an array into k contiguous parts so the largest part sum is minimal. " +
+  "What is the optimal algorithm and its complexity?";
+
+test("features strategy fixes the keyword misroutes", async () => {
+  expect(await classifyComplexity(POLICY_LOOKUP, { strategy: "keywords" })).toMatchObject({ score: 1, deep: true });
+  expect(await classifyComplexity(POLICY_LOOKUP, { strategy: "features" })).toMatchObject({ deep: false });
+
+  expect(await classifyComplexity(HARD_ALGORITHM, { strategy: "keywords" })).toMatchObject({ deep: false });
+  expect(await classifyComplexity(HARD_ALGORITHM, { strategy: "features" })).toMatchObject({
+    strategy: "features",
+    threshold: 0.5,
+    deep: true,
+  });
+});
+
+test("features: mode, code and length all count", async () => {
+  const plain = await classifyComplexity("Explain our login flow", { strategy: "features" });
+  const design = await classifyComplexity("Explain our login flow", { strategy: "features", responseMode: "MODE=DESIGN" });
+  expect(design.score - plain.score).toBeCloseTo(0.3);
+
+  const code = await classifyComplexity("Why is this slow?\n```js\nfor (;;) {}\n```", { strategy: "features" });
+  expect(code.detail.features.code).toBe(true);
+
+  const long = await classifyComplexity("word ".repeat(1000), { strategy: "features" });
+  expect(long.detail.contributions.tokens).toBe(0.5);
+  expect(long.deep).toBe(true);
+});
+
+test("ollama strategy uses the local rating and falls back to features", async () => {
+  const complete = jest.fn(async () => "8");
+  expect(await classifyComplexity("anything", { strategy: "ollama", complete })).toMatchObject({
+    strategy: "ollama",
+    score: 0.8,
+    deep: true,
+  });
+
+  const down = await classifyComplexity(HARD_ALGORITHM, {
+    strategy: "ollama",
+    complete: async () => {
+      throw new Error("ECONNREFUSED");
+    },
+  });
+  expect(down).toMatchObject({ strategy: "features", deep: true });
+  expect(down.detail.why).toBe("local model unavailable: ECONNREFUSED");
+
+  complete.mockClear();
+  const dry = await classifyComplexity("anything", { strategy: "ollama", dryRun: true, complete });
+  expect(complete).not.toHaveBeenCalled();
+  expect(dry.detail.fallbackFrom).toBe("ollama");
+});
+
+test("the routing reason names strategy, score and threshold", async () => {
+  const complexity = await classifyComplexity(HARD_ALGORITHM, { strategy: "features" });
+  const decision = routeTask({
+    requiresDeepReasoning: complexity.deep,
+    containsSensitiveData: false,
+    offlineRequired: false,
+    cloudAllowed: true,
+    complexity,
+  });
+  expect(decision.reason).toBe(`Deep reasoning requested (features ${complexity.score.toFixed(2)} >= 0.5)`);
+});
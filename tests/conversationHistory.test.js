@@ -0,0 +1,173 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { trimHistory, sanitizeHistory } = require("../src/conversation/history");
+const { sanitizeText } = require("../src/sanitizer/sanitizeText");
+const { createPseudonymVault } = require("../src/sanitizer/pseudonymize");
+
+jest.mock("../src/cloud/callBedrock", () => ({
+  callBedrock: jest.fn(),
+  streamBedrockText: jest.fn(),
+}));
+
+const turn = (role, text) => ({ role, text });
+
+test("trimHistory drops the oldest turns first and keeps system turns", () => {
+  const turns = [
+    turn("system", "Be brief."),
+    turn("user", "a".repeat(40)),
+    turn("assistant", "b".repeat(40)),
+    turn("user", "c".repeat(40)),
+    turn("assistant", "d".repeat(40)),
+  ];
+
+  expect(trimHistory(turns, { maxTurns: 2, maxChars: 10000 })).toEqual({
+    turns: [turns[0], turns[3], turns[4]],
+    dropped: 2,
+  });
+
+  // 9 (system) + 30 (question) + 2 x 40 fit in 120; a third turn does not
+  const byChars = trimHistory(turns, { maxTurns: 20, maxChars: 120, reservedChars: 30 });
+  expect(byChars.turns.map((t) => t.text[0])).toEqual(["B", "c", "d"]);
+  expect(byChars.dropped).toBe(2);
+
+  expect(trimHistory(turns, { maxTurns: 0 }).turns).toEqual([turns[0]]);
+});
+
+test("sanitizeHistory uses the same placeholder for a value in every turn", () => {
+  const vault = createPseudonymVault();
+  const question = sanitizeText("And what about alice@corp.example?", { vault });
+
+  const { turns, report } = sanitizeHistory(
+    [
+      turn("user", "Why does alice@corp.example get 403 from 10.1.2.3?"),
+      turn("assistant", "alice@corp.example lacks the role."),
+    ],
+    { vault }
+  );
+
+  expect(question).toBe("And what about [EMAIL_1]?");
+  expect(turns).toEqual([
+    { role: "user", content: "Why does [EMAIL_1] get 403 from [IP_ADDRESS_1]?" },
+    { role: "assistant", content: "[EMAIL_1] lacks the role." },
+  ]);
+  expect(report).toEqual({ total: 3, counts: { EMAIL: 2, IP_ADDRESS: 1 } });
+});
+
+describe("cloud path", () => {
+  const ENV = {
+    CLOUD_ALLOWED: "true",
+    OFFLINE_REQUIRED: "false",
+    REDACTION_MODE: "mask",
+    SANITIZER_MODE: "pseudonymize",
+    CLOUD_HISTORY_MAX_TURNS: "2",
+    SENSITIVITY_CLOUD_MAX_LEVEL: "MEDIUM",
+  };
+  const saved = {};
+  let proxy;
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "history-"));
+    Object.assign(ENV, { COST_STATE_FILE: path.join(dir, "cost.json") });
+    for (const [k, v] of Object.entries(ENV)) {
+      saved[k] = process.env[k];
+      process.env[k] = v;
+    }
+    jest.isolateModules(() => {
+      proxy = require("../src/proxy/openaiProxyServer");
+    });
+  });
+
+  afterAll(() => {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("earlier turns go into the envelope, sanitized, newest within the budget", async () => {
+    const trace = await proxy.explainChatRoute(
+      {
+        model: "auto-hybrid",
+        messages: [
+          { role: "system", content: "You are a helpful assistant." },
+          { role: "user", content: "MODE=COMPARE first question" },
+          { role: "assistant", content: "first answer" },
+          { role: "user", content: "Ask bob@corp.example about the outage" },
+          { role: "assistant", content: "bob@corp.example says DNS." },
+          { role: "user", content: "/cloud Should bob@corp.example switch resolvers?" },
+        ],
+      },
+      { keyId: "anonymous", tenant: "default" }
+    );
+
+    expect(trace.responseMode).toBe("MODE=COMPARE");
+    expect(trace.conversation).toMatchObject({ historyTurns: 3, droppedTurns: 2 });
+    expect(trace.history).toBeUndefined();
+    expect(trace.cloud.envelope.inputs_sanitized.problem_statement).toBe("Should [EMAIL_1] switch resolvers?");
+    expect(trace.cloud.envelope.conversation_sanitized).toEqual([
+      { role: "system", content: "You are a helpful assistant." },
+      { role: "user", content: "Ask [EMAIL_1] about the outage" },
+      { role: "assistant", content: "[EMAIL_1] says DNS." },
+    ]);
+    expect(trace.cloud.sanitization).toEqual({ total: 3, counts: { EMAIL: 3 } });
+    expect(trace.cloud.prompt).not.toContain("bob@corp.example");
+  });
+
+  test("data_sensitivity grades the history that is sent, not only the latest question", async () => {
+    const trace = await proxy.explainChatRoute(
+      {
+        model: "auto-hybrid",
+        messages: [
+          { role: "user", content: "Ask bob@corp.example about the outage" },
+          { role: "assistant", content: "He says DNS." },
+          { role: "user", content: "/cloud Should we switch resolvers?" },
+        ],
+      },
+      { keyId: "anonymous", tenant: "default" }
+    );
+
+    expect(trace.cloud.envelope.conversation_sanitized).toHaveLength(2);
+    expect(trace.cloud.envelope.data_sensitivity).toBe("LOW");
+  });
+
+  test("commands of earlier user turns are stripped from the history and the forwarded messages", async () => {
+    const body = {
+      model: "auto-hybrid",
+      messages: [
+        { role: "user", content: "/cloud /mode design Sketch a cache for the resolver" },
+        { role: "assistant", content: "Use a TTL-bounded LRU." },
+        { role: "user", content: [{ type: "text", text: "/no-cache How large should it be?" }] },
+        { role: "assistant", content: "A few thousand entries." },
+        { role: "user", content: "/cloud And the TTL?" },
+      ],
+    };
+    const plan = await proxy.planChatRoute(body, { keyId: "anonymous", tenant: "default" });
+
+    expect(plan.commands).toMatchObject({ cloud: true, noCache: false });
+    expect(plan.fullHistory.filter((t) => t.role === "user").map((t) => t.text)).toEqual([
+      "Sketch a cache for the resolver",
+      "How large should it be?",
+    ]);
+    expect(plan.forwardBody.messages.map((m) => m.content)).toEqual([
+      "Sketch a cache for the resolver",
+      "Use a TTL-bounded LRU.",
+      [{ type: "text", text: "How large should it be?" }],
+      "A few thousand entries.",
+      "And the TTL?",
+    ]);
+  });
+
+  test("a single message has no conversation section", async () => {
+    const trace = await proxy.explainChatRoute(
+      { model: "auto-hybrid", messages: [{ role: "user", content: "/cloud hello" }] },
+      { keyId: "anonymous", tenant: "default" }
+    );
+
+    expect(trace.conversation).toMatchObject({ historyTurns: 0, droppedTurns: 0 });
+    expect(trace.cloud.envelope).not.toHaveProperty("conversation_sanitized");
+  });
+});
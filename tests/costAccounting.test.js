@@ -0,0 +1,174 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { compilePricing, priceForModel, costOf } = require("../src/cost/pricing");
+
+const mockSend = jest.fn();
+jest.mock("@aws-sdk/client-bedrock-runtime", () => ({
+  BedrockRuntimeClient: jest.fn(() => ({ send: mockSend })),
+  InvokeModelCommand: jest.fn((input) => input),
+  InvokeModelWithResponseStreamCommand: jest.fn((input) => input),
+}));
+
+const { callBedrock, streamBedrockText } = require("../src/cloud/callBedrock");
+
+describe("pricing", () => {
+  const pricing = compilePricing({
+    currency: "EUR",
+    models: { "anthropic.claude-3-5-sonnet-20241022": { input: 1, output: 2 } },
+  });
+
+  test("model ids match by longest prefix, with or without a region prefix", () => {
+    expect(priceForModel("eu.anthropic.claude-3-5-sonnet-20240620-v1:0", pricing)).toEqual({
+      input: 3,
+      output: 15,
+      prefix: "anthropic.claude-3-5-sonnet",
+    });
+    expect(priceForModel("anthropic.claude-3-5-sonnet-20241022-v2:0", pricing).prefix).toBe(
+      "anthropic.claude-3-5-sonnet-20241022"
+    );
+    expect(priceForModel("acme.unknown-model", pricing)).toEqual({ input: 15, output: 75, prefix: null });
+    expect(pricing.currency).toBe("EUR");
+  });
+
+  test("cost is tokens times the price per million", () => {
+    expect(costOf({ modelId: "anthropic.claude-3-haiku-20240307-v1:0", inputTokens: 2000, outputTokens: 400 }, pricing))
+      .toBeCloseTo(0.001);
+  });
+
+  test("invalid prices are rejected", () => {
+    expect(() => compilePricing({ models: { x: { input: "cheap" } } }, { source: "prices.json" })).toThrow(
+      /Invalid price for "x" in prices.json/
+    );
+  });
+});
+
+describe("Bedrock usage", () => {
+  const chunk = (obj) => ({ chunk: { bytes: Buffer.from(JSON.stringify(obj)) } });
+
+  beforeEach(() => mockSend.mockReset());
+
+  test("non-stream calls report the usage block", async () => {
+    mockSend.mockResolvedValue({
+      body: Buffer.from(
+        JSON.stringify({ content: [{ type: "text", text: "hi" }], usage: { input_tokens: 12, output_tokens: 3 } })
+      ),
+    });
+    const onUsage = jest.fn();
+
+    expect(await callBedrock({ modelId: "m", prompt: "p", onUsage })).toBe("hi");
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 12, outputTokens: 3 });
+  });
+
+  test("streams report usage from message_start / message_delta once at the end", async () => {
+    mockSend.mockResolvedValue({
+      body: (async function* () {
+        yield chunk({ type: "message_start", message: { usage: { input_tokens: 40, output_tokens: 1 } } });
+        yield chunk({ type: "content_block_delta", delta: { type: "text_delta", text: "Hel" } });
+        yield chunk({ type: "content_block_delta", delta: { type: "text_delta", text: "lo" } });
+        yield chunk({ type: "message_delta", delta: { stop_reason: "end_turn" }, usage: { output_tokens: 7 } });
+        yield chunk({ type: "message_stop" });
+      })(),
+    });
+    const onUsage = jest.fn();
+    const deltas = [];
+
+    await streamBedrockText({ modelId: "m", prompt: "p", onTextDelta: (d) => deltas.push(d), onUsage });
+    expect(deltas.join("")).toBe("Hello");
+    expect(onUsage).toHaveBeenCalledTimes(1);
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 40, outputTokens: 7 });
+  });
+
+  test("Bedrock invocation metrics fill in missing counts", async () => {
+    mockSend.mockResolvedValue({
+      body: (async function* () {
+        yield chunk({
+          type: "message_stop",
+          "amazon-bedrock-invocationMetrics": { inputTokenCount: 9, outputTokenCount: 4 },
+        });
+      })(),
+    });
+    const onUsage = jest.fn();
+
+    await streamBedrockText({ modelId: "m", prompt: "p", onTextDelta: () => {}, onUsage });
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 9, outputTokens: 4 });
+  });
+});
+
+describe("cost guard", () => {
+  const MODEL = "anthropic.claude-3-5-sonnet-20240620-v1:0"; // 3 / 15 per million
+  const ENV = { CLOUD_DAILY_LIMIT: "3", CLOUD_DAILY_BUDGET: "0.05", CLOUD_MONTHLY_BUDGET: "" };
+  const saved = {};
+  const identity = { keyId: "team-a", tenant: "default" };
+  let guard;
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cost-"));
+    Object.assign(ENV, { COST_STATE_FILE: path.join(dir, "cost.json") });
+    for (const [k, v] of Object.entries(ENV)) {
+      saved[k] = process.env[k];
+      process.env[k] = v;
+    }
+    jest.isolateModules(() => {
+      guard = require("../src/cost/costGuard");
+    });
+  });
+
+  afterEach(() => {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("actual tokens and spend are booked globally and per key", async () => {
+    const reservation = await guard.reserveCloudCost(identity);
+    expect(
+      await guard.commitCloudCost(reservation, { modelId: MODEL, inputTokens: 1000, outputTokens: 200 })
+    ).toEqual({ inputTokens: 1000, outputTokens: 200, cost: 0.006 });
+
+    const status = await guard.getCostStatus(identity);
+    expect(status.currency).toBe("USD");
+    expect(status.daily).toEqual({
+      used: 1,
+      limit: 3,
+      remaining: 2,
+      spent: 0.006,
+      budget: 0.05,
+      budgetRemaining: 0.044,
+      tokens: { input: 1000, output: 200 },
+    });
+    expect(status.monthly).toMatchObject({ spent: 0.006, budget: null, budgetRemaining: null });
+    expect(status.key).toMatchObject({ keyId: "team-a", daily: { used: 1, spent: 0.006 }, monthly: { spent: 0.006 } });
+    expect(guard.quotaRemainingShare(status)).toBeCloseTo(2 / 3); // requests are the tighter dimension here
+  });
+
+  test("the pre-flight estimate blocks a call that would go over the remaining budget", async () => {
+    const spend = async (inputTokens, outputTokens) =>
+      guard.commitCloudCost(await guard.reserveCloudCost(identity), { modelId: MODEL, inputTokens, outputTokens });
+    await spend(1000, 2000); // 0.033
+
+    const small = guard.estimateCloudCost({ modelId: MODEL, prompt: "x".repeat(400), maxTokens: 100 });
+    expect(small).toEqual({ inputTokens: 100, outputTokens: 100, cost: 0.0018 });
+    const held = await guard.reserveCloudCost(identity, { estimate: small });
+
+    // the estimate of a call in flight is held against the budget
+    const large = guard.estimateCloudCost({ modelId: MODEL, prompt: "x".repeat(4000) }); // 1024 output tokens
+    await expect(guard.reserveCloudCost(identity, { estimate: large })).rejects.toThrow(
+      "Estimated cloud cost (0.01836 USD) exceeds the remaining daily budget (0.0152 USD)"
+    );
+    await guard.refundCloudCost(held);
+
+    await spend(0, 2000);
+    await expect(guard.reserveCloudCost(identity)).rejects.toThrow("Daily cloud budget exceeded (0.063 of 0.05 USD)");
+  });
+
+  test("request limits still apply as a second dimension", async () => {
+    for (let i = 0; i < 3; i++) await guard.reserveCloudCost(identity);
+    await expect(guard.reserveCloudCost(identity)).rejects.toThrow("Daily cloud request limit exceeded");
+    expect(guard.quotaRemainingShare(await guard.getCostStatus(identity))).toBe(0);
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createFileCostStore, createSqliteCostStore, createCostStore } = require("../src/cost/costStore");
+const {
+  reserveCloudCost,
+  commitCloudCost,
+  refundCloudCost,
+  pruneState,
+  getCostStatus,
+} = require("../src/cost/costGuard");
+
+const MODEL = "anthropic.claude-3-5-sonnet-20240620-v1:0";
+const identity = { keyId: "team-a", tenant: "default" };
+
+function sqliteAvailable() {
+  try {
+    createSqliteCostStore({ file: ":memory:" }).close();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "cost-store-"));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("unknown backends are rejected", () => {
+  expect(() => createCostStore("redis")).toThrow('COST_STORE must be one of: file, sqlite (got "redis")');
+});
+
+describe("file store", () => {
+  test("parallel updates do not lose increments and leave no temp or lock files", async () => {
+    const store = createFileCostStore({ file: path.join(dir, "cost.json") });
+
+    await Promise.all(Array.from({ length: 25 }, () => reserveCloudCost(identity, {}, store)));
+
+    const status = await getCostStatus(identity, store);
+    expect(status.daily.used).toBe(25);
+    expect(status.key.daily.used).toBe(25);
+    expect(status.inFlight).toBe(25);
+    expect(fs.readdirSync(dir)).toEqual(["cost.json"]);
+  });
+
+  test("a held lock makes writers wait; a stale one is taken over", async () => {
+    const file = path.join(dir, "cost.json");
+    const store = createFileCostStore({ file, lockTimeoutMs: 50 });
+
+    fs.writeFileSync(`${file}.lock`, "12345");
+    await expect(store.update(() => {})).rejects.toThrow(/is locked \(waited 50 ms\)/);
+
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(`${file}.lock`, old, old);
+    await expect(store.update((state) => (state.day.x = 1))).resolves.toBe(1);
+    expect(fs.existsSync(`${file}.lock`)).toBe(false);
+  });
+
+  test("a failed call is refunded; a billed one is committed once", async () => {
+    const store = createFileCostStore({ file: path.join(dir, "cost.json") });
+
+    const failed = await reserveCloudCost(identity, {}, store);
+    await refundCloudCost(failed, store);
+    await refundCloudCost(failed, store); // settling twice is harmless
+
+    const ok = await reserveCloudCost(identity, {}, store);
+    await commitCloudCost(ok, { modelId: MODEL, inputTokens: 100, outputTokens: 10 }, store);
+
+    const status = await getCostStatus(identity, store);
+    expect(status.daily).toMatchObject({ used: 1, tokens: { input: 100, output: 10 } });
+    expect(status.key.daily.used).toBe(1);
+    expect(status.inFlight).toBe(0);
+  });
+});
+
+test("old day and month entries and stale holds are pruned", () => {
+  const state = {
+    day: { "2026-08-01": 4, "2026-10-18": 2 },
+    month: { "2025-09": 40, "2025-10": 41, "2026-10": 9 },
+    spend: { day: { "2026-08-01": 1, "2026-10-18": 2 }, month: { "2025-09": 3 } },
+    keys: { "team-a": { day: { "2026-08-01": 1 }, month: { "2025-09": 1, "2026-10": 1 } } },
+    reservations: {
+      old: { at: Date.parse("2026-10-19T08:00:00Z"), cost: 1 },
+      fresh: { at: Date.parse("2026-10-19T11:55:00Z"), cost: 1 },
+    },
+  };
+
+  pruneState(state, new Date("2026-10-19T12:00:00Z"));
+
+  expect(state.day).toEqual({ "2026-10-18": 2 });
+  expect(state.month).toEqual({ "2025-10": 41, "2026-10": 9 });
+  expect(state.spend).toEqual({ day: { "2026-10-18": 2 }, month: {} });
+  expect(state.keys["team-a"]).toEqual({ day: {}, month: { "2026-10": 1 } });
+  expect(Object.keys(state.reservations)).toEqual(["fresh"]);
+});
+
+(sqliteAvailable() ? describe : describe.skip)("sqlite store", () => {
+  test("reserve, commit and refund persist across connections", async () => {
+    const file = path.join(dir, "cost.sqlite");
+    const a = createSqliteCostStore({ file });
+    const b = createSqliteCostStore({ file });
+
+    await Promise.all([reserveCloudCost(identity, {}, a), reserveCloudCost(identity, {}, b)]);
+    const r = await reserveCloudCost(identity, {}, a);
+    await refundCloudCost(r, b);
+
+    expect((await getCostStatus(identity, b)).daily.used).toBe(2);
+    a.close();
+    b.close();
+  });
+});
@@ -0,0 +1,173 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+jest.mock("../src/cloud/callBedrock", () => ({
+  callBedrock: jest.fn(async () => "Use an idempotency key per request."),
+  streamBedrockText: jest.fn(),
+}));
+
+const { callBedrock } = require("../src/cloud/callBedrock");
+const { heuristicConfidence, assessConfidence, shouldEscalate } = require("../src/routing/escalation");
+
+test("heuristic flags refusals and admissions of ignorance in the opening", () => {
+  expect(heuristicConfidence("Idempotence means repeating a call has no extra effect.")).toEqual({
+    score: 1,
+    signals: [],
+  });
+  expect(heuristicConfidence("I'm sorry, but I can't help with that.")).toEqual({ score: 0.1, signals: ["refusal"] });
+  expect(heuristicConfidence("I don't know which broker you use.").signals).toEqual(["dont-know"]);
+  expect(heuristicConfidence("   ")).toEqual({ score: 0, signals: ["empty"] });
+  expect(heuristicConfidence(`${"Detailed answer. ".repeat(40)}I'm not sure about edge cases.`).score).toBe(1);
+});
+
+test("self-rate asks the local model unless the heuristic already decided", async () => {
+  const complete = jest.fn(async () => "4");
+  const rated = await assessConfidence({ question: "q", answer: "An answer.", model: "m", mode: "self-rate", complete });
+  expect(rated).toEqual({ method: "self-rate", score: 0.4, signals: [] });
+  expect(shouldEscalate(rated, 0.6)).toBe(true);
+
+  complete.mockClear();
+  const refusal = await assessConfidence({ question: "q", answer: "I cannot answer that.", mode: "self-rate", complete });
+  expect(refusal.method).toBe("heuristic");
+  expect(complete).not.toHaveBeenCalled();
+
+  const broken = await assessConfidence({
+    question: "q",
+    answer: "An answer.",
+    mode: "self-rate",
+    complete: async () => {
+      throw new Error("ECONNREFUSED");
+    },
+  });
+  expect(broken).toEqual({ method: "heuristic", score: 1, signals: ["self-rate unavailable"] });
+});
+
+describe("proxy escalation", () => {
+  const ENV = {
+    CLOUD_ALLOWED: "true",
+    OFFLINE_REQUIRED: "false",
+    ESCALATION_MODE: "heuristic",
+    SENSITIVITY_CLOUD_MAX_LEVEL: "MEDIUM",
+  };
+  const saved = {};
+  let proxy;
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "escalation-"));
+    ENV.COST_STATE_FILE = path.join(dir, "cost.json");
+    for (const [k, v] of Object.entries(ENV)) {
+      saved[k] = process.env[k];
+      process.env[k] = v;
+    }
+    jest.isolateModules(() => {
+      proxy = require("../src/proxy/openaiProxyServer");
+    });
+  });
+
+  afterAll(() => {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const chat = (content, model = "auto-hybrid") => ({ model, messages: [{ role: "user", content }] });
+
+  function fakeRes() {
+    return {
+      headers: {},
+      body: null,
+      setHeader(name, value) {
+        this.headers[name] = value;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+    };
+  }
+
+  function ollamaAnswers(content) {
+    jest.spyOn(global, "fetch").mockImplementation(async () => ({
+      ok: true,
+      json: async () => ({ model: "llama3.1:8b", choices: [{ message: { role: "assistant", content } }] }),
+    }));
+  }
+
+  test("only default-local auto-hybrid requests are escalation candidates", async () => {
+    expect((await proxy.planChatRoute(chat("What is idempotence?"))).escalation).toEqual({
+      mode: "heuristic",
+      threshold: 0.6,
+    });
+    expect((await proxy.planChatRoute(chat("What is idempotence?", "local-fast"))).escalation).toBeUndefined();
+    expect((await proxy.planChatRoute(chat("/local What is idempotence?"))).escalation).toBeUndefined();
+  });
+
+  test("a confident local draft is the answer", async () => {
+    ollamaAnswers("Repeating the call has no additional effect.");
+    const body = chat("What is idempotence?");
+    const res = fakeRes();
+
+    await proxy.handleLocalWithEscalation({ plan: await proxy.planChatRoute(body), body, wantsStream: false, res });
+
+    expect(res.headers["X-Hybrid-Tier"]).toBe("local");
+    expect(JSON.parse(res.headers["X-Hybrid-Escalation"])).toMatchObject({ score: 1, escalated: false });
+    expect(callBedrock).not.toHaveBeenCalled();
+  });
+
+  test("a low-confidence draft escalates with the sanitized draft as context", async () => {
+    ollamaAnswers("I don't know; ask alice@example.com.");
+    const body = chat("How do I make retries safe for alice@example.com?");
+    const res = fakeRes();
+
+    await proxy.handleLocalWithEscalation({ plan: await proxy.planChatRoute(body), body, wantsStream: false, res });
+
+    expect(res.headers["X-Hybrid-Tier"]).toBe("cloud-escalated");
+    const { prompt } = callBedrock.mock.calls[0][0];
+    expect(prompt).toContain("Draft answer from the local model");
+    expect(prompt).not.toContain("alice@example.com");
+    expect(res.body.model).toBe("cloud-deep");
+    expect(res.body.choices[0].message.content).toMatch(/^Use an idempotency key per request\.\n\n_Escalated to cloud-deep/);
+
+    // counted like any cloud call
+    expect(JSON.parse(fs.readFileSync(ENV.COST_STATE_FILE, "utf8")).day).toEqual({
+      [new Date().toISOString().slice(0, 10)]: 1,
+    });
+  });
+
+  test("a draft above the cloud sensitivity limit stays local", async () => {
+    callBedrock.mockClear();
+    ollamaAnswers("I'm not sure. Maybe: password: hunter2");
+    const body = chat("What is idempotence?");
+    const res = fakeRes();
+
+    await proxy.handleLocalWithEscalation({ plan: await proxy.planChatRoute(body), body, wantsStream: false, res });
+
+    expect(res.headers["X-Hybrid-Tier"]).toBe("local");
+    expect(JSON.parse(res.headers["X-Hybrid-Escalation"])).toMatchObject({
+      escalated: false,
+      reason: "draft sensitivity",
+    });
+    expect(res.body.choices[0].message.content).toBe("I'm not sure. Maybe: password: hunter2");
+    expect(callBedrock).not.toHaveBeenCalled();
+  });
+
+  test("a draft over the limit that reaches the cloud path is refused with a policy error", async () => {
+    callBedrock.mockClear();
+    const body = chat("What is idempotence?");
+    const plan = await proxy.planChatRoute(body);
+
+    await expect(
+      proxy.respondFromCloud({ plan, body, wantsStream: false, res: fakeRes(), localDraft: "password: hunter2" })
+    ).rejects.toMatchObject({
+      status: 403,
+      message: "Cloud transfer blocked: the prompt is CRITICAL, above the cloud limit MEDIUM",
+    });
+    expect(callBedrock).not.toHaveBeenCalled();
+  });
+});
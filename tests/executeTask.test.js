@@ -1,9 +1,22 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
 jest.mock("../src/cloud/callBedrock", () => ({
   callBedrock: jest.fn(async () => "MOCK_CLOUD_RESPONSE"),
 }));
 
+// Count cloud requests in a fresh file, not the shared default, so the daily limit never trips
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "execute-"));
+process.env.COST_STATE_FILE = path.join(dir, "cost.json");
+
 const { executeTask } = require("../src/pipeline/executeTask");
 
+afterAll(() => {
+  delete process.env.COST_STATE_FILE;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
 test("local route never calls cloud", async () => {
   const result = await executeTask({
     rawInput: "Sensitive data here",
@@ -0,0 +1,124 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createKeyStore, sha256Hex, modelAllowed } = require("../src/auth/keyStore");
+const { evaluateCloudPolicy } = require("../src/policy/policy");
+
+let dir;
+let file;
+
+const KEYS = {
+  keys: [
+    { name: "platform-team", tenant: "platform", sha256: sha256Hex("sk-platform"), cloud: true, vision: true },
+    { name: "interns", sha256: sha256Hex("sk-intern"), models: ["local-fast"] },
+    { name: "ci-bot", sha256: sha256Hex("sk-ci"), scopes: ["models"], expires: "2026-06-01T00:00:00Z" },
+  ],
+};
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "keys-"));
+  file = path.join(dir, "keys.json");
+  fs.writeFileSync(file, JSON.stringify(KEYS));
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("resolves keys to identities with their scopes", () => {
+  const store = createKeyStore({ filePath: file, legacyKey: "", now: () => Date.parse("2026-01-01") });
+
+  expect(store.authenticate("sk-platform")).toMatchObject({
+    ok: true,
+    identity: { keyId: "platform-team", tenant: "platform", cloud: true, vision: true, models: null },
+  });
+
+  const intern = store.authenticate("sk-intern").identity;
+  expect(intern).toMatchObject({ keyId: "interns", tenant: "interns", cloud: false, vision: false });
+  expect(modelAllowed(intern, "local-fast")).toBe(true);
+  expect(modelAllowed(intern, "cloud-deep")).toBe(false);
+
+  expect(store.authenticate("sk-ci").identity.scopes).toEqual(["models"]);
+  expect(store.authenticate("sk-wrong")).toEqual({ ok: false, reason: "Unauthorized" });
+  expect(store.authenticate("")).toEqual({ ok: false, reason: "Unauthorized" });
+});
+
+test("expired keys are refused", () => {
+  const store = createKeyStore({ filePath: file, legacyKey: "", now: () => Date.parse("2026-07-01") });
+  expect(store.authenticate("sk-ci")).toEqual({ ok: false, reason: 'API key "ci-bot" has expired' });
+});
+
+test("legacy PROXY_API_KEY still works; no keys at all means anonymous access", () => {
+  expect(createKeyStore({ filePath: "", legacyKey: "s3cret" }).authenticate("s3cret").identity).toMatchObject({
+    keyId: "default",
+    cloud: true,
+  });
+  expect(createKeyStore({ filePath: "", legacyKey: "" }).authenticate("").identity.keyId).toBe("anonymous");
+});
+
+test("key file changes are picked up without a restart; broken edits keep the old keys", () => {
+  let clock = Date.parse("2026-01-01");
+  const store = createKeyStore({ filePath: file, legacyKey: "", now: () => clock });
+  expect(store.authenticate("sk-new").ok).toBe(false);
+
+  fs.writeFileSync(file, JSON.stringify({ keys: [{ name: "new", sha256: sha256Hex("sk-new") }] }));
+  fs.utimesSync(file, new Date(clock / 1000 + 10), new Date(clock / 1000 + 10));
+  clock += 5000;
+  expect(store.authenticate("sk-new").identity.keyId).toBe("new");
+  expect(store.authenticate("sk-platform").ok).toBe(false);
+
+  const error = jest.spyOn(console, "error").mockImplementation(() => {});
+  const log = jest.spyOn(console, "log").mockImplementation(() => {});
+  fs.writeFileSync(file, "{ not json");
+  fs.utimesSync(file, new Date(clock / 1000 + 20), new Date(clock / 1000 + 20));
+  clock += 5000;
+  expect(store.authenticate("sk-new").ok).toBe(true);
+  expect(error).toHaveBeenCalledWith(expect.stringContaining("keeping previous keys"));
+  error.mockRestore();
+  log.mockRestore();
+});
+
+test("invalid key files fail at load with the key name in the message", () => {
+  fs.writeFileSync(file, JSON.stringify({ keys: [{ name: "bad", sha256: "abc" }] }));
+  expect(() => createKeyStore({ filePath: file })).toThrow(`Key store ${file}: key "bad" needs "sha256"`);
+
+  fs.writeFileSync(file, JSON.stringify({ keys: [{ name: "bad", sha256: sha256Hex("x"), scopes: ["root"] }] }));
+  expect(() => createKeyStore({ filePath: file })).toThrow(/unknown scope "root"/);
+});
+
+test("keys without cloud permission are blocked before any routing rule", () => {
+  const store = createKeyStore({ filePath: file, legacyKey: "" });
+  const decision = evaluateCloudPolicy({
+    offlineRequired: false,
+    cloudAllowed: true,
+    rawUserText: "explain tcp",
+    identity: store.authenticate("sk-intern").identity,
+  });
+
+  expect(decision).toMatchObject({ allowed: false, ruleId: "key:no-cloud" });
+});
+
+test("per-key quotas are validated; admin is a scope keys must be given", () => {
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      keys: [
+        { name: "data", sha256: sha256Hex("sk-data"), quota: { dailyRequests: 10 }, userQuota: { dailyBudget: 0.5 } },
+        { name: "ops", sha256: sha256Hex("sk-ops"), scopes: ["admin"] },
+      ],
+    })
+  );
+  const store = createKeyStore({ filePath: file, legacyKey: "" });
+  expect(store.authenticate("sk-data").identity).toMatchObject({
+    quota: { dailyRequests: 10 },
+    userQuota: { dailyBudget: 0.5 },
+    scopes: ["chat", "models", "explain"],
+  });
+  expect(store.authenticate("sk-ops").identity).toMatchObject({ scopes: ["admin"], quota: null });
+  expect(store.identities().map((i) => i.keyId)).toEqual(["data", "ops"]);
+
+  fs.writeFileSync(file, JSON.stringify({ keys: [{ name: "bad", sha256: sha256Hex("x"), quota: { daily: 1 } }] }));
+  expect(() => createKeyStore({ filePath: file })).toThrow(/key "bad" quota has unknown field "daily"/);
+
+  fs.writeFileSync(file, JSON.stringify({ keys: [{ name: "bad", sha256: sha256Hex("x"), userQuota: { dailyBudget: -1 } }] }));
+  expect(() => createKeyStore({ filePath: file })).toThrow('key "bad" userQuota "dailyBudget" must be a number >= 0');
+});
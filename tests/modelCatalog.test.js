@@ -0,0 +1,153 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  compileCatalog,
+  loadModelCatalog,
+  selectLocalModel,
+  selectCloudModel,
+} = require("../src/models/modelCatalog");
+
+const DOC = {
+  local: [
+    { id: "local-fast", ollamaModel: "llama3.1:8b", default: true, capabilities: { contextLength: 8192 } },
+    { id: "local-coder", ollamaModel: "qwen2.5-coder:7b", capabilities: { code: true, contextLength: 32768 } },
+    { id: "local-large", ollamaModel: "llama3.1:70b", capabilities: { reasoning: true, contextLength: 131072 }, costTier: "low" },
+  ],
+  cloud: [
+    { id: "cloud-fast", bedrockModelId: "haiku-profile", costTier: "low" },
+    { id: "cloud-deep", bedrockModelId: "sonnet-profile", default: true },
+    { id: "cloud-max", bedrockModelId: "opus-profile", costTier: "high" },
+  ],
+  cloudRules: [
+    { id: "low-budget", match: { maxBudgetRemaining: 0.1 }, model: "cloud-fast" },
+    { id: "quick-explain", match: { modes: ["EXPLAIN"], maxChars: 2000 }, model: "cloud-fast" },
+    { id: "hard-design", match: { modes: ["DESIGN"], minScore: 0.8 }, model: "cloud-max" },
+  ],
+};
+
+const CODE = [
+  "Why does this loop never end?",
+  "function waitFor(ready) {",
+  "  while (!ready()) {",
+  "    sleep(10);",
+  "  }",
+  "}",
+].join("\n");
+
+test("without a file the catalog is the single env model per backend", () => {
+  const catalog = loadModelCatalog("");
+  expect(catalog.local).toHaveLength(1);
+  expect(catalog.defaultLocal).toMatchObject({ id: "local-fast", backend: "ollama", costTier: "free" });
+  expect(catalog.cloud).toHaveLength(1);
+  expect(catalog.defaultCloud).toMatchObject({ id: "cloud-deep", backend: "bedrock", modelFamily: "claude" });
+  expect(catalog.cloudRules).toEqual([]);
+});
+
+test("catalog entries are validated", () => {
+  const bad = (local) => () => compileCatalog({ local });
+  expect(bad([])).toThrow(/"local" must be a non-empty list/);
+  expect(bad([{ id: "x" }])).toThrow(/model "x" needs "ollamaModel"/);
+  expect(bad([{ id: "auto-hybrid", ollamaModel: "m" }])).toThrow(/reserved model id "auto-hybrid"/);
+  expect(bad([{ id: "a", ollamaModel: "m", costTier: "cheap" }])).toThrow(/unknown costTier "cheap"/);
+  expect(bad([{ id: "a", ollamaModel: "m", capabilities: { gpu: true } }])).toThrow(/unknown capability "gpu"/);
+  expect(bad([
+    { id: "a", ollamaModel: "m", default: true },
+    { id: "b", ollamaModel: "m", default: true },
+  ])).toThrow(/only one local model/);
+});
+
+test("selection: code -> coder, deep -> reasoning, otherwise the default", () => {
+  const catalog = compileCatalog(DOC);
+
+  expect(selectLocalModel(catalog, { text: "What is a mutex?" })).toMatchObject({
+    model: { id: "local-fast" },
+    reason: "default",
+  });
+  expect(selectLocalModel(catalog, { text: CODE })).toMatchObject({ model: { id: "local-coder" }, reason: "code detected" });
+  expect(selectLocalModel(catalog, { text: "Design a sharding scheme", deep: true }).model.id).toBe("local-large");
+});
+
+test("cloud rules pick a tier by mode, size, classifier score and budget", () => {
+  const catalog = compileCatalog(DOC);
+  const task = { mode: "MODE=DESIGN", chars: 500, score: 0.5, budgetRemaining: 0.8, hasImages: false };
+
+  expect(selectCloudModel(catalog, task)).toEqual({ model: catalog.defaultCloud, ruleId: null, reason: "default" });
+  expect(selectCloudModel(catalog, { ...task, score: 0.9 })).toMatchObject({
+    model: { id: "cloud-max" },
+    ruleId: "hard-design",
+  });
+  expect(selectCloudModel(catalog, { ...task, mode: "MODE=EXPLAIN" }).model.id).toBe("cloud-fast");
+  expect(selectCloudModel(catalog, { ...task, mode: "MODE=EXPLAIN", chars: 5000 }).model.id).toBe("cloud-deep");
+  expect(selectCloudModel(catalog, { ...task, score: 0.9, budgetRemaining: 0.05 }).ruleId).toBe("low-budget");
+
+  // no classifier score (explicit /cloud): score rules never match
+  expect(selectCloudModel(catalog, { ...task, score: null }).model.id).toBe("cloud-deep");
+
+  expect(() => compileCatalog({ ...DOC, cloudRules: [{ match: {}, model: "cloud-huge" }] })).toThrow(
+    /cloud rule "#1" names unknown cloud model "cloud-huge"/
+  );
+});
+
+test("selection respects context length", () => {
+  const catalog = compileCatalog(DOC);
+  const longText = "lorem ipsum ".repeat(4000); // ~12000 tokens
+
+  expect(selectLocalModel(catalog, { text: longText })).toMatchObject({ model: { id: "local-coder" } });
+  expect(selectLocalModel(catalog, { text: "x".repeat(600000) })).toMatchObject({ model: { id: "local-large" } });
+});
+
+// Loads the proxy with the catalog above and the given env, runs fn(proxy), restores env.
+async function withProxy(env, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "catalog-"));
+  const file = path.join(dir, "models.json");
+  fs.writeFileSync(file, JSON.stringify(DOC));
+
+  const vars = { ...env, MODEL_CATALOG_FILE: file, COST_STATE_FILE: path.join(dir, "cost.json") };
+  const saved = {};
+  for (const [k, v] of Object.entries(vars)) {
+    saved[k] = process.env[k];
+    process.env[k] = v;
+  }
+  let proxy;
+  jest.isolateModules(() => {
+    proxy = require("../src/proxy/openaiProxyServer");
+  });
+
+  try {
+    await fn(proxy);
+  } finally {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const chat = (content, model = "auto-hybrid") => ({ model, messages: [{ role: "user", content }] });
+
+test("auto-hybrid plans the best local model; a catalog id forces that model", async () => {
+  await withProxy({ CLOUD_ALLOWED: "false" }, async (proxy) => {
+    const coded = await proxy.planChatRoute(chat(CODE));
+    expect(coded).toMatchObject({ route: "local", localModel: { id: "local-coder", ollamaModel: "qwen2.5-coder:7b" } });
+
+    const requested = await proxy.planChatRoute(chat(CODE, "local-large"));
+    expect(requested).toMatchObject({ hints: { forceLocal: true }, localModel: { id: "local-large", reason: "requested" } });
+  });
+});
+
+test("the chosen tier's Bedrock model id reaches the envelope and the prompt", async () => {
+  await withProxy({ CLOUD_ALLOWED: "true", OFFLINE_REQUIRED: "false" }, async (proxy) => {
+    const quick = await proxy.explainChatRoute(chat("/cloud What is a mutex?"));
+    expect(quick.cloudModel).toMatchObject({ id: "cloud-fast", ruleId: "quick-explain" });
+    expect(quick.cloud.model_id).toBe("haiku-profile");
+    expect(quick.cloud.envelope.cloud).toEqual({ provider: "aws_bedrock", model_family: "claude", model_id: "haiku-profile" });
+    expect(quick.cloud.prompt).toContain("haiku-profile");
+
+    const pinned = await proxy.explainChatRoute(chat("What is a mutex?", "cloud-max"));
+    expect(pinned).toMatchObject({ route: "cloud", cloudModel: { id: "cloud-max", reason: "requested" } });
+    expect(pinned.cloud.envelope.cloud.model_id).toBe("opus-profile");
+  });
+});
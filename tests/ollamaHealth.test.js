@@ -0,0 +1,211 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+jest.mock("../src/cloud/callBedrock", () => ({
+  callBedrock: jest.fn(async () => "Check the resolver cache."),
+  streamBedrockText: jest.fn(),
+}));
+jest.mock("../src/system/getSystemLoad", () => ({
+  getSystemLoad: () => ({ load1: 0, cores: 4, loadRatio: 0 }),
+}));
+
+const { createOllamaHealth, STATUS } = require("../src/system/ollamaHealth");
+const { routeWithLoad } = require("../src/routing/routeWithLoad");
+const { ROUTES } = require("../src/routing/routeTask");
+
+const defaultLocalHints = {
+  requiresDeepReasoning: false,
+  containsSensitiveData: false,
+  offlineRequired: false,
+  cloudAllowed: true,
+};
+
+function health(listRunning, options = {}) {
+  return createOllamaHealth({ model: "llama3.1:8b", listRunning, ...options });
+}
+
+test("status is unknown (and available) before anything was measured", () => {
+  const snap = health(async () => []).snapshot();
+  expect(snap).toMatchObject({ status: STATUS.UNKNOWN, available: true, reachable: null, inFlight: 0 });
+});
+
+test("probe reports reachability and whether the model is loaded", async () => {
+  const loaded = await health(async () => [{ name: "llama3.1:8b" }]).probe();
+  expect(loaded).toMatchObject({ status: STATUS.UP, available: true, reachable: true, modelLoaded: true });
+
+  const cold = await health(async () => [{ name: "qwen2.5:7b" }]).probe();
+  expect(cold).toMatchObject({ status: STATUS.DEGRADED, available: true, modelLoaded: false });
+  expect(cold.reasons).toEqual(["model llama3.1:8b not loaded"]);
+
+  const down = await health(async () => {
+    throw new Error("ECONNREFUSED");
+  }).probe();
+  expect(down).toMatchObject({ status: STATUS.DOWN, available: false, reachable: false });
+  expect(down.reasons).toEqual(["unreachable (ECONNREFUSED)"]);
+});
+
+test("a snapshot can check another model than the configured default", async () => {
+  const h = health(async () => [{ name: "llama3.1:8b" }]);
+  await h.probe();
+
+  expect(h.snapshot("qwen2.5-coder:7b")).toMatchObject({
+    status: STATUS.DEGRADED,
+    model: "qwen2.5-coder:7b",
+    modelLoaded: false,
+    reasons: ["model qwen2.5-coder:7b not loaded"],
+  });
+  expect(h.snapshot()).toMatchObject({ status: STATUS.UP, model: "llama3.1:8b", modelLoaded: true });
+});
+
+test("in-flight requests saturate the local queue; errors mark it down", () => {
+  const h = health(async () => [], { maxInFlight: 2 });
+
+  const first = h.begin();
+  const second = h.begin();
+  expect(h.snapshot()).toMatchObject({ inFlight: 2, saturated: true, available: false });
+
+  first(true);
+  first(true); // done() counts once
+  expect(h.snapshot()).toMatchObject({ inFlight: 1, saturated: false, available: true });
+
+  second(false);
+  h.begin()(false);
+  h.begin()(false);
+  const snap = h.snapshot();
+  expect(snap.window).toMatchObject({ samples: 4, errorRate: 0.75 });
+  expect(snap).toMatchObject({ status: STATUS.DOWN, available: false });
+});
+
+test("a successful probe clears the failed requests, so a down backend can recover", async () => {
+  let reachable = false;
+  const h = health(async () => {
+    if (!reachable) throw new Error("ECONNREFUSED");
+    return [{ name: "llama3.1:8b" }];
+  });
+
+  h.begin()(true);
+  for (let i = 0; i < 3; i++) h.begin()(false);
+  expect(await h.probe()).toMatchObject({ status: STATUS.DOWN, reasons: ["unreachable (ECONNREFUSED)", "error rate 75%"] });
+
+  reachable = true;
+  const recovered = await h.probe();
+  expect(recovered).toMatchObject({ status: STATUS.UP, available: true, reasons: [] });
+  expect(recovered.window).toMatchObject({ samples: 1, errorRate: 0 });
+});
+
+test("unavailable Ollama fails over to cloud only when policy allows", () => {
+  const localHealth = { available: false, reasons: ["unreachable (ECONNREFUSED)"] };
+
+  const failover = routeWithLoad(defaultLocalHints, { localHealth });
+  expect(failover).toMatchObject({ route: ROUTES.CLOUD, failover: true });
+  expect(failover.reason).toBe("Local backend unavailable (unreachable (ECONNREFUSED))");
+
+  for (const blocked of [{ cloudAllowed: false }, { offlineRequired: true }, { containsSensitiveData: true }]) {
+    expect(routeWithLoad({ ...defaultLocalHints, ...blocked }, { localHealth }).route).toBe(ROUTES.LOCAL);
+  }
+
+  expect(routeWithLoad(defaultLocalHints, { localHealth: { available: true, reasons: [] } }).route).toBe(ROUTES.LOCAL);
+});
+
+describe("proxy failover with history", () => {
+  const saved = {};
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "failover-"));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  });
+
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // A proxy whose Ollama is down: every fetch to it fails, and the health probe has seen that
+  async function proxyWithOllamaDown(env) {
+    const all = { CLOUD_ALLOWED: "true", OFFLINE_REQUIRED: "false", COST_STATE_FILE: path.join(dir, "cost.json"), ...env };
+    for (const [k, v] of Object.entries(all)) {
+      saved[k] = process.env[k];
+      process.env[k] = v;
+    }
+    let proxy;
+    jest.isolateModules(() => {
+      proxy = require("../src/proxy/openaiProxyServer");
+    });
+    jest.spyOn(global, "fetch").mockRejectedValue(new Error("ECONNREFUSED"));
+    await proxy.getOllamaHealth().probe();
+    return proxy;
+  }
+
+  const body = {
+    model: "auto-hybrid",
+    hybrid_debug: true,
+    messages: [
+      { role: "user", content: "Our resolver returns SERVFAIL" },
+      { role: "assistant", content: "Check the upstream forwarders." },
+      { role: "user", content: "They answer fine." },
+      { role: "assistant", content: "Then check DNSSEC validation." },
+      { role: "user", content: "What else could it be?" },
+    ],
+  };
+
+  test("the cloud answer does not wait for the local history summary", async () => {
+    const proxy = await proxyWithOllamaDown({ REDACTION_MODE: "mask" });
+    const plan = await proxy.planChatRoute(body);
+    expect(plan).toMatchObject({ route: "cloud", baseDecision: { failover: true } });
+
+    const res = { headers: {}, setHeader: (k, v) => (res.headers[k] = v), json: (b) => (res.body = b) };
+    await proxy.respondFromCloud({ plan, body, wantsStream: false, identity: plan.caller, res });
+
+    expect(res.body.choices[0].message.content).toBe("Check the resolver cache.");
+    expect(res.body.sanitization_report.historySummary).toEqual({
+      source: "skipped",
+      bullets: 0,
+      dropped: 0,
+      reason: "local backend unavailable",
+    });
+    // only the health probe went to Ollama
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("routing checks the local tier the request resolved to, not only the default", async () => {
+    const catalogFile = path.join(dir, "catalog.json");
+    fs.writeFileSync(
+      catalogFile,
+      JSON.stringify({
+        local: [
+          { id: "local-fast", ollamaModel: "llama3.1:8b", default: true },
+          { id: "local-coder", ollamaModel: "qwen2.5-coder:7b" },
+        ],
+      })
+    );
+    const proxy = await proxyWithOllamaDown({ MODEL_CATALOG_FILE: catalogFile });
+    // Ollama comes back with only the default model loaded
+    global.fetch.mockResolvedValue({ ok: true, json: async () => ({ models: [{ name: "llama3.1:8b" }] }) });
+    await proxy.getOllamaHealth().probe();
+
+    const plan = await proxy.planChatRoute({ ...body, model: "local-coder" });
+    expect(plan.baseDecision.localHealth).toMatchObject({
+      model: "qwen2.5-coder:7b",
+      modelLoaded: false,
+      reasons: ["model qwen2.5-coder:7b not loaded"],
+    });
+  });
+
+  test("REDACTION_MODE=both cannot fail over and says so with a 503", async () => {
+    const proxy = await proxyWithOllamaDown({ REDACTION_MODE: "both" });
+
+    expect(await proxy.planChatRoute(body)).toMatchObject({
+      outcome: "reject",
+      status: 503,
+      message:
+        "Local backend unavailable (unreachable (ECONNREFUSED)): REDACTION_MODE=both needs the local model " +
+        "to summarize the input before cloud",
+    });
+  });
+});
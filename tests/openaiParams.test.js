@@ -0,0 +1,218 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const mockSend = jest.fn();
+jest.mock("@aws-sdk/client-bedrock-runtime", () => ({
+  BedrockRuntimeClient: jest.fn(() => ({ send: mockSend })),
+  InvokeModelCommand: jest.fn((input) => input),
+  InvokeModelWithResponseStreamCommand: jest.fn((input) => input),
+}));
+jest.mock("../src/system/getSystemLoad", () => ({
+  getSystemLoad: () => ({ load1: 0, cores: 4, loadRatio: 0 }),
+}));
+
+const {
+  checkOpenAIParams,
+  checkCloudParams,
+  anthropicParams,
+  finishReasonFromAnthropic,
+  openaiUsage,
+} = require("../src/cloud/openaiParams");
+const { callBedrock, streamBedrockText } = require("../src/cloud/callBedrock");
+
+const HAIKU = "eu.anthropic.claude-3-haiku-20240307-v1:0";
+const SONNET_35 = "anthropic.claude-3-5-sonnet-20240620-v1:0";
+
+const chunk = (obj) => ({ chunk: { bytes: Buffer.from(JSON.stringify(obj)) } });
+const sentBody = (i = 0) => JSON.parse(mockSend.mock.calls[i][0].body);
+
+beforeEach(() => mockSend.mockReset());
+
+describe("request mapping", () => {
+  test("invalid values are reported with the offending parameter", () => {
+    expect(checkOpenAIParams({ temperature: 0.7, top_p: 0.9, stop: ["END"], n: 1, max_tokens: 10 })).toBeNull();
+    expect(checkOpenAIParams({ temperature: 3 })).toEqual({
+      message: "temperature must be a number between 0 and 2",
+      param: "temperature",
+    });
+    expect(checkOpenAIParams({ max_tokens: 0 }).param).toBe("max_tokens");
+    expect(checkOpenAIParams({ stop: [1] }).param).toBe("stop");
+    expect(checkOpenAIParams({ n: 0 }).param).toBe("n");
+    expect(checkOpenAIParams({ n: 2 })).toBeNull();
+    expect(checkCloudParams({ n: 1 })).toBeNull();
+    expect(checkCloudParams({ n: 2 })).toEqual({
+      message: "n > 1 is not supported on cloud: Bedrock returns a single choice",
+      param: "n",
+    });
+  });
+
+  test("max_tokens is clamped to the model's output limit; temperature to Anthropic's range", () => {
+    expect(anthropicParams({ max_tokens: 100000, temperature: 1.5, top_p: 0.9, stop: "END" }, { modelId: HAIKU })).toEqual({
+      maxTokens: 4096,
+      params: { temperature: 1, top_p: 0.9, stop_sequences: ["END"] },
+      clamped: [
+        { param: "max_tokens", requested: 100000, used: 4096 },
+        { param: "temperature", requested: 1.5, used: 1 },
+      ],
+    });
+    expect(anthropicParams({ max_completion_tokens: 6000 }, { modelId: SONNET_35 }).maxTokens).toBe(6000);
+    expect(anthropicParams({}, { modelId: SONNET_35 })).toEqual({ maxTokens: 4096, params: {}, clamped: [] });
+    expect(anthropicParams({ max_tokens: 6000 }, { modelId: "acme.unknown", maxOutputTokens: 5000 }).maxTokens).toBe(5000);
+    expect(anthropicParams({ max_tokens: 6000 }, { modelId: SONNET_35, commandMaxTokens: 300 }).maxTokens).toBe(300);
+    expect(anthropicParams({ stop: ["  ", "\n\nHuman:"] }, { modelId: HAIKU }).params).toEqual({
+      stop_sequences: ["\n\nHuman:"],
+    });
+  });
+});
+
+describe("response mapping", () => {
+  test("stop reasons map to OpenAI finish reasons", () => {
+    expect(["end_turn", "stop_sequence", "max_tokens", "tool_use", "refusal", null].map(finishReasonFromAnthropic)).toEqual(
+      ["stop", "stop", "length", "tool_calls", "content_filter", "stop"]
+    );
+    expect(openaiUsage({ inputTokens: 12, outputTokens: 3 })).toEqual({
+      prompt_tokens: 12,
+      completion_tokens: 3,
+      total_tokens: 15,
+    });
+  });
+
+  test("Bedrock calls send the params and report the stop reason", async () => {
+    mockSend.mockResolvedValue({
+      body: Buffer.from(
+        JSON.stringify({ content: [{ type: "text", text: "hi" }], stop_reason: "max_tokens", usage: { input_tokens: 1 } })
+      ),
+    });
+    const onStop = jest.fn();
+
+    await callBedrock({ modelId: "m", prompt: "p", maxTokens: 5, params: { temperature: 0.2 }, onStop });
+    expect(sentBody()).toMatchObject({ max_tokens: 5, temperature: 0.2 });
+    expect(onStop).toHaveBeenCalledWith("max_tokens");
+
+    mockSend.mockResolvedValue({
+      body: (async function* () {
+        yield chunk({ type: "content_block_delta", delta: { type: "text_delta", text: "x" } });
+        yield chunk({ type: "message_delta", delta: { stop_reason: "stop_sequence" }, usage: { output_tokens: 1 } });
+      })(),
+    });
+    await streamBedrockText({ modelId: "m", prompt: "p", params: { stop_sequences: ["END"] }, onTextDelta: () => {}, onStop });
+    expect(sentBody(1).stop_sequences).toEqual(["END"]);
+    expect(onStop).toHaveBeenLastCalledWith("stop_sequence");
+  });
+});
+
+describe("proxy", () => {
+  const ENV = { CLOUD_ALLOWED: "true", OFFLINE_REQUIRED: "false" };
+  const saved = {};
+  let proxy;
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "params-"));
+    ENV.COST_STATE_FILE = path.join(dir, "cost.json");
+    for (const [k, v] of Object.entries(ENV)) {
+      saved[k] = process.env[k];
+      process.env[k] = v;
+    }
+    jest.isolateModules(() => {
+      proxy = require("../src/proxy/openaiProxyServer");
+    });
+  });
+
+  afterAll(() => {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const chat = (extra) => ({ model: "cloud-deep", messages: [{ role: "user", content: "Explain TCP slow start" }], ...extra });
+
+  function fakeRes() {
+    return {
+      headers: {},
+      chunks: [],
+      setHeader(name, value) {
+        this.headers[name] = value;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+      write(data) {
+        this.chunks.push(data);
+      },
+      end() {
+        this.ended = true;
+      },
+      events() {
+        return this.chunks.map((c) => c.replace(/^data: /, "").trim()).filter((c) => c !== "[DONE]").map(JSON.parse);
+      },
+    };
+  }
+
+  test("invalid parameters are rejected on every route; n > 1 only on cloud", async () => {
+    for (const model of ["cloud-deep", "local-fast"]) {
+      expect(await proxy.planChatRoute(chat({ model, temperature: 5 }))).toMatchObject({
+        outcome: "reject",
+        status: 400,
+        details: { param: "temperature" },
+      });
+    }
+    expect(await proxy.planChatRoute(chat({ n: 3 }))).toMatchObject({
+      outcome: "reject",
+      status: 400,
+      details: { param: "n" },
+    });
+    expect(await proxy.planChatRoute(chat({ model: "local-fast", n: 2 }))).toMatchObject({ outcome: "local" });
+  });
+
+  test("non-stream answers carry the mapped finish_reason and usage", async () => {
+    mockSend.mockResolvedValue({
+      body: Buffer.from(
+        JSON.stringify({
+          content: [{ type: "text", text: "Slow start doubles" }],
+          stop_reason: "max_tokens",
+          usage: { input_tokens: 900, output_tokens: 20 },
+        })
+      ),
+    });
+    const body = chat({ max_tokens: 20, temperature: 0.3, stop: ["###"] });
+    const plan = await proxy.planChatRoute(body);
+    expect(plan.sampling).toEqual({ maxTokens: 20, params: { temperature: 0.3, stop_sequences: ["###"] }, clamped: [] });
+
+    const res = fakeRes();
+    await proxy.respondFromCloud({ plan, body, wantsStream: false, identity: plan.caller, res });
+
+    expect(sentBody()).toMatchObject({ max_tokens: 20, temperature: 0.3, stop_sequences: ["###"] });
+    expect(res.body.choices[0]).toMatchObject({ finish_reason: "length", message: { content: "Slow start doubles" } });
+    expect(res.body.usage).toEqual({ prompt_tokens: 900, completion_tokens: 20, total_tokens: 920 });
+  });
+
+  test("streams end with the finish_reason and, on request, a usage chunk", async () => {
+    mockSend.mockResolvedValue({
+      body: (async function* () {
+        yield chunk({ type: "message_start", message: { usage: { input_tokens: 50, output_tokens: 1 } } });
+        yield chunk({ type: "content_block_delta", delta: { type: "text_delta", text: "Done." } });
+        yield chunk({ type: "message_delta", delta: { stop_reason: "end_turn" }, usage: { output_tokens: 2 } });
+      })(),
+    });
+    const body = chat({ stream: true, stream_options: { include_usage: true } });
+    const plan = await proxy.planChatRoute(body);
+    const res = fakeRes();
+
+    await proxy.respondFromCloud({ plan, body, wantsStream: true, identity: plan.caller, res });
+
+    const events = res.events();
+    const [final, usage] = events.slice(-2);
+    expect(final.choices[0]).toEqual({ index: 0, delta: {}, finish_reason: "stop" });
+    expect(usage).toMatchObject({ choices: [], usage: { prompt_tokens: 50, completion_tokens: 2, total_tokens: 52 } });
+    expect(res.chunks[res.chunks.length - 1]).toBe("data: [DONE]\n\n");
+  });
+});
@@ -0,0 +1,353 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const mockSend = jest.fn();
+jest.mock("@aws-sdk/client-bedrock-runtime", () => ({
+  BedrockRuntimeClient: jest.fn(() => ({ send: mockSend })),
+  InvokeModelCommand: jest.fn((input) => input),
+  InvokeModelWithResponseStreamCommand: jest.fn((input) => input),
+}));
+jest.mock("../src/system/getSystemLoad", () => ({
+  getSystemLoad: () => ({ load1: 0, cores: 4, loadRatio: 0 }),
+}));
+
+const { checkOpenAITools, anthropicToolRequest, openaiToolCall } = require("../src/cloud/openaiTools");
+const { streamBedrockText } = require("../src/cloud/callBedrock");
+
+const chunk = (obj) => ({ chunk: { bytes: Buffer.from(JSON.stringify(obj)) } });
+const sentBody = (i = 0) => JSON.parse(mockSend.mock.calls[i][0].body);
+
+const weather = {
+  type: "function",
+  function: {
+    name: "get_weather",
+    description: "Weather for a city",
+    parameters: { type: "object", properties: { city: { type: "string" } }, required: ["city"] },
+  },
+};
+const call = (id, name, args) => ({ id, type: "function", function: { name, arguments: JSON.stringify(args) } });
+
+beforeEach(() => mockSend.mockReset());
+
+describe("request mapping", () => {
+  test("invalid tools, choices and tool messages are reported with the offending parameter", () => {
+    const user = { role: "user", content: "Weather in Oslo?" };
+    expect(checkOpenAITools({ tools: [weather], tool_choice: "required", messages: [user] })).toBeNull();
+    expect(checkOpenAITools({ tools: [{ type: "function", function: { name: "get weather" } }] })).toMatchObject({
+      param: "tools[0]",
+    });
+    expect(checkOpenAITools({ tools: [weather], tool_choice: { type: "function", function: { name: "nope" } } })).toEqual({
+      message: 'tool_choice names an unknown tool "nope"',
+      param: "tool_choice",
+    });
+    expect(
+      checkOpenAITools({
+        messages: [user, { role: "assistant", tool_calls: [{ id: "c1", function: { name: "f", arguments: "[1]" } }] }],
+      }).param
+    ).toBe("messages[1].tool_calls");
+    expect(checkOpenAITools({ messages: [user, { role: "tool", tool_call_id: "c9", content: "x" }] })).toEqual({
+      message: "messages[1].tool_call_id must answer a tool call of an earlier assistant message",
+      param: "messages[1].tool_call_id",
+    });
+  });
+
+  test("definitions, choice and exchange become Anthropic tools, tool_use and tool_result blocks", () => {
+    const lookup = { type: "function", function: { name: "ask_ops_corp_example_com" } };
+    const sanitize = (text) => text.replaceAll("ops.corp.example.com", "[HOSTNAME_1]").replaceAll("ops_corp_example_com", "x");
+    const request = anthropicToolRequest(
+      {
+        tools: [weather, lookup],
+        toolChoice: "required",
+        parallelToolCalls: false,
+        exchange: [
+          { role: "assistant", content: null, tool_calls: [call("c1", "get_weather", { city: "Oslo" })] },
+          { role: "assistant", content: "", tool_calls: [call("c2", "ask_ops_corp_example_com", { q: "ops.corp.example.com" })] },
+          { role: "tool", tool_call_id: "c1", content: "Rain" },
+          { role: "tool", tool_call_id: "c2", content: [{ type: "text", text: "ops.corp.example.com is up" }] },
+        ],
+      },
+      sanitize
+    );
+
+    expect(request.params).toEqual({
+      tools: [
+        { name: "get_weather", description: "Weather for a city", input_schema: weather.function.parameters },
+        { name: "tool_1", input_schema: { type: "object", properties: {} } },
+      ],
+      tool_choice: { type: "any", disable_parallel_tool_use: true },
+    });
+    expect(request.messages).toEqual([
+      {
+        role: "assistant",
+        content: [
+          { type: "tool_use", id: "c1", name: "get_weather", input: { city: "Oslo" } },
+          { type: "tool_use", id: "c2", name: "tool_1", input: { q: "[HOSTNAME_1]" } },
+        ],
+      },
+      {
+        role: "user",
+        content: [
+          { type: "tool_result", tool_use_id: "c1", content: "Rain" },
+          { type: "tool_result", tool_use_id: "c2", content: "[HOSTNAME_1] is up" },
+        ],
+      },
+    ]);
+
+    expect(openaiToolCall({ id: "t1", name: "tool_1", input: { q: "status" } }, request)).toEqual({
+      id: "t1",
+      type: "function",
+      function: { name: "ask_ops_corp_example_com", arguments: '{"q":"status"}' },
+    });
+  });
+
+  test("only schema descriptions and titles are sanitized; types, patterns and enums stay intact", () => {
+    const parameters = {
+      type: "object",
+      title: "Ticket for ops.corp.example.com",
+      properties: {
+        host: { type: "string", description: "Host such as ops.corp.example.com", pattern: "^[a-z.]+$" },
+        region: { type: "string", enum: ["ops.corp.example.com", "eu"], title: "Region" },
+      },
+      required: ["host"],
+    };
+    const sanitize = (text) => text.replaceAll("ops.corp.example.com", "[HOSTNAME_1]");
+    const request = anthropicToolRequest({ tools: [{ type: "function", function: { name: "open_ticket", parameters } }] }, sanitize);
+
+    expect(request.params.tools[0].input_schema).toEqual({
+      type: "object",
+      title: "Ticket for [HOSTNAME_1]",
+      properties: {
+        host: { type: "string", description: "Host such as [HOSTNAME_1]", pattern: "^[a-z.]+$" },
+        region: { type: "string", enum: ["ops.corp.example.com", "eu"], title: "Region" },
+      },
+      required: ["host"],
+    });
+  });
+
+  test("without tool definitions the exchange is sent as text", () => {
+    const request = anthropicToolRequest(
+      {
+        exchange: [
+          { role: "assistant", content: null, tool_calls: [call("c1", "get_weather", { city: "Oslo" })] },
+          { role: "tool", tool_call_id: "c1", content: "Rain" },
+        ],
+      },
+      (text) => text
+    );
+    expect(request.params).toEqual({});
+    expect(request.messages).toEqual([
+      { role: "assistant", content: [{ type: "text", text: '[tool call c1: get_weather({"city":"Oslo"})]' }] },
+      { role: "user", content: [{ type: "text", text: "[tool result c1] Rain" }] },
+    ]);
+  });
+});
+
+test("Bedrock streams report complete tool_use blocks", async () => {
+  mockSend.mockResolvedValue({
+    body: (async function* () {
+      yield chunk({ type: "content_block_start", index: 0, content_block: { type: "tool_use", id: "toolu_1", name: "get_weather" } });
+      yield chunk({ type: "content_block_delta", index: 0, delta: { type: "input_json_delta", partial_json: '{"city":' } });
+      yield chunk({ type: "content_block_delta", index: 0, delta: { type: "input_json_delta", partial_json: '"Oslo"}' } });
+      yield chunk({ type: "content_block_stop", index: 0 });
+      yield chunk({ type: "message_delta", delta: { stop_reason: "tool_use" }, usage: { output_tokens: 9 } });
+    })(),
+  });
+  const onToolUse = jest.fn();
+  const toolMessages = [{ role: "user", content: [{ type: "tool_result", tool_use_id: "c1", content: "Rain" }] }];
+
+  await streamBedrockText({ modelId: "m", prompt: "p", toolMessages, onTextDelta: () => {}, onToolUse });
+  expect(onToolUse).toHaveBeenCalledWith({ id: "toolu_1", name: "get_weather", input: { city: "Oslo" } });
+  expect(sentBody().messages.slice(1)).toEqual(toolMessages);
+});
+
+describe("proxy", () => {
+  const ENV = {
+    CLOUD_ALLOWED: "true",
+    OFFLINE_REQUIRED: "false",
+    SANITIZER_MODE: "pseudonymize",
+    SENSITIVITY_CLOUD_MAX_LEVEL: "MEDIUM",
+  };
+  const saved = {};
+  let proxy;
+  let policyEngine;
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "tools-"));
+    ENV.COST_STATE_FILE = path.join(dir, "cost.json");
+    for (const [k, v] of Object.entries(ENV)) {
+      saved[k] = process.env[k];
+      process.env[k] = v;
+    }
+    jest.isolateModules(() => {
+      proxy = require("../src/proxy/openaiProxyServer");
+      policyEngine = require("../src/policy/policyEngine");
+    });
+  });
+
+  afterAll(() => {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterEach(() => policyEngine.setRoutingPolicy(null));
+
+  const mail = {
+    type: "function",
+    function: {
+      name: "send_mail",
+      description: "Send mail; replies go to helpdesk@corp.example.com",
+      parameters: { type: "object", properties: { to: { type: "string" }, body: { type: "string" } } },
+    },
+  };
+  const chat = (extra) => ({
+    model: "cloud-deep",
+    tools: [mail],
+    messages: [{ role: "user", content: "Tell alice@corp.example.com that the deploy is done" }],
+    ...extra,
+  });
+
+  function fakeRes() {
+    return {
+      headers: {},
+      chunks: [],
+      setHeader(name, value) {
+        this.headers[name] = value;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+      write(data) {
+        this.chunks.push(data);
+      },
+      end() {
+        this.ended = true;
+      },
+      events() {
+        return this.chunks.map((c) => c.replace(/^data: /, "").trim()).filter((c) => c !== "[DONE]").map(JSON.parse);
+      },
+    };
+  }
+
+  test("tool calls come back as OpenAI tool_calls with the arguments re-hydrated", async () => {
+    mockSend.mockResolvedValue({
+      body: Buffer.from(
+        JSON.stringify({
+          content: [{ type: "tool_use", id: "toolu_1", name: "send_mail", input: { to: "[EMAIL_1]", body: "Deploy done" } }],
+          stop_reason: "tool_use",
+          usage: { input_tokens: 700, output_tokens: 30 },
+        })
+      ),
+    });
+    const body = chat();
+    const plan = await proxy.planChatRoute(body);
+    expect(plan).toMatchObject({ route: "cloud", tools: { definitions: 1, choice: "auto", exchangeMessages: 0 } });
+
+    const res = fakeRes();
+    await proxy.respondFromCloud({ plan, body, wantsStream: false, identity: plan.caller, res });
+
+    const sent = sentBody();
+    expect(sent.tools[0].description).toBe("Send mail; replies go to [EMAIL_2]");
+    expect(JSON.stringify(sent)).not.toContain("corp.example.com");
+    expect(res.body.choices[0]).toEqual({
+      index: 0,
+      message: {
+        role: "assistant",
+        content: null,
+        tool_calls: [
+          {
+            id: "toolu_1",
+            type: "function",
+            function: { name: "send_mail", arguments: '{"to":"alice@corp.example.com","body":"Deploy done"}' },
+          },
+        ],
+      },
+      finish_reason: "tool_calls",
+    });
+  });
+
+  test("tool results are sanitized in follow-up turns; streamed tool calls arrive as deltas", async () => {
+    mockSend.mockResolvedValue({
+      body: (async function* () {
+        yield chunk({ type: "content_block_delta", index: 0, delta: { type: "text_delta", text: "Sent. " } });
+        yield chunk({ type: "content_block_start", index: 1, content_block: { type: "tool_use", id: "toolu_2", name: "send_mail" } });
+        yield chunk({ type: "content_block_delta", index: 1, delta: { type: "input_json_delta", partial_json: '{"to":"[EMAIL_1]"}' } });
+        yield chunk({ type: "content_block_stop", index: 1 });
+        yield chunk({ type: "message_delta", delta: { stop_reason: "tool_use" }, usage: { output_tokens: 12 } });
+      })(),
+    });
+    const body = chat({ stream: true });
+    body.messages.push(
+      { role: "assistant", content: null, tool_calls: [call("toolu_1", "send_mail", { to: "alice@corp.example.com" })] },
+      { role: "tool", tool_call_id: "toolu_1", content: "Bounced: mailbox alice@corp.example.com is full" }
+    );
+    const plan = await proxy.planChatRoute(body);
+    const res = fakeRes();
+
+    await proxy.respondFromCloud({ plan, body, wantsStream: true, identity: plan.caller, res });
+
+    expect(sentBody().messages.slice(1)).toEqual([
+      { role: "assistant", content: [{ type: "tool_use", id: "toolu_1", name: "send_mail", input: { to: "[EMAIL_1]" } }] },
+      { role: "user", content: [{ type: "tool_result", tool_use_id: "toolu_1", content: "Bounced: mailbox [EMAIL_1] is full" }] },
+    ]);
+    const events = res.events();
+    const toolDelta = events.find((e) => e.choices[0] && e.choices[0].delta.tool_calls);
+    expect(toolDelta.choices[0].delta.tool_calls).toEqual([
+      {
+        index: 0,
+        id: "toolu_2",
+        type: "function",
+        function: { name: "send_mail", arguments: '{"to":"alice@corp.example.com"}' },
+      },
+    ]);
+    expect(events[events.length - 1].choices[0].finish_reason).toBe("tool_calls");
+  });
+
+  test("a stream that fails after a tool call ends with an error instead of asking again", async () => {
+    mockSend.mockResolvedValue({
+      body: (async function* () {
+        yield chunk({ type: "content_block_start", index: 0, content_block: { type: "tool_use", id: "toolu_3", name: "send_mail" } });
+        yield chunk({ type: "content_block_delta", index: 0, delta: { type: "input_json_delta", partial_json: '{"to":"[EMAIL_1]"}' } });
+        yield chunk({ type: "content_block_stop", index: 0 });
+        throw new Error("connection reset");
+      })(),
+    });
+    const body = chat({ stream: true });
+    const plan = await proxy.planChatRoute(body);
+    const res = fakeRes();
+
+    await proxy.respondFromCloud({ plan, body, wantsStream: true, identity: plan.caller, res });
+
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    const events = res.events();
+    expect(events.filter((e) => e.choices[0].delta.tool_calls)).toHaveLength(1);
+    expect(events[events.length - 2].choices[0].delta.content).toBe("\n\nError: cloud stream interrupted: connection reset");
+    expect(events[events.length - 1].choices[0].finish_reason).toBe("stop");
+    expect(res.ended).toBe(true);
+  });
+
+  test("a routing policy rule can keep tool use off cloud", async () => {
+    policyEngine.setRoutingPolicy(
+      policyEngine.compilePolicy({
+        default: "allow-cloud",
+        rules: [{ id: "no-cloud-tools", match: { hasTools: true }, action: "deny" }],
+      })
+    );
+
+    expect(await proxy.planChatRoute(chat())).toMatchObject({
+      outcome: "reject",
+      status: 403,
+      details: { ruleId: "no-cloud-tools" },
+    });
+    expect((await proxy.planChatRoute(chat({ tools: undefined }))).route).toBe("cloud");
+  });
+});
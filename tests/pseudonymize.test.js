@@ -0,0 +1,47 @@
+const { sanitizeText } = require("../src/sanitizer/sanitizeText");
+const {
+  createPseudonymVault,
+  rehydrateText,
+  createStreamRehydrator,
+} = require("../src/sanitizer/pseudonymize");
+
+test("distinct values get distinct, stable numbered tokens", () => {
+  const vault = createPseudonymVault();
+  const sanitized = sanitizeText(
+    "Mail alice@corp.example and bob@corp.example, then alice@corp.example again.",
+    { vault }
+  );
+
+  expect(sanitized).toBe("Mail [EMAIL_1] and [EMAIL_2], then [EMAIL_1] again.");
+  expect(sanitized).not.toContain("@");
+  expect(vault.size).toBe(2);
+});
+
+test("cloud answer is re-hydrated locally", () => {
+  const vault = createPseudonymVault();
+  sanitizeText("Role arn:aws:iam::123456789012:role/Admin in account 123456789012", { vault });
+
+  const answer = "Grant [ARN_1] access; account [ACCOUNT_ID_1] owns it. [EMAIL_9] is unknown.";
+  expect(rehydrateText(answer, vault)).toBe(
+    "Grant arn:aws:iam::123456789012:role/Admin access; account 123456789012 owns it. [EMAIL_9] is unknown."
+  );
+});
+
+test("stream rehydrator restores tokens split across deltas", () => {
+  const vault = createPseudonymVault();
+  sanitizeText("contact alice@corp.example", { vault });
+
+  const rehydrator = createStreamRehydrator(vault);
+  const out = ["Write to [EM", "AIL", "_1", "] today [", "not a token]"]
+    .map((d) => rehydrator.push(d))
+    .join("") + rehydrator.flush();
+
+  expect(out).toBe("Write to alice@corp.example today [not a token]");
+});
+
+test("vault never serializes its values", () => {
+  const vault = createPseudonymVault();
+  sanitizeText("alice@corp.example", { vault });
+
+  expect(JSON.stringify({ vault })).not.toContain("alice");
+});
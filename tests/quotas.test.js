@@ -0,0 +1,110 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const MODEL = "anthropic.claude-3-5-sonnet-20240620-v1:0"; // 3 / 15 per million
+const ENV = { CLOUD_DAILY_LIMIT: "100", CLOUD_DAILY_BUDGET: "", USER_DAILY_LIMIT: "2", KEY_DAILY_BUDGET: "" };
+const saved = {};
+
+let guard;
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "quota-"));
+  Object.assign(ENV, { COST_STATE_FILE: path.join(dir, "cost.json") });
+  for (const [k, v] of Object.entries(ENV)) {
+    saved[k] = process.env[k];
+    process.env[k] = v;
+  }
+  jest.isolateModules(() => {
+    guard = require("../src/cost/costGuard");
+  });
+});
+
+afterEach(() => {
+  for (const [k, v] of Object.entries(saved)) {
+    if (v === undefined) delete process.env[k];
+    else process.env[k] = v;
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const team = { keyId: "team-a", quota: { dailyRequests: 3, dailyBudget: 0.01 }, userQuota: null };
+
+test("users are limited within their key (USER_* default), on top of the global limits", async () => {
+  const alice = { ...team, user: "alice" };
+  await guard.reserveCloudCost(alice);
+  await guard.reserveCloudCost(alice);
+
+  const error = await guard.reserveCloudCost(alice).catch((e) => e);
+  expect(error.message).toBe('Daily cloud request limit exceeded for user "alice"');
+  expect(error).toMatchObject({ status: 429, details: { scope: "user", period: "day" } });
+
+  // another user of the same key still has quota, until the key's own quota runs out
+  await guard.reserveCloudCost({ ...team, user: "bob" });
+  await expect(guard.reserveCloudCost({ ...team, user: "bob" })).rejects.toThrow(
+    'Daily cloud request limit exceeded for API key "team-a"'
+  );
+
+  const status = await guard.getCostStatus(alice);
+  expect(status.daily).toMatchObject({ used: 3, limit: 100 });
+  expect(status.key.daily).toMatchObject({ used: 3, limit: 3, remaining: 0 });
+  expect(status.user).toMatchObject({ user: "alice", daily: { used: 2, limit: 2, remaining: 0 } });
+  expect(status.user.monthly).toMatchObject({ used: 2, limit: null, remaining: null });
+  expect(guard.quotaRemainingShare(status)).toBe(0);
+});
+
+test("key budgets count committed and held spend of the key only", async () => {
+  const other = { keyId: "team-b" };
+  await guard.commitCloudCost(await guard.reserveCloudCost(other), { modelId: MODEL, inputTokens: 0, outputTokens: 2000 });
+
+  const reservation = await guard.reserveCloudCost(team);
+  await guard.commitCloudCost(reservation, { modelId: MODEL, inputTokens: 1000, outputTokens: 200 }); // 0.006
+
+  const estimate = guard.estimateCloudCost({ modelId: MODEL, prompt: "x".repeat(400), maxTokens: 300 }); // 0.0048
+  await expect(guard.reserveCloudCost(team, { estimate })).rejects.toThrow(
+    'Estimated cloud cost (0.0048 USD) exceeds the remaining daily budget for API key "team-a" (0.004 USD)'
+  );
+  await expect(guard.reserveCloudCost(other, { estimate })).resolves.toMatchObject({ keyId: "team-b", user: null });
+
+  const status = await guard.getCostStatus(team);
+  expect(status.key.daily).toMatchObject({ spent: 0.006, budget: 0.01, budgetRemaining: 0.004 });
+});
+
+test("a refund gives the request back to the global, key and user counters", async () => {
+  const alice = { ...team, user: "alice" };
+  await guard.refundCloudCost(await guard.reserveCloudCost(alice));
+  await guard.commitCloudCost(await guard.reserveCloudCost(alice), { modelId: MODEL, inputTokens: 10, outputTokens: 10 });
+
+  const status = await guard.getCostStatus(alice);
+  expect([status.daily.used, status.key.daily.used, status.user.daily.used]).toEqual([1, 1, 1]);
+  expect(status.user.daily.tokens).toEqual({ input: 10, output: 10 });
+});
+
+test("the admin view lists configured keys and every key and user with usage", async () => {
+  await guard.reserveCloudCost({ ...team, user: "bob" });
+  await guard.reserveCloudCost({ ...team, user: "alice" });
+  await guard.reserveCloudCost({ keyId: "removed-key" });
+
+  const usage = await guard.listUsage([team, { keyId: "idle", quota: null, userQuota: null }]);
+  expect(usage.daily.used).toBe(3);
+  expect(usage.keys.map((k) => k.keyId)).toEqual(["idle", "removed-key", "team-a"]);
+
+  const teamUsage = usage.keys[2];
+  expect(teamUsage.daily).toMatchObject({ used: 2, limit: 3 });
+  expect(teamUsage.users.map((u) => [u.user, u.daily.used, u.daily.limit])).toEqual([
+    ["alice", 1, 2],
+    ["bob", 1, 2],
+  ]);
+  expect(usage.keys[0]).toMatchObject({ daily: { used: 0 }, users: [] });
+});
+
+test("users without usage in the kept months are pruned", () => {
+  const state = {
+    day: {},
+    month: {},
+    keys: { "team-a": { day: {}, month: {}, users: { old: { day: {}, month: { "2024-01": 3 } } } } },
+  };
+  guard.pruneState(state, new Date("2026-10-19T12:00:00Z"));
+  expect(state.keys["team-a"].users).toEqual({});
+});
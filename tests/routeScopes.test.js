@@ -0,0 +1,89 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { sha256Hex } = require("../src/auth/keyStore");
+
+const KEYS = {
+  keys: [
+    { name: "reader", sha256: sha256Hex("sk-reader"), scopes: ["chat", "models"] },
+    { name: "ci-bot", sha256: sha256Hex("sk-ci"), scopes: ["models"] },
+    { name: "ops-admin", sha256: sha256Hex("sk-admin"), scopes: ["admin"] },
+  ],
+};
+
+let dir;
+let server;
+let base;
+const saved = {};
+
+beforeAll(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "scopes-"));
+  const keysFile = path.join(dir, "keys.json");
+  fs.writeFileSync(keysFile, JSON.stringify(KEYS));
+  const env = { PROXY_KEYS_FILE: keysFile, COST_STATE_FILE: path.join(dir, "cost.json") };
+  for (const [k, v] of Object.entries(env)) {
+    saved[k] = process.env[k];
+    process.env[k] = v;
+  }
+
+  let proxy;
+  jest.isolateModules(() => {
+    proxy = require("../src/proxy/openaiProxyServer");
+  });
+  server = proxy.createApp().listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  for (const [k, v] of Object.entries(saved)) {
+    if (v === undefined) delete process.env[k];
+    else process.env[k] = v;
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function request(method, route, key, body = { model: "local-fast", messages: [] }) {
+  return fetch(base + route, {
+    method,
+    headers: { Authorization: `Bearer ${key}`, "Content-Type": "application/json" },
+    ...(method === "POST" ? { body: JSON.stringify(body) } : {}),
+  });
+}
+
+async function call(method, route, key) {
+  return (await request(method, route, key)).status;
+}
+
+test("route scopes hold for every path variant Express matches", async () => {
+  for (const route of ["/v1/route/explain", "/v1/Route/Explain", "/v1/route/explain/"]) {
+    expect(await call("POST", route, "sk-reader")).toBe(403);
+  }
+  for (const route of ["/v1/chat/completions", "/v1/Chat/Completions", "/v1/chat/completions/"]) {
+    expect(await call("POST", route, "sk-ci")).toBe(403);
+  }
+  for (const route of ["/v1/models", "/v1/Models", "/v1/models/"]) {
+    expect(await call("GET", route, "sk-ci")).toBe(200);
+  }
+  expect(await call("GET", "/v1/models", "sk-wrong")).toBe(401);
+});
+
+test("the admin usage view needs the admin scope on every path variant", async () => {
+  for (const route of ["/v1/usage/all", "/v1/usage/all/", "/v1/USAGE/all", "/v1/usage/ALL"]) {
+    expect(await call("GET", route, "sk-reader")).toBe(403);
+    expect(await call("GET", route, "sk-admin")).toBe(200);
+  }
+  expect(await call("GET", "/v1/usage", "sk-reader")).toBe(200);
+});
+
+test("the /explain-route command needs the explain scope too", async () => {
+  const body = { model: "local-fast", messages: [{ role: "user", content: "/explain-route why is db-1 slow?" }] };
+  const res = await request("POST", "/v1/chat/completions", "sk-reader", body);
+
+  expect(res.status).toBe(200);
+  const { content } = (await res.json()).choices[0].message;
+  expect(content).toMatch(/^\/explain-route needs the "explain" scope on API key "reader"\. Nothing was sent/);
+  expect(content).not.toContain("route.explain");
+});
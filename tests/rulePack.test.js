@@ -0,0 +1,86 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { compileRulePack } = require("../src/detectors/rulePack");
+const { DETECTORS, loadDetectorRegistry, setDetectorRegistry } = require("../src/detectors/detectors");
+const { sanitizeText } = require("../src/sanitizer/sanitizeText");
+const { looksSensitive } = require("../src/policy/policy");
+
+const builtinIds = new Set(DETECTORS.map((d) => d.id));
+
+afterEach(() => setDetectorRegistry(null));
+
+function usePack(pack) {
+  const compiled = compileRulePack(pack, { builtinIds });
+  setDetectorRegistry({
+    detectors: [...DETECTORS.filter((d) => !compiled.disabledBuiltins.has(d.id)), ...compiled.detectors],
+    allowlist: compiled.allowlist,
+  });
+}
+
+test("custom rules redact company-specific values", () => {
+  usePack({
+    rules: [
+      { id: "customer-id", category: "CUSTOMER_ID", pattern: "CUST-\\d{6}" },
+      { id: "codename", category: "CODENAME", pattern: "project\\s+nightjar", flags: "i", replacement: "[PROJECT]" },
+      { id: "off", category: "OFF", pattern: "ignored", enabled: false },
+    ],
+  });
+
+  expect(sanitizeText("Ticket for CUST-123456 on Project Nightjar, ignored")).toBe(
+    "Ticket for [SANITIZED:CUSTOMER_ID] on [PROJECT], ignored"
+  );
+  expect(looksSensitive("CUST-654321")).toBe(true);
+});
+
+test("allowlisted values are never redacted", () => {
+  usePack({
+    allowlist: ["123456789012", { pattern: "[^@\\s]+@example\\.com" }],
+  });
+
+  expect(sanitizeText("acct 123456789012 / 210987654321, docs@example.com, a@corp.example")).toBe(
+    "acct 123456789012 / [SANITIZED:ACCOUNT_ID], docs@example.com, [SANITIZED:EMAIL]"
+  );
+});
+
+test("built-in detectors can be switched off", () => {
+  usePack({ rules: [{ id: "ipv4", enabled: false }] });
+  expect(looksSensitive("10.0.0.1")).toBe(false);
+});
+
+test("invalid packs fail fast with a clear error", () => {
+  expect(() => compileRulePack({ rules: [{ id: "bad", category: "BAD", pattern: "([a-z" }] }, { builtinIds }))
+    .toThrow(/rule "bad" has an invalid regex/);
+  expect(() => compileRulePack({ rules: [{ id: "empty", category: "EMPTY", pattern: "x*" }] }, { builtinIds }))
+    .toThrow(/matches the empty string/);
+  expect(() => compileRulePack({ rules: [{ id: "lower", category: "lower", pattern: "x" }] }, { builtinIds }))
+    .toThrow(/UPPER_SNAKE_CASE/);
+  expect(() => compileRulePack({ rules: [{ id: "email", category: "EMAIL", pattern: "x" }] }, { builtinIds }))
+    .toThrow(/shadows a built-in detector/);
+});
+
+test("missing rule pack file is reported at load time", () => {
+  expect(() => loadDetectorRegistry("/nonexistent/rules.json")).toThrow(/Cannot read config file/);
+});
+
+test("rule packs can be written in YAML", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pack-"));
+  const file = path.join(dir, "rules.yaml");
+  fs.writeFileSync(
+    file,
+    `rules:
+  - id: customer-id
+    category: CUSTOMER_ID
+    pattern: 'CUST-\\d{6}'
+allowlist:
+  - "123456789012"
+`
+  );
+  try {
+    setDetectorRegistry(loadDetectorRegistry(file));
+    expect(sanitizeText("CUST-123456 on 123456789012")).toBe("[SANITIZED:CUSTOMER_ID] on 123456789012");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
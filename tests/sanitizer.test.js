@@ -1,5 +1,5 @@
 const fs = require("fs");
-const { sanitizeText } = require("../src/sanitizer/sanitizeText");
+const { sanitizeText, sanitizeTextWithReport } = require("../src/sanitizer/sanitizeText");
 
 test("no secrets survive sanitization", () => {
   const raw = fs.readFileSync("tests/sanitization/input_raw.txt", "utf8");
@@ -20,3 +20,14 @@ test("no secrets survive sanitization", () => {
   expect(sanitized).toContain("[SANITIZED:");
 });
 
+test("report lists categories, counts and original offsets but no values", () => {
+  const raw = "Mail bob@corp.example or eve@corp.example from 10.1.2.3";
+  const { text, report } = sanitizeTextWithReport(raw);
+
+  expect(text).toBe("Mail [SANITIZED:EMAIL] or [SANITIZED:EMAIL] from [SANITIZED:IP_ADDRESS]");
+  expect(report.total).toBe(3);
+  expect(report.counts).toEqual({ EMAIL: 2, IP_ADDRESS: 1 });
+  expect(report.spans[0]).toEqual({ category: "EMAIL", start: 5, end: 21 });
+  expect(raw.slice(report.spans[2].start, report.spans[2].end)).toBe("10.1.2.3");
+  expect(JSON.stringify(report)).not.toMatch(/corp\.example|10\.1\.2\.3/);
+});
@@ -0,0 +1,39 @@
+const { summarizeForCloud } = require("../src/sanitizer/summarizeForCloud");
+const { buildCloudEnvelope } = require("../src/envelope/buildCloudEnvelope");
+const { validateEnvelope } = require("../src/envelope/validateEnvelope");
+
+test("summary is re-checked by the detectors before it is returned", async () => {
+  const complete = jest.fn(async () => "Service owned by [SANITIZED:EMAIL] fails behind 10.0.0.7; why?");
+
+  const { text, recheck } = await summarizeForCloud("masked input", { model: "m", complete });
+
+  expect(complete).toHaveBeenCalledWith(expect.objectContaining({ model: "m", prompt: "masked input" }));
+  expect(text).toBe("Service owned by [SANITIZED:EMAIL] fails behind [SANITIZED:IP_ADDRESS]; why?");
+  expect(recheck.counts).toEqual({ IP_ADDRESS: 1 });
+});
+
+test("summarize stage fails closed", async () => {
+  await expect(summarizeForCloud("x", { complete: async () => "  " })).rejects.toThrow(/refusing/);
+  await expect(
+    summarizeForCloud("x", {
+      complete: async () => {
+        throw new Error("ECONNREFUSED");
+      },
+    })
+  ).rejects.toThrow(/Summarize stage failed/);
+});
+
+test("envelope claims summary categories only when summarized", () => {
+  const base = { sanitizedProblem: "Abstract problem statement.", contextSummary: [], modelId: "m" };
+
+  const masked = buildCloudEnvelope(base);
+  expect(masked.redaction_policy.mode).toBe("mask");
+  expect(masked.redaction_policy.removed_categories).not.toContain("source_code");
+
+  const summarized = buildCloudEnvelope({ ...base, redactionMode: "both" });
+  expect(summarized.redaction_policy.mode).toBe("both");
+  expect(summarized.redaction_policy.removed_categories).toEqual(
+    expect.arrayContaining(["raw_logs", "source_code"])
+  );
+  expect(() => validateEnvelope(summarized)).not.toThrow();
+});